@@ -0,0 +1,48 @@
+// Shared helpers for daily activity calendars (LeetCode submissions, GitHub contributions)
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dateKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+// { "<unix seconds>": count } -> { "2024-03-04": count }, days with activity only (UTC)
+function calendarFromTimestamps(timestamps) {
+    const calendar = {};
+    Object.entries(timestamps || {}).forEach(([seconds, count]) => {
+        if (!(Number(count) > 0)) return;
+        const key = dateKey(Number(seconds) * 1000);
+        calendar[key] = (calendar[key] || 0) + Number(count);
+    });
+    return calendar;
+}
+
+// Streaks and recent active days. The current streak still counts when today has
+// no activity yet but yesterday had; it is 0 once a whole day was missed.
+function calendarStats(calendar, now = Date.now()) {
+    const days = Object.keys(calendar || {}).filter(day => calendar[day] > 0).sort();
+    const active = new Set(days);
+
+    let maxStreak = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && Date.parse(day) - Date.parse(days[i - 1]) === DAY ? run + 1 : 1;
+        maxStreak = Math.max(maxStreak, run);
+    });
+
+    const today = Date.parse(dateKey(now));
+    let cursor = active.has(dateKey(today)) ? today : today - DAY;
+    let currentStreak = 0;
+    while (active.has(dateKey(cursor))) {
+        currentStreak++;
+        cursor -= DAY;
+    }
+
+    const activeWithin = (n) => days.filter(day => Date.parse(day) > today - n * DAY).length;
+    return {
+        currentStreak,
+        maxStreak,
+        activeDays30: activeWithin(30),
+        activeDays90: activeWithin(90)
+    };
+}
+
+module.exports = { calendarFromTimestamps, calendarStats };
@@ -0,0 +1,146 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+const { historyEntry, ratingSummary } = require('./contest-ratings');
+
+const emptyResult = () => ({ solved: 0, rating: 0, maxRating: 0, rank: null, contests: 0, ratingHistory: [] });
+
+// AtCoder has no rank titles, only rating colours
+const RATING_COLOURS = [
+    [2800, 'red'], [2400, 'orange'], [2000, 'yellow'], [1600, 'blue'],
+    [1200, 'cyan'], [800, 'green'], [400, 'brown'], [0, 'gray']
+];
+
+function ratingColour(rating) {
+    return RATING_COLOURS.find(([min]) => rating >= min)[1];
+}
+
+const HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// The official profile page 404s for unknown users
+function userExists(username, limiter) {
+    return retryRequest(async () => {
+        try {
+            await axios.get(`https://atcoder.jp/users/${encodeURIComponent(username)}`, {
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                limiter,
+                headers: HEADERS
+            });
+            return true;
+        } catch (error) {
+            if (error.response?.status === 404) return false;
+            throw error;
+        }
+    });
+}
+
+// AtCoder has no official API; kenkoooo's AtCoder Problems mirrors the stats
+module.exports = {
+    name: 'atcoder',
+    label: 'AtCoder',
+    icon: '🎯',
+    handleKey: 'atcoder',
+    profileUrl: 'https://atcoder.jp/users/{handle}',
+    rateLimit: 200, // General: 200ms (safer)
+    cacheTTL: CONFIG.CACHE_DURATION / 2, // 12h: ratings move after every contest
+    sanity: { solved: { max: 6000, maxDailyGain: 50 }, rating: { max: 4000 } },
+    emptyResult,
+    problemsSolved: data => data.solved,
+    fields: [
+        { key: 'atcoder', label: 'AtCoder', path: 'solved', weight: 1.2 },
+        { key: 'atcoder_rating', label: 'AtCoder Rating', path: 'rating', weight: 0 },
+        { key: 'atcoder_contests', label: 'AtCoder Contests', path: 'contests', weight: 0 }
+    ],
+    profileUrlPatterns: [/atcoder\.jp\/users\/([^/?#\s]+)/i, /kenkoooo\.com\/atcoder\/#\/user\/([^/?#\s]+)/i],
+    describe: data => `${data.solved} problems, rating ${data.rating || 'unrated'}${data.rank ? ` (${data.rank})` : ''}, ${data.contests || 0} contests`,
+
+    summarize: (entries) => {
+        const totalProblems = entries.reduce((sum, e) => sum + e.data.solved, 0);
+        return {
+            totalProblems,
+            avgProblems: entries.length ? totalProblems / entries.length : 0,
+            ...ratingSummary(entries)
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => ({ exists: await userExists(username, limiter) }),
+
+    // Affiliation (and birth year, country...) from the profile table
+    verifyHint: 'AtCoder → Settings → General Settings → Affiliation',
+    profileText: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            try {
+                const response = await axios.get(`https://atcoder.jp/users/${encodeURIComponent(username)}`, {
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter,
+                    headers: HEADERS
+                });
+                const $ = cheerio.load(response.data);
+                return $('table.dl-table tr').map((_, row) => $(row).find('td').text().trim()).get().filter(Boolean).join('\n');
+            } catch (error) {
+                if (error.response?.status === 404) return null;
+                throw error;
+            }
+        });
+    },
+
+    fetch: async (username, { limiter }) => {
+        const rank = await retryRequest(async () => {
+            try {
+                const response = await axios.get(`https://kenkoooo.com/atcoder/atcoder-api/v3/user/ac_rank`, {
+                    params: { user: username },
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter,
+                    headers: HEADERS
+                });
+                return response.data;
+            } catch (error) {
+                if (error.response?.status === 404) return null;
+                throw error;
+            }
+        });
+
+        // Users without any accepted submission have no rank entry either:
+        // only AtCoder itself can tell them from unknown users
+        if (typeof rank?.count !== 'number' && !(await userExists(username, limiter))) {
+            console.log(`👤 AtCoder user not found: ${username}`);
+            return { ...emptyResult(), status: STATUS.NOT_FOUND };
+        }
+        const result = { ...emptyResult(), solved: rank?.count ?? 0 };
+
+        // Contest history from AtCoder itself; the solve count stays valid without it
+        try {
+            const history = await retryRequest(async () => {
+                const response = await axios.get(`https://atcoder.jp/users/${encodeURIComponent(username)}/history/json`, {
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter,
+                    headers: HEADERS
+                });
+                return Array.isArray(response.data) ? response.data : [];
+            });
+
+            const rated = history.filter(contest => contest.IsRated);
+            const rating = rated.length ? rated[rated.length - 1].NewRating : 0;
+            Object.assign(result, {
+                rating,
+                maxRating: rated.reduce((max, contest) => Math.max(max, contest.NewRating), 0),
+                rank: rated.length ? ratingColour(rating) : null,
+                contests: rated.length,
+                ratingHistory: rated.map(contest => historyEntry({
+                    contest: contest.ContestNameEn || contest.ContestName,
+                    rank: contest.Place,
+                    oldRating: contest.OldRating,
+                    newRating: contest.NewRating,
+                    time: Date.parse(contest.EndTime)
+                }))
+            });
+        } catch (error) {
+            console.log(`⚠️  AtCoder contest history failed for ${username}, rating unavailable`);
+            return { ...result, status: STATUS.PARTIAL, error: `contest history: ${error.message}` };
+        }
+
+        return result;
+    }
+};
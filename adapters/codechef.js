@@ -0,0 +1,186 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+const { historyEntry, ratingSummary } = require('./contest-ratings');
+
+// CodeChef star bands, used when the page shows no stars
+const STAR_BANDS = [[2500, 7], [2200, 6], [2000, 5], [1800, 4], [1600, 3], [1400, 2], [0, 1]];
+
+const HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5'
+};
+
+const emptyResult = () => ({
+    solved: 0,
+    partiallySolved: 0,
+    rating: 0,
+    maxRating: 0,
+    stars: 0,
+    rank: null,
+    globalRank: null,
+    countryRank: null,
+    contests: 0,
+    ratingHistory: []
+});
+
+function toNumber(text) {
+    const match = String(text ?? '').replace(/,/g, '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+function cleanText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function starsFor(rating) {
+    return STAR_BANDS.find(([min]) => rating >= min)[1];
+}
+
+// Unknown users are redirected to the home page; bot checks come back as 200 too.
+// Any other page without the profile markup is a layout change, not a missing user.
+function pageProblem($, finalUrl) {
+    const text = cleanText($('body').text());
+    if (/just a moment|verify you are human|access denied/i.test(`${$('title').text()} ${text}`)) {
+        return { status: STATUS.ERROR, error: 'blocked by a bot check' };
+    }
+    if ($('.user-details-container').length > 0 || $('.rating-number').length > 0) return null;
+    const redirected = finalUrl && !/\/users\//.test(new URL(finalUrl).pathname);
+    if (redirected || $('.home-banner').length > 0) {
+        return { status: STATUS.NOT_FOUND };
+    }
+    return { status: STATUS.ERROR, error: 'unrecognised profile page (layout changed?)' };
+}
+
+// The rating graph data: var all_rating = [{ code, name, rating, rank, end_date }, ...];
+function parseRatingHistory(html) {
+    const match = String(html).match(/var\s+all_rating\s*=\s*(\[[\s\S]*?\]);/);
+    if (!match) return null;
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Everything the public profile page shows
+function parseProfile(html, finalUrl) {
+    const $ = cheerio.load(html || '');
+    const problem = pageProblem($, finalUrl);
+    if (problem) return { problem };
+
+    const result = emptyResult();
+
+    const contests = toNumber($('.contest-participated-count b').first().text());
+    result.contests = contests ?? 0;
+
+    // "1650" or "1650?" while provisional
+    const rating = toNumber($('.rating-number').first().text());
+    const history = parseRatingHistory(html);
+    if (history && contests === null) result.contests = history.length;
+    if (result.contests > 0 && rating !== null) {
+        result.rating = rating;
+        result.maxRating = toNumber($('.rating-header small').first().text()) ?? rating;
+        result.stars = $('.rating-star span').length || starsFor(rating);
+        result.rank = `${result.stars}★`;
+    }
+
+    $('.rating-ranks li').each((_, element) => {
+        const value = toNumber($(element).find('strong').first().text());
+        const label = cleanText($(element).text()).toLowerCase();
+        if (label.includes('global')) result.globalRank = value;
+        if (label.includes('country')) result.countryRank = value;
+    });
+
+    if (history) {
+        result.ratingHistory = history.map((contest, i) => historyEntry({
+            contest: contest.name || contest.code,
+            rank: toNumber(contest.rank),
+            oldRating: i > 0 ? toNumber(history[i - 1].rating) : 0,
+            newRating: toNumber(contest.rating),
+            time: Date.parse(String(contest.end_date).replace(' ', 'T'))
+        }));
+    }
+
+    // Current layout: "Total Problems Solved: 123"; older one: "Fully Solved (123)" / "Partially Solved (4)"
+    const text = cleanText($('body').text());
+    const total = text.match(/total problems solved\s*:?\s*([0-9,]+)/i);
+    const fully = text.match(/fully solved\s*\(\s*([0-9,]+)\s*\)/i);
+    const partially = text.match(/partially solved\s*\(\s*([0-9,]+)\s*\)/i);
+    if (partially) result.partiallySolved = toNumber(partially[1]);
+    if (total || fully) {
+        result.solved = toNumber((total || fully)[1]);
+        return { result };
+    }
+    // An unknown count is not 0 problems
+    result.solved = null;
+    return { result, missing: 'problems solved count not found on the profile page' };
+}
+
+function getProfile(username, limiter) {
+    return retryRequest(async () => {
+        const response = await axios.get(`https://www.codechef.com/users/${encodeURIComponent(username)}`, {
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter,
+            headers: HEADERS
+        });
+        // Where the redirects ended (the home page for unknown users)
+        return { html: response.data, finalUrl: response.request?.res?.responseUrl };
+    });
+}
+
+// CodeChef: no public API, the profile page is scraped
+module.exports = {
+    name: 'codechef',
+    label: 'CodeChef',
+    icon: '👨‍🍳',
+    handleKey: 'codechef',
+    profileUrl: 'https://www.codechef.com/users/{handle}',
+    rateLimit: 1500, // CodeChef: 1.5s (blocks fast scrapers)
+    cacheTTL: CONFIG.CACHE_DURATION / 2, // 12h: ratings move after every contest
+    sanity: { solved: { max: 5000, maxDailyGain: 50 }, rating: { max: 4000 } },
+    emptyResult,
+    problemsSolved: data => data.solved || 0,
+    fields: [
+        { key: 'codechef', label: 'CodeChef', path: 'solved', weight: 1.2 },
+        { key: 'codechef_rating', label: 'CodeChef Rating', path: 'rating', weight: 0 },
+        { key: 'codechef_contests', label: 'CodeChef Contests', path: 'contests', weight: 0 }
+    ],
+    profileUrlPatterns: [/codechef\.com\/users\/([^/?#\s]+)/i],
+    describe: data => `${data.solved ?? '?'} problems, rating ${data.rating || 'unrated'}${data.rank ? ` (${data.rank})` : ''}, ${data.contests || 0} contests`,
+
+    summarize: (entries) => {
+        const totalProblems = entries.reduce((sum, e) => sum + (e.data.solved || 0), 0);
+        return {
+            totalProblems,
+            avgProblems: entries.length ? totalProblems / entries.length : 0,
+            ...ratingSummary(entries)
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => {
+        const { html, finalUrl } = await getProfile(username, limiter);
+        const { problem } = parseProfile(html, finalUrl);
+        if (problem?.status === STATUS.NOT_FOUND) return { exists: false };
+        if (problem) throw new Error(`CodeChef: ${problem.error}`);
+        return { exists: true };
+    },
+
+    fetch: async (username, { limiter }) => {
+        const { html, finalUrl } = await getProfile(username, limiter);
+        const { problem, result, missing } = parseProfile(html, finalUrl);
+        if (problem?.status === STATUS.NOT_FOUND) {
+            console.log(`👤 CodeChef user not found: ${username}`);
+            return { ...emptyResult(), status: STATUS.NOT_FOUND };
+        }
+        if (problem) throw new Error(`CodeChef: ${problem.error}`);
+
+        // Rating without a solved count is still worth keeping, but the count is unknown, not 0
+        if (missing) {
+            console.log(`⚠️  CodeChef solved count missing for ${username}`);
+            return { ...result, status: STATUS.PARTIAL, error: missing };
+        }
+        return result;
+    }
+};
@@ -0,0 +1,149 @@
+const axios = require('axios');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+const { historyEntry, ratingSummary, sumCounts } = require('./contest-ratings');
+
+const emptyResult = () => ({
+    solved: 0,
+    rating: 0,
+    maxRating: 0,
+    rank: null,
+    maxRank: null,
+    contests: 0,
+    ratingHistory: [],
+    solvedByRating: {},
+    solvedByTag: {}
+});
+
+// One call to the official API; resolves to its `result`
+function callApi(method, params, limiter) {
+    return retryRequest(async () => {
+        const response = await axios.get(`https://codeforces.com/api/${method}`, {
+            params,
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+        if (response.data.status !== 'OK') {
+            throw new Error(`Codeforces API: ${response.data.comment || response.data.status}`);
+        }
+        return response.data.result;
+    });
+}
+
+// Unknown handles come back as 400 "handle: User with handle ... not found"
+function isNotFound(error) {
+    return /not found/i.test(error.response?.data?.comment || '');
+}
+
+// Distinct accepted problems, bucketed by problem rating (100-point steps) and by tag
+function solvedBreakdown(submissions) {
+    const solvedProblems = new Map();
+    submissions.forEach(submission => {
+        if (submission.verdict === 'OK') {
+            solvedProblems.set(`${submission.problem.contestId}-${submission.problem.index}`, submission.problem);
+        }
+    });
+
+    const solvedByRating = {};
+    const solvedByTag = {};
+    solvedProblems.forEach(problem => {
+        const bucket = problem.rating ? String(problem.rating) : 'unrated';
+        solvedByRating[bucket] = (solvedByRating[bucket] || 0) + 1;
+        (problem.tags || []).forEach(tag => {
+            solvedByTag[tag] = (solvedByTag[tag] || 0) + 1;
+        });
+    });
+
+    return { solved: solvedProblems.size, solvedByRating, solvedByTag };
+}
+
+module.exports = {
+    name: 'codeforces',
+    label: 'Codeforces',
+    icon: '🏆',
+    handleKey: 'codeforces',
+    profileUrl: 'https://codeforces.com/profile/{handle}',
+    rateLimit: 1000, // Codeforces: 1s
+    cacheTTL: CONFIG.CACHE_DURATION / 2, // 12h: ratings move after every contest
+    sanity: { solved: { max: 6000, maxDailyGain: 50 }, rating: { max: 4000 } },
+    emptyResult,
+    problemsSolved: data => data.solved,
+    fields: [
+        { key: 'codeforces', label: 'Codeforces', path: 'solved', weight: 1.2 },
+        { key: 'codeforces_rating', label: 'Codeforces Rating', path: 'rating', weight: 0 },
+        { key: 'codeforces_contests', label: 'Codeforces Contests', path: 'contests', weight: 0 }
+    ],
+    profileUrlPatterns: [/codeforces\.com\/profile\/([^/?#\s]+)/i],
+    describe: data => `${data.solved} problems, rating ${data.rating || 'unrated'}${data.rank ? ` (${data.rank})` : ''}, ${data.contests || 0} contests`,
+
+    summarize: (entries) => {
+        const totalProblems = entries.reduce((sum, e) => sum + e.data.solved, 0);
+        return {
+            totalProblems,
+            avgProblems: entries.length ? totalProblems / entries.length : 0,
+            ...ratingSummary(entries),
+            solvedByRating: sumCounts(entries.map(e => e.data.solvedByRating)),
+            topTags: sumCounts(entries.map(e => e.data.solvedByTag), 15)
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => {
+        try {
+            const [user] = await callApi('user.info', { handles: username }, limiter);
+            return { exists: true, canonical: user?.handle };
+        } catch (error) {
+            if (isNotFound(error)) return { exists: false };
+            throw error;
+        }
+    },
+
+    verifyHint: 'Codeforces → Settings → Social → First name or Organization',
+    profileText: async (username, { limiter }) => {
+        try {
+            const [user] = await callApi('user.info', { handles: username }, limiter);
+            return user ? [user.firstName, user.lastName, user.organization].filter(Boolean).join('\n') : null;
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    },
+
+    fetch: async (username, { limiter }) => {
+        let submissions;
+        try {
+            submissions = await callApi('user.status', { handle: username }, limiter);
+        } catch (error) {
+            if (isNotFound(error)) return { ...emptyResult(), status: STATUS.NOT_FOUND };
+            throw error;
+        }
+
+        const result = { ...emptyResult(), ...solvedBreakdown(submissions) };
+
+        // Rating data is secondary: the solve counts stay valid without it
+        try {
+            const [user] = await callApi('user.info', { handles: username }, limiter);
+            const changes = await callApi('user.rating', { handle: username }, limiter);
+            Object.assign(result, {
+                rating: user?.rating || 0,
+                maxRating: user?.maxRating || 0,
+                rank: user?.rank || null,
+                maxRank: user?.maxRank || null,
+                contests: changes.length,
+                ratingHistory: changes.map(change => historyEntry({
+                    contest: change.contestName,
+                    rank: change.rank,
+                    oldRating: change.oldRating,
+                    newRating: change.newRating,
+                    time: change.ratingUpdateTimeSeconds * 1000
+                }))
+            });
+        } catch (error) {
+            console.log(`⚠️  Codeforces rating lookup failed for ${username}, rating unavailable`);
+            return { ...result, status: STATUS.PARTIAL, error: `rating: ${error.message}` };
+        }
+
+        return result;
+    }
+};
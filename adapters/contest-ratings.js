@@ -0,0 +1,39 @@
+// Shared helpers for contest platforms (Codeforces, AtCoder)
+
+// Rating history entry kept in results.json
+function historyEntry({ contest, rank, oldRating, newRating, time }) {
+    return { contest, rank, oldRating, newRating, date: time ? new Date(time).toISOString().slice(0, 10) : null };
+}
+
+// Rating section of summary.json; unrated students are left out of the averages
+function ratingSummary(entries) {
+    const rated = entries.filter(e => e.data.contests > 0);
+    const top = rated.reduce((max, e) => (!max || e.data.rating > max.data.rating ? e : max), null);
+
+    const byRank = {};
+    rated.forEach(e => {
+        const title = e.data.rank || 'unrated';
+        byRank[title] = (byRank[title] || 0) + 1;
+    });
+
+    return {
+        ratedStudents: rated.length,
+        avgRating: rated.length ? rated.reduce((sum, e) => sum + e.data.rating, 0) / rated.length : 0,
+        avgContests: rated.length ? rated.reduce((sum, e) => sum + e.data.contests, 0) / rated.length : 0,
+        topRated: top ? { name: top.name, rating: top.data.rating, maxRating: top.data.maxRating, rank: top.data.rank } : null,
+        byRank
+    };
+}
+
+// Add up per-student count maps ({ "800": 3, "1200": 1 }) and keep the largest
+function sumCounts(maps, limit = Infinity) {
+    const totals = {};
+    maps.forEach(counts => {
+        Object.entries(counts || {}).forEach(([key, count]) => {
+            totals[key] = (totals[key] || 0) + count;
+        });
+    });
+    return Object.fromEntries(Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, limit));
+}
+
+module.exports = { historyEntry, ratingSummary, sumCounts };
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+
+// Difficulty groups of GfG practice problems -> result keys
+const DIFFICULTIES = { School: 'school', Basic: 'basic', Easy: 'easy', Medium: 'medium', Hard: 'hard' };
+
+const HEADERS = {
+    'Accept': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    'Origin': 'https://www.geeksforgeeks.org',
+    'Referer': 'https://www.geeksforgeeks.org/'
+};
+
+const emptyResult = () => ({
+    codingScore: 0,
+    solved: 0,
+    school: 0,
+    basic: 0,
+    easy: 0,
+    medium: 0,
+    hard: 0,
+    instituteRank: null,
+    institute: null,
+    monthlyScore: 0,
+    currentStreak: 0,
+    longestStreak: 0
+});
+
+function toNumber(value) {
+    const number = parseInt(String(value ?? '').replace(/,/g, ''), 10);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Profile card: coding score, total solved, institute rank. null for unknown users.
+function getProfile(username, limiter) {
+    return retryRequest(async () => {
+        try {
+            const response = await axios.get('https://authapi.geeksforgeeks.org/api-get/user-profile-info/', {
+                params: { handle: username },
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                limiter,
+                headers: HEADERS
+            });
+            // Unknown handles: 200 with { message: "User not found!" } and no data
+            return response.data?.data || null;
+        } catch (error) {
+            if (error.response?.status === 404 || /not found/i.test(error.response?.data?.message || '')) return null;
+            throw error;
+        }
+    });
+}
+
+// Solved problems grouped by difficulty: { Easy: { <id>: {...} }, ... }
+function getSubmissions(username, limiter) {
+    return retryRequest(async () => {
+        const response = await axios.post('https://practiceapi.geeksforgeeks.org/api/v1/user/problems/submissions/', {
+            handle: username,
+            requestType: '',
+            year: '',
+            month: ''
+        }, {
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter,
+            headers: HEADERS
+        });
+        if (response.data?.status !== 'success' || typeof response.data.result !== 'object') {
+            throw new Error(`GeeksforGeeks submissions: ${response.data?.message || 'unexpected response'}`);
+        }
+        return response.data.result;
+    });
+}
+
+// GeeksforGeeks: JSON endpoints behind the profile page (no official API)
+module.exports = {
+    name: 'geeksforgeeks',
+    label: 'GeeksforGeeks',
+    icon: '🟢',
+    handleKey: 'geeksforgeeks',
+    aliases: ['gfg'],
+    profileUrl: 'https://www.geeksforgeeks.org/user/{handle}/',
+    rateLimit: 1000, // GfG: 1s
+    cacheTTL: CONFIG.CACHE_DURATION,
+    sanity: { solved: { max: 4000, maxDailyGain: 50 }, codingScore: { max: 20000 } },
+    emptyResult,
+    problemsSolved: data => data.solved,
+    fields: [
+        { key: 'geeksforgeeks', label: 'GeeksforGeeks', path: 'solved', weight: 1.0 },
+        { key: 'geeksforgeeks_score', label: 'GfG Coding Score', path: 'codingScore', weight: 0 }
+    ],
+    profileUrlPatterns: [/geeksforgeeks\.org\/(?:user|profile)\/([^/?#\s]+)/i],
+    describe: data => `${data.solved} problems (S:${data.school} B:${data.basic} E:${data.easy} M:${data.medium} H:${data.hard}), coding score ${data.codingScore}${data.instituteRank ? `, institute rank ${data.instituteRank}` : ''}`,
+
+    summarize: (entries) => {
+        const total = (key) => entries.reduce((sum, e) => sum + (e.data[key] || 0), 0);
+        const ranked = entries.filter(e => e.data.instituteRank);
+        const best = ranked.reduce((min, e) => (!min || e.data.instituteRank < min.data.instituteRank ? e : min), null);
+        return {
+            totalProblems: total('solved'),
+            avgProblems: entries.length ? total('solved') / entries.length : 0,
+            avgCodingScore: entries.length ? total('codingScore') / entries.length : 0,
+            byDifficulty: Object.fromEntries(Object.values(DIFFICULTIES).map(key => [key, total(key)])),
+            bestInstituteRank: best ? { name: best.name, rank: best.data.instituteRank, institute: best.data.institute } : null
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => {
+        const profile = await getProfile(username, limiter);
+        return profile ? { exists: true, canonical: profile.userName || username } : { exists: false };
+    },
+
+    fetch: async (username, { limiter }) => {
+        const profile = await getProfile(username, limiter);
+        if (!profile) {
+            console.log(`👤 GeeksforGeeks user not found: ${username}`);
+            return { ...emptyResult(), status: STATUS.NOT_FOUND };
+        }
+
+        const result = {
+            ...emptyResult(),
+            codingScore: toNumber(profile.score) || 0,
+            solved: toNumber(profile.total_problems_solved) || 0,
+            instituteRank: toNumber(profile.institute_rank) || null,
+            institute: profile.institute_name || null,
+            monthlyScore: toNumber(profile.monthly_score) || 0,
+            currentStreak: toNumber(profile.pod_solved_current_streak) || 0,
+            longestStreak: toNumber(profile.pod_solved_longest_streak) || 0
+        };
+
+        // The difficulty split needs a second call; the profile numbers stand without it
+        try {
+            const submissions = await getSubmissions(username, limiter);
+            Object.entries(DIFFICULTIES).forEach(([group, key]) => {
+                result[key] = Object.keys(submissions[group] || {}).length;
+            });
+        } catch (error) {
+            console.log(`⚠️  GeeksforGeeks submissions failed for ${username}, difficulty split unavailable`);
+            return { ...result, status: STATUS.PARTIAL, error: `submissions: ${error.message}` };
+        }
+        return result;
+    }
+};
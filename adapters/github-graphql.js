@@ -0,0 +1,148 @@
+const axios = require('axios');
+const { CONFIG, RATE_LIMITED_CODE, retryRequest } = require('../core');
+
+// GitHub GraphQL path, used when GITHUB_TOKEN is set (the GraphQL API needs a token).
+// Profiles requested close together are fetched in one aliased query:
+//   query($l0: String!, $l1: String!) { u0: user(login: $l0) {...} u1: user(login: $l1) {...} }
+const GRAPHQL_URL = 'https://api.github.com/graphql';
+const BATCH_SIZE = 20;     // users per query, keeps the query well under GitHub's node limit
+const BATCH_WAIT = 100;    // ms to wait for more users before sending a partial batch
+const TOP_LANGUAGES = 5;
+
+const USER_FIELDS = `
+    login
+    sourceRepos: repositories(ownerAffiliations: OWNER, isFork: false, privacy: PUBLIC, first: 100, orderBy: { field: STARGAZERS, direction: DESC }) {
+        totalCount
+        nodes { stargazerCount primaryLanguage { name } }
+    }
+    forks: repositories(ownerAffiliations: OWNER, isFork: true, privacy: PUBLIC) { totalCount }
+    pullRequests { totalCount }
+    issues { totalCount }
+    mergedPullRequests: pullRequests(states: MERGED, first: 100, orderBy: { field: CREATED_AT, direction: DESC }) {
+        totalCount
+        nodes { repository { owner { login } } }
+    }
+    contributionsCollection {
+        contributionCalendar {
+            totalContributions
+            weeks { contributionDays { date contributionCount } }
+        }
+    }`;
+
+function buildQuery(count) {
+    const variables = Array.from({ length: count }, (_, i) => `$l${i}: String!`).join(', ');
+    const users = Array.from({ length: count }, (_, i) => `u${i}: user(login: $l${i}) {${USER_FIELDS}\n}`).join('\n');
+    return `query(${variables}) {\n${users}\n}`;
+}
+
+// GraphQL user -> the GitHub result fields
+function parseUser(user) {
+    const login = user.login.toLowerCase();
+    const repos = user.sourceRepos.nodes || [];
+
+    const languageCounts = {};
+    repos.forEach(repo => {
+        const language = repo.primaryLanguage?.name;
+        if (language) languageCounts[language] = (languageCounts[language] || 0) + 1;
+    });
+    const languages = Object.fromEntries(
+        Object.entries(languageCounts).sort((a, b) => b[1] - a[1]).slice(0, TOP_LANGUAGES)
+    );
+
+    // Days with contributions only: { "2024-03-01": 4 }
+    const calendarData = user.contributionsCollection.contributionCalendar;
+    const calendar = {};
+    calendarData.weeks.forEach(week => week.contributionDays.forEach(day => {
+        if (day.contributionCount > 0) calendar[day.date] = day.contributionCount;
+    }));
+
+    // Merged PRs into repositories the student does not own (latest 100 PRs)
+    const externalMergedPRs = (user.mergedPullRequests.nodes || [])
+        .filter(pr => pr.repository?.owner?.login?.toLowerCase() !== login)
+        .length;
+
+    // Forks are reported on their own and never scored: forking is one click
+    return {
+        repos: user.sourceRepos.totalCount,
+        sourceRepos: user.sourceRepos.totalCount,
+        forks: user.forks.totalCount,
+        stars: repos.reduce((sum, repo) => sum + repo.stargazerCount, 0),
+        languages,
+        mergedPRs: user.mergedPullRequests.totalCount,
+        externalMergedPRs,
+        openedPRs: user.pullRequests.totalCount,
+        openedIssues: user.issues.totalCount,
+        contributions: calendarData.totalContributions,
+        activeDays: Object.keys(calendar).length,
+        calendar
+    };
+}
+
+// Collects logins and resolves each with its parsed profile (null when the user does not exist)
+class GraphQLBatcher {
+    constructor(options = {}) {
+        this.batchSize = options.batchSize || BATCH_SIZE;
+        this.wait = options.wait ?? BATCH_WAIT;
+        this.pending = [];
+        this.timer = null;
+    }
+
+    load(login, limiter) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ login, limiter, resolve, reject });
+            if (this.pending.length >= this.batchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.wait);
+            }
+        });
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const batch = this.pending.splice(0, this.batchSize);
+        if (this.pending.length > 0) this.timer = setTimeout(() => this.flush(), this.wait);
+        if (batch.length === 0) return;
+
+        this.send(batch).catch(error => batch.forEach(item => item.reject(error)));
+    }
+
+    async send(batch) {
+        const variables = {};
+        batch.forEach((item, i) => { variables[`l${i}`] = item.login; });
+        console.log(`📡 GitHub GraphQL batch: ${batch.length} users`);
+
+        const response = await retryRequest(() => axios.post(GRAPHQL_URL, { query: buildQuery(batch.length), variables }, {
+            headers: {
+                'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            },
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter: batch[0].limiter
+        }));
+
+        const { data, errors = [] } = response.data;
+        const queryError = errors.find(error => !error.path);
+        if (!data || queryError) {
+            const limited = errors.some(error => error.type === 'RATE_LIMITED');
+            const error = new Error(`GitHub GraphQL: ${(queryError || errors[0])?.message || 'empty response'}`);
+            if (limited) error.code = RATE_LIMITED_CODE;
+            throw error;
+        }
+
+        batch.forEach((item, i) => {
+            const user = data[`u${i}`];
+            const userError = errors.find(error => error.path?.[0] === `u${i}`);
+            if (user) {
+                item.resolve(parseUser(user));
+            } else if (!userError || userError.type === 'NOT_FOUND') {
+                item.resolve(null);
+            } else {
+                item.reject(new Error(`GitHub GraphQL: ${userError.message}`));
+            }
+        });
+    }
+}
+
+module.exports = { GraphQLBatcher, buildQuery, parseUser, GRAPHQL_URL };
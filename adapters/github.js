@@ -0,0 +1,220 @@
+const axios = require('axios');
+const { CONFIG, STATUS, RateLimiter, retryRequest } = require('../core');
+const { GraphQLBatcher } = require('./github-graphql');
+
+// The search API has its own, much lower budget (30/min)
+const searchLimiter = new RateLimiter(3000); // GitHub Search: 3s
+
+// With a token, profiles come from batched GraphQL queries instead of REST + search
+const batcher = new GraphQLBatcher();
+
+// Only filled in by the GraphQL path; REST results keep repos/forks/mergedPRs.
+// `repos` is what gets scored: source repos (forks excluded) on both paths
+const emptyResult = () => ({
+    repos: 0,
+    mergedPRs: 0,
+    sourceRepos: 0,
+    forks: 0,
+    stars: 0,
+    languages: {},
+    externalMergedPRs: 0,
+    openedPRs: 0,
+    openedIssues: 0,
+    contributions: 0,
+    activeDays: 0,
+    calendar: {}
+});
+
+// The user endpoint's public_repos includes forks: list the repos to split them
+async function countRepos(username, publicRepos, headers, limiter) {
+    const counts = { repos: 0, forks: 0 };
+    for (let page = 1; page <= Math.ceil(publicRepos / 100); page++) {
+        const response = await axios.get(`https://api.github.com/users/${username}/repos`, {
+            params: { type: 'owner', per_page: 100, page },
+            headers,
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter
+        });
+        response.data.forEach(repo => { counts[repo.fork ? 'forks' : 'repos']++; });
+        if (response.data.length < 100) break;
+    }
+    return counts;
+}
+
+// Sum a numeric field over the students that have it (GraphQL results only)
+function graphqlTotals(entries, keys) {
+    const detailed = entries.filter(e => e.data.source === 'graphql');
+    const totals = { detailedStudents: detailed.length };
+    keys.forEach(key => {
+        totals[`total${key[0].toUpperCase()}${key.slice(1)}`] = detailed.reduce((sum, e) => sum + (e.data[key] || 0), 0);
+    });
+    return totals;
+}
+
+async function fetchGraphQL(username, limiter) {
+    const profile = await batcher.load(username, limiter);
+    if (!profile) {
+        console.log(`👤 GitHub user not found: ${username}`);
+        return { ...emptyResult(), status: STATUS.NOT_FOUND };
+    }
+    console.log(`✅ GitHub GraphQL data for ${username}: ${profile.sourceRepos} repos (+${profile.forks} forks), ${profile.contributions} contributions`);
+    return { ...profile, source: 'graphql' };
+}
+
+module.exports = {
+    name: 'github',
+    label: 'GitHub',
+    icon: '🐙',
+    handleKey: 'github',
+    profileUrl: 'https://github.com/{handle}',
+    rateLimit: 1200, // GitHub User API: 1.2s (5000/hour)
+    cacheTTL: CONFIG.CACHE_DURATION,
+    sanity: { repos: { max: 1000 }, mergedPRs: { max: 5000 } },
+    // Without a token the REST API allows 60 requests/hour, one profile each
+    dailyBudget: () => (process.env.GITHUB_TOKEN ? null : 1400),
+    emptyResult,
+    problemsSolved: () => 0,
+    fields: [
+        { key: 'github_repos', label: 'GitHub Repos', path: 'repos', weight: 2.0 },
+        { key: 'github_prs', label: 'GitHub PRs', path: 'mergedPRs', weight: 3.0 },
+        { key: 'github_source_repos', label: 'GitHub Source Repos', path: 'sourceRepos', weight: 0 },
+        { key: 'github_forks', label: 'GitHub Forks', path: 'forks', weight: 0 },
+        { key: 'github_stars', label: 'GitHub Stars', path: 'stars', weight: 0 },
+        { key: 'github_contributions', label: 'GitHub Contributions', path: 'contributions', weight: 0 }
+    ],
+    profileUrlPatterns: [/github\.com\/([^/?#\s]+)/i],
+    describe: data => data.source === 'graphql'
+        ? `${data.sourceRepos} repos (+${data.forks} forks), ${data.stars} stars, ${data.mergedPRs} merged PRs (${data.externalMergedPRs} external), ${data.contributions} contributions`
+        : `${data.repos} repos (+${data.forks || 0} forks), ${data.mergedPRs} merged PRs`,
+
+    summarize: (entries) => {
+        const totalRepos = entries.reduce((sum, e) => sum + e.data.repos, 0);
+        const totalMergedPRs = entries.reduce((sum, e) => sum + e.data.mergedPRs, 0);
+        return {
+            totalRepos,
+            totalMergedPRs,
+            avgRepos: entries.length ? totalRepos / entries.length : 0,
+            avgMergedPRs: entries.length ? totalMergedPRs / entries.length : 0,
+            ...graphqlTotals(entries, ['sourceRepos', 'forks', 'stars', 'externalMergedPRs', 'contributions']),
+            topLanguages: entries.reduce((totals, e) => {
+                Object.entries(e.data.languages || {}).forEach(([language, count]) => {
+                    totals[language] = (totals[language] || 0) + count;
+                });
+                return totals;
+            }, {})
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            const headers = {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            };
+            if (process.env.GITHUB_TOKEN) {
+                headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+            }
+
+            try {
+                const response = await axios.get(`https://api.github.com/users/${username}`, {
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+                return { exists: true, canonical: response.data.login };
+            } catch (error) {
+                if (error.response?.status === 404) return { exists: false };
+                throw error;
+            }
+        });
+    },
+
+    verifyHint: 'GitHub → Settings → Public profile → Bio',
+    profileText: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            const headers = {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            };
+            if (process.env.GITHUB_TOKEN) {
+                headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+            }
+
+            try {
+                const response = await axios.get(`https://api.github.com/users/${username}`, {
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+                const { name, bio, company, blog } = response.data;
+                return [name, bio, company, blog].filter(Boolean).join('\n');
+            } catch (error) {
+                if (error.response?.status === 404) return null;
+                throw error;
+            }
+        });
+    },
+
+    fetch: async (username, { limiter }) => {
+        if (process.env.GITHUB_TOKEN) return fetchGraphQL(username, limiter);
+
+        return retryRequest(async () => {
+            const headers = {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            };
+
+            console.log(`⚠️  No GitHub token - rate limits may apply for ${username}`);
+
+            try {
+                // Get user info for repo count
+                console.log(`📡 Fetching GitHub data for: ${username}`);
+                const userResponse = await axios.get(`https://api.github.com/users/${username}`, {
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+
+                const { repos, forks } = await countRepos(username, userResponse.data.public_repos || 0, headers, limiter);
+                console.log(`✅ GitHub user data for ${username}: ${repos} repos (+${forks} forks)`);
+
+                let mergedPRs = 0;
+                let prError = null;
+                try {
+                    // Get merged PRs count
+                    const prResponse = await axios.get(`https://api.github.com/search/issues`, {
+                        params: {
+                            q: `is:pr is:merged author:${username}`,
+                            per_page: 1
+                        },
+                        headers,
+                        timeout: CONFIG.REQUEST_TIMEOUT,
+                        limiter: searchLimiter
+                    });
+
+                    mergedPRs = prResponse.data.total_count || 0;
+                    console.log(`✅ GitHub PR data for ${username}: ${mergedPRs} merged PRs`);
+                } catch (error) {
+                    console.log(`⚠️  GitHub PR search failed for ${username}, PR count unavailable`);
+                    prError = error;
+                }
+
+                return {
+                    repos,
+                    forks,
+                    mergedPRs: mergedPRs,
+                    ...(prError ? { status: STATUS.PARTIAL, error: `merged PR search: ${prError.message}` } : {})
+                };
+
+            } catch (error) {
+                console.error(`❌ GitHub API error for ${username}:`, error.message);
+                if (error.response?.status === 403) {
+                    console.error(`🚫 Rate limit exceeded for ${username}. Consider adding GITHUB_TOKEN to .env file`);
+                } else if (error.response?.status === 404) {
+                    console.log(`👤 GitHub user not found: ${username}`);
+                }
+                throw error;
+            }
+        });
+    }
+};
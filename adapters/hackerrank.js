@@ -0,0 +1,137 @@
+const axios = require('axios');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+
+const emptyResult = () => ({ badges: 0, stars: 0, tracks: {}, certificates: [], certificateCount: 0, solved: 0 });
+
+// HackerRank: undocumented REST endpoints used by the public profile page
+module.exports = {
+    name: 'hackerrank',
+    label: 'HackerRank',
+    icon: '⭐',
+    handleKey: 'hackerrank',
+    profileUrl: 'https://www.hackerrank.com/profile/{handle}',
+    rateLimit: 1000, // HackerRank: 1s
+    cacheTTL: CONFIG.CACHE_DURATION * 3, // badges and certificates change rarely
+    sanity: { solved: { max: 2500, maxDailyGain: 50 }, certificateCount: { max: 30 } },
+    emptyResult,
+    problemsSolved: data => data.solved,
+    fields: [
+        { key: 'hackerrank_stars', label: 'HackerRank Stars', path: 'stars', weight: 2.0 },
+        { key: 'hackerrank_certs', label: 'HackerRank Certificates', path: 'certificateCount', weight: 5.0 },
+        { key: 'hackerrank_solved', label: 'HackerRank Solved', path: 'solved', weight: 0.5 }
+    ],
+    profileUrlPatterns: [/hackerrank\.com\/(?:profile\/)?([^/?#\s]+)/i],
+    describe: data => `${data.stars} stars, ${data.certificateCount} certificates`,
+
+    summarize: (entries) => {
+        const totalStars = entries.reduce((sum, e) => sum + e.data.stars, 0);
+        const totalCertificates = entries.reduce((sum, e) => sum + e.data.certificateCount, 0);
+
+        // Most common certificates (placement cell asks for these)
+        const certificateCounts = {};
+        entries.forEach(e => {
+            (e.data.certificates || []).forEach(label => {
+                certificateCounts[label] = (certificateCounts[label] || 0) + 1;
+            });
+        });
+
+        return {
+            totalStars,
+            totalCertificates,
+            totalSolved: entries.reduce((sum, e) => sum + e.data.solved, 0),
+            studentsWithCertificates: entries.filter(e => e.data.certificateCount > 0).length,
+            avgStars: entries.length ? totalStars / entries.length : 0,
+            avgCertificates: entries.length ? totalCertificates / entries.length : 0,
+            topCertificates: Object.entries(certificateCounts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([label, students]) => ({ label, students }))
+        };
+    },
+
+    lookupHandle: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            try {
+                const response = await axios.get(`https://www.hackerrank.com/rest/contests/master/hackers/${encodeURIComponent(username)}/profile`, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                    },
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+                return { exists: true, canonical: response.data?.model?.username };
+            } catch (error) {
+                if (error.response?.status === 404) return { exists: false };
+                throw error;
+            }
+        });
+    },
+
+    fetch: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            const headers = {
+                'Accept': 'application/json',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            };
+
+            let badgeModels;
+            try {
+                const badgeResponse = await axios.get(`https://www.hackerrank.com/rest/hackers/${encodeURIComponent(username)}/badges`, {
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+                badgeModels = badgeResponse.data?.models || [];
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    console.log(`👤 HackerRank user not found: ${username}`);
+                    return { ...emptyResult(), status: STATUS.NOT_FOUND };
+                }
+                throw error;
+            }
+
+            // Stars per track (Problem Solving, Python, SQL, ...) and challenges solved
+            const tracks = {};
+            let stars = 0;
+            let solved = 0;
+            badgeModels.forEach(badge => {
+                const name = badge.badge_name || badge.badge_type;
+                if (!name) return;
+                tracks[name] = badge.stars || 0;
+                stars += badge.stars || 0;
+                solved += badge.solved || 0;
+            });
+
+            let certificates = [];
+            let certError = null;
+            try {
+                const certResponse = await axios.get('https://www.hackerrank.com/community/v1/test_results/hacker_certificate', {
+                    params: { username },
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT,
+                    limiter
+                });
+
+                certificates = (certResponse.data?.data || [])
+                    .map(item => item.attributes || {})
+                    .filter(attrs => attrs.status === 'test_passed')
+                    .map(attrs => attrs.certificate?.label || attrs.certificate?.name || attrs.label)
+                    .filter(Boolean);
+            } catch (error) {
+                console.log(`⚠️  HackerRank certificate lookup failed for ${username}, certificates unavailable`);
+                certError = error;
+            }
+
+            return {
+                badges: badgeModels.length,
+                stars,
+                tracks,
+                certificates,
+                certificateCount: certificates.length,
+                solved,
+                ...(certError ? { status: STATUS.PARTIAL, error: `certificates: ${certError.message}` } : {})
+            };
+        });
+    }
+};
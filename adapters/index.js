@@ -0,0 +1,288 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CONFIG, STATUS, RateLimiter, classifyError, isUnavailable, cache } = require('../core');
+const { parseDuration } = require('../cache');
+
+// Built-in platforms, in display order
+const BUILTIN_ADAPTERS = ['leetcode', 'github', 'codeforces', 'atcoder', 'hackerrank', 'skillrack', 'codechef', 'geeksforgeeks'];
+
+const REQUIRED_PROPERTIES = ['name', 'label', 'handleKey', 'emptyResult', 'fields', 'fetch'];
+
+// Read a dotted path ("stats.solved") from a platform result
+function getPath(obj, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// Platform adapter registry
+//
+// Each adapter module declares:
+//   name, label, icon       - identifier and display strings
+//   handleKey               - key in student.handles
+//   aliases                 - other names of the platform in roster column headers (optional)
+//   profileUrl              - profile link template with {handle} (or {id}/{key} for object handles) (optional)
+//   rateLimit               - minimum ms between requests
+//   burst                   - requests allowed back to back before rateLimit applies (optional, default 1)
+//   cacheTTL                - ms a fetched result is served from the cache (0: always fetched, the
+//                             last good result is still kept for the stale fallback);
+//                             CACHE_TTL_<NAME> (e.g. CACHE_TTL_GITHUB=6h) overrides it
+//   dailyBudget             - profiles the scheduler may fetch per day, number or function
+//                             (optional, unlimited); DAILY_BUDGET_<NAME> overrides it
+//   sanity                  - { <result path>: { max, maxDailyGain } } plausible values for the
+//                             audit (optional)
+//   emptyResult()           - result used when there is no handle or the fetch failed
+//   fields                  - [{ key, label, path, weight }] leaderboard columns and score weights
+//   problemsSolved(data)    - contribution to totalCP (optional)
+//   describe(data)          - one-line progress message (optional)
+//   summarize(entries)      - platform section of summary.json (optional)
+//   hasHandle(handle)       - whether the handle is usable (optional)
+//   profileUrlPatterns      - regexes capturing the handle from a pasted profile URL (optional)
+//   parseHandle(raw)        - custom handle normalization, replaces the URL patterns (optional)
+//   lookupHandle(handle, context) - check the handle exists: { exists, canonical } (optional)
+//   profileText(handle, context) - free-text profile fields the student controls (bio, about,
+//                             affiliation) for the ownership check; null for unknown users (optional)
+//   verifyHint              - where the student puts the verification token (with profileText)
+//   fetch(handle, context)  - fetch fresh data; context carries the platform limiter, passed
+//                             as `limiter` in the axios config so every request (retries
+//                             included) waits for it and reports rate-limit headers back.
+//                             May set `status` (e.g. not_found, partial) and `error`;
+//                             thrown errors become an error/rate_limited/not_found result.
+class AdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+        this.limiters = new Map();
+    }
+
+    register(adapter) {
+        const missing = REQUIRED_PROPERTIES.filter(prop => adapter[prop] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Adapter ${adapter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+        }
+        if (this.adapters.has(adapter.name)) {
+            console.log(`⚠️  Adapter ${adapter.name} overridden`);
+        }
+        this.adapters.set(adapter.name, adapter);
+        this.limiters.set(adapter.name, new RateLimiter(adapter.rateLimit, { burst: adapter.burst }));
+        return this;
+    }
+
+    // Load every *.js file in a directory as an adapter module
+    loadDirectory(dir) {
+        const absoluteDir = path.resolve(dir);
+        if (!fs.existsSync(absoluteDir)) {
+            console.log(`⚠️  Adapter directory not found: ${absoluteDir}`);
+            return this;
+        }
+        fs.readdirSync(absoluteDir)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                this.register(require(path.join(absoluteDir, file)));
+                console.log(`🔌 Loaded adapter ${file} from ${absoluteDir}`);
+            });
+        return this;
+    }
+
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    hasHandle(adapter, handle) {
+        return adapter.hasHandle ? adapter.hasHandle(handle) : Boolean(handle);
+    }
+
+    // "<platform>_<handle>", object handles (SkillRack) by their id
+    cacheKey(adapter, handle) {
+        return `${adapter.name}_${typeof handle === 'object' ? handle.id : handle}`;
+    }
+
+    cacheTTL(adapter) {
+        const override = process.env[`CACHE_TTL_${adapter.name.toUpperCase()}`];
+        return override ? parseDuration(override) : adapter.cacheTTL ?? 0;
+    }
+
+    // null when the platform has no daily limit
+    dailyBudget(adapter) {
+        const override = process.env[`DAILY_BUDGET_${adapter.name.toUpperCase()}`];
+        if (override) return Number(override);
+        const budget = typeof adapter.dailyBudget === 'function' ? adapter.dailyBudget() : adapter.dailyBudget;
+        return budget ?? null;
+    }
+
+    // Whether a fetch would be answered from the cache without a request
+    isCached(adapter, handle) {
+        const ttl = this.cacheTTL(adapter);
+        return ttl > 0 && Boolean(cache.get(this.cacheKey(adapter, handle), ttl));
+    }
+
+    // Last good result for a failed fetch, if it is not older than CACHE_MAX_STALE
+    staleResult(adapter, handle, failed) {
+        const entry = cache.getEntry(this.cacheKey(adapter, handle));
+        if (!entry || entry.data?.status !== STATUS.OK) return null;
+        if (Date.now() - entry.timestamp >= CONFIG.CACHE_MAX_STALE) return null;
+
+        const cachedAt = new Date(entry.timestamp).toISOString();
+        console.log(`♻️  ${adapter.label} ${failed.status} for ${typeof handle === 'object' ? handle.id : handle}, serving cached data from ${cachedAt}`);
+        return {
+            ...entry.data,
+            status: STATUS.STALE,
+            cachedAt,
+            error: `${failed.status}${failed.error ? `: ${failed.error}` : ''}`
+        };
+    }
+
+    // Fetch one platform for one handle, going through the cache (`force` skips the cached copy).
+    // Never throws for platform failures: the result carries status and error instead.
+    // A failed or rate-limited fetch falls back to the last cached result (status stale),
+    // also on platforms with cacheTTL 0: their results are stored, just never served fresh.
+    async fetch(name, handle, { force = false } = {}) {
+        const adapter = this.get(name);
+        if (!adapter) throw new Error(`Unknown platform: ${name}`);
+        if (!this.hasHandle(adapter, handle)) return { ...adapter.emptyResult(), status: STATUS.NO_HANDLE };
+
+        const ttl = this.cacheTTL(adapter);
+        const cacheKey = this.cacheKey(adapter, handle);
+        if (ttl > 0 && !force) {
+            const cached = cache.get(cacheKey, ttl);
+            if (cached) return cached;
+        }
+
+        let result;
+        try {
+            result = await adapter.fetch(handle, { limiter: this.limiters.get(name) });
+            result = { ...result, status: result.status || STATUS.OK };
+        } catch (error) {
+            result = { ...adapter.emptyResult(), status: classifyError(error), error: error.message };
+        }
+
+        if (isUnavailable(result)) {
+            return this.staleResult(adapter, handle, result) || result;
+        }
+
+        // Only definitive answers are cached; partial results are fetched again next run
+        if (result.status === STATUS.OK || result.status === STATUS.NOT_FOUND) {
+            cache.set(cacheKey, result);
+        }
+        return result;
+    }
+
+    // Turn whatever was typed into the roster (URL, "@name", padded string) into a handle
+    normalizeHandle(adapter, raw) {
+        if (raw == null) return '';
+        if (adapter.parseHandle) return adapter.parseHandle(raw);
+        if (typeof raw !== 'string') return raw;
+
+        const value = raw.trim();
+        for (const pattern of adapter.profileUrlPatterns || []) {
+            const match = value.match(pattern);
+            if (match && match[1]) return decodeURIComponent(match[1]);
+        }
+        return value.replace(/^@/, '').replace(/\/+$/, '');
+    }
+
+    async lookupHandle(name, handle) {
+        const adapter = this.get(name);
+        if (!adapter?.lookupHandle) return null;
+        return adapter.lookupHandle(handle, { limiter: this.limiters.get(name) });
+    }
+
+    async profileText(name, handle) {
+        const adapter = this.get(name);
+        if (!adapter?.profileText) return null;
+        return adapter.profileText(handle, { limiter: this.limiters.get(name) });
+    }
+
+    // Platform data of a student record, falling back to the empty result
+    platformData(data, adapter) {
+        return { ...adapter.emptyResult(), ...(data?.[adapter.name] || {}) };
+    }
+
+    // Data for a student that could not be processed at all
+    failedData(message) {
+        const data = {};
+        this.list().forEach(adapter => {
+            data[adapter.name] = { ...adapter.emptyResult(), status: STATUS.ERROR, error: message };
+        });
+        data.totalCP = 0;
+        return data;
+    }
+
+    totalProblems(data) {
+        return this.list().reduce((sum, adapter) => {
+            if (!adapter.problemsSolved) return sum;
+            return sum + (adapter.problemsSolved(this.platformData(data, adapter)) || 0);
+        }, 0);
+    }
+
+    // Flat list of leaderboard columns across all platforms
+    fields() {
+        return this.list().flatMap(adapter => adapter.fields.map(field => ({ platform: adapter.name, ...field })));
+    }
+
+    fieldValue(data, field) {
+        return Number(getPath(data?.[field.platform], field.path)) || 0;
+    }
+
+    // Serializable platform list for frontend.html
+    describePlatforms() {
+        return this.list().map(adapter => ({
+            name: adapter.name,
+            label: adapter.label,
+            handleKey: adapter.handleKey,
+            profileUrl: adapter.profileUrl || null
+        }));
+    }
+
+    // Serializable description for frontend.html
+    describeFields() {
+        return this.fields().map(({ platform, key, label, path: fieldPath }) => ({ platform, key, label, path: fieldPath }));
+    }
+
+    // Platform sections of summary.json; failed fetches are left out of totals and averages
+    summarize(results) {
+        const platforms = {};
+        this.list().forEach(adapter => {
+            const entries = results
+                .filter(r => !isUnavailable(r.data?.[adapter.name]))
+                .map(r => ({ id: r.id, name: r.name, data: this.platformData(r.data, adapter) }));
+            platforms[adapter.name] = adapter.summarize ? adapter.summarize(entries) : this.defaultSummary(adapter, entries);
+        });
+        return platforms;
+    }
+
+    // Success/failure counts per platform and status
+    statusCounts(results) {
+        const counts = {};
+        this.list().forEach(adapter => {
+            counts[adapter.name] = {};
+            results.forEach(r => {
+                // Records from before per-platform statuses count as ok
+                const status = r.data?.[adapter.name]?.status || (r.error ? STATUS.ERROR : STATUS.OK);
+                counts[adapter.name][status] = (counts[adapter.name][status] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    defaultSummary(adapter, entries) {
+        const summary = {};
+        adapter.fields.forEach(field => {
+            const total = entries.reduce((sum, e) => sum + (Number(getPath(e.data, field.path)) || 0), 0);
+            summary[field.key] = { total, avg: entries.length ? total / entries.length : 0 };
+        });
+        return summary;
+    }
+}
+
+const registry = new AdapterRegistry();
+BUILTIN_ADAPTERS.forEach(name => registry.register(require(`./${name}`)));
+
+// Private adapters: ADAPTERS_DIR=/path/to/dir (several separated by the path delimiter)
+if (process.env.ADAPTERS_DIR) {
+    process.env.ADAPTERS_DIR.split(path.delimiter).filter(Boolean).forEach(dir => registry.loadDirectory(dir));
+}
+
+module.exports = { registry, AdapterRegistry, getPath };
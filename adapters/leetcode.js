@@ -0,0 +1,259 @@
+const axios = require('axios');
+const { CONFIG, STATUS, retryRequest } = require('../core');
+const { sumCounts } = require('./contest-ratings');
+const { calendarFromTimestamps, calendarStats } = require('./activity');
+
+const HEADERS = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Contest ranking, topics, badges and the submission calendar: a second query, so a
+// change on LeetCode's side costs these extras and not the solved counts
+const EXTRAS_QUERY = `
+    query userProfileExtras($username: String!) {
+        userContestRanking(username: $username) {
+            attendedContestsCount
+            rating
+            globalRanking
+            topPercentage
+        }
+        matchedUser(username: $username) {
+            tagProblemCounts {
+                advanced { tagName problemsSolved }
+                intermediate { tagName problemsSolved }
+                fundamental { tagName problemsSolved }
+            }
+            badges {
+                displayName
+                creationDate
+            }
+            userCalendar {
+                submissionCalendar
+            }
+        }
+    }
+`;
+
+const emptyResult = () => ({
+    total: 0,
+    easy: 0,
+    medium: 0,
+    hard: 0,
+    beats: {},
+    questionCounts: {},
+    contestRating: 0,
+    contests: 0,
+    globalRanking: null,
+    topPercentage: null,
+    tags: {},
+    badges: [],
+    badgeCount: 0,
+    calendar: {},
+    activeDays: 0,
+    currentStreak: 0,
+    maxStreak: 0,
+    activeDays30: 0,
+    activeDays90: 0
+});
+
+function countFor(items, difficulty, key = 'count') {
+    return items?.find(item => item.difficulty === difficulty)?.[key] || 0;
+}
+
+// Solved problems per topic, { "Array": 120, "Dynamic Programming": 31 }
+function tagCounts(tagProblemCounts) {
+    const tags = {};
+    ['fundamental', 'intermediate', 'advanced'].forEach(level => {
+        (tagProblemCounts?.[level] || []).forEach(tag => {
+            if (tag.problemsSolved > 0) tags[tag.tagName] = tag.problemsSolved;
+        });
+    });
+    return tags;
+}
+
+// submissionCalendar is a JSON string: { "<unix seconds>": submissions }
+function parseCalendar(submissionCalendar) {
+    try {
+        return calendarFromTimestamps(JSON.parse(submissionCalendar || '{}'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function fetchExtras(username, limiter) {
+    return retryRequest(async () => {
+        const response = await axios.post('https://leetcode.com/graphql', {
+            query: EXTRAS_QUERY,
+            variables: { username }
+        }, {
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            limiter,
+            headers: HEADERS
+        });
+
+        const data = response.data?.data;
+        if (!data?.matchedUser) {
+            throw new Error(response.data?.errors?.[0]?.message || 'profile extras missing from the response');
+        }
+
+        // userContestRanking is null until the first contest
+        const contest = data.userContestRanking;
+        const calendar = parseCalendar(data.matchedUser.userCalendar?.submissionCalendar);
+        const badges = (data.matchedUser.badges || []).map(badge => ({ name: badge.displayName, date: badge.creationDate || null }));
+        return {
+            contestRating: contest ? Math.round(contest.rating) : 0,
+            contests: contest?.attendedContestsCount || 0,
+            globalRanking: contest?.globalRanking || null,
+            topPercentage: contest?.topPercentage ?? null,
+            tags: tagCounts(data.matchedUser.tagProblemCounts),
+            badges,
+            badgeCount: badges.length,
+            calendar,
+            activeDays: Object.keys(calendar).length,
+            ...calendarStats(calendar)
+        };
+    });
+}
+
+// LeetCode: public GraphQL endpoint, no auth required
+module.exports = {
+    name: 'leetcode',
+    label: 'LeetCode',
+    icon: '📊',
+    handleKey: 'leetcode',
+    profileUrl: 'https://leetcode.com/u/{handle}/',
+    rateLimit: 500, // 500ms
+    cacheTTL: CONFIG.CACHE_DURATION,
+    sanity: { total: { max: 3500, maxDailyGain: 40 } }, // ~3.4k problems on the site
+    emptyResult,
+    problemsSolved: data => data.total,
+    fields: [
+        { key: 'leetcode', label: 'LeetCode', path: 'total', weight: 1.0 },
+        { key: 'leetcode_contest_rating', label: 'LeetCode Contest Rating', path: 'contestRating', weight: 0 },
+        { key: 'leetcode_streak', label: 'LeetCode Max Streak', path: 'maxStreak', weight: 0 },
+        { key: 'leetcode_active_30', label: 'LeetCode Active Days (30d)', path: 'activeDays30', weight: 0 }
+    ],
+    profileUrlPatterns: [/leetcode\.com\/(?:u\/|profile\/)?([^/?#\s]+)/i],
+    describe: data => `${data.total} problems (E:${data.easy} M:${data.medium} H:${data.hard})` +
+        `${data.contests ? `, contest rating ${data.contestRating}` : ''}, streak ${data.currentStreak || 0} (max ${data.maxStreak || 0})`,
+
+    summarize: (entries) => {
+        const totalProblems = entries.reduce((sum, e) => sum + e.data.total, 0);
+        const top = entries.reduce((max, e) => (!max || e.data.total > max.data.total ? e : max), null);
+        const rated = entries.filter(e => e.data.contests > 0);
+        const topRated = rated.reduce((max, e) => (!max || e.data.contestRating > max.data.contestRating ? e : max), null);
+        const longest = entries.reduce((max, e) => (!max || (e.data.maxStreak || 0) > (max.data.maxStreak || 0) ? e : max), null);
+        const average = (list, key) => (list.length ? list.reduce((sum, e) => sum + (e.data[key] || 0), 0) / list.length : 0);
+        return {
+            totalProblems,
+            avgProblems: entries.length ? totalProblems / entries.length : 0,
+            topSolver: top ? { name: top.name, problems: top.data.total } : null,
+            ratedStudents: rated.length,
+            avgContestRating: average(rated, 'contestRating'),
+            topRated: topRated ? { name: topRated.name, rating: topRated.data.contestRating, globalRanking: topRated.data.globalRanking } : null,
+            avgActiveDays30: average(entries, 'activeDays30'),
+            activeLast30: entries.filter(e => e.data.activeDays30 > 0).length,
+            longestStreak: longest?.data.maxStreak ? { name: longest.name, days: longest.data.maxStreak } : null,
+            totalBadges: entries.reduce((sum, e) => sum + (e.data.badgeCount || 0), 0),
+            topTags: sumCounts(entries.map(e => e.data.tags), 15)
+        };
+    },
+
+    // matchedUser is null for unknown usernames; its username has the canonical case
+    lookupHandle: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            const response = await axios.post('https://leetcode.com/graphql', {
+                query: 'query userExists($username: String!) { matchedUser(username: $username) { username } }',
+                variables: { username }
+            }, {
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                limiter,
+                headers: HEADERS
+            });
+
+            const user = response.data?.data?.matchedUser;
+            return user ? { exists: true, canonical: user.username } : { exists: false };
+        });
+    },
+
+    verifyHint: 'LeetCode → Edit Profile → Summary',
+    profileText: async (username, { limiter }) => {
+        return retryRequest(async () => {
+            const response = await axios.post('https://leetcode.com/graphql', {
+                query: 'query userProfileText($username: String!) { matchedUser(username: $username) { profile { realName aboutMe } } }',
+                variables: { username }
+            }, {
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                limiter,
+                headers: HEADERS
+            });
+
+            const profile = response.data?.data?.matchedUser?.profile;
+            return profile ? [profile.realName, profile.aboutMe].filter(Boolean).join('\n') : null;
+        });
+    },
+
+    fetch: async (username, { limiter }) => {
+        const counts = await retryRequest(async () => {
+            const query = `
+                query userProblemsSolved($username: String!) {
+                    allQuestionsCount {
+                        difficulty
+                        count
+                    }
+                    matchedUser(username: $username) {
+                        problemsSolvedBeatsStats {
+                            difficulty
+                            percentage
+                        }
+                        submitStatsGlobal {
+                            acSubmissionNum {
+                                difficulty
+                                count
+                            }
+                        }
+                    }
+                }
+            `;
+
+            const response = await axios.post('https://leetcode.com/graphql', {
+                query,
+                variables: { username }
+            }, {
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                limiter,
+                headers: HEADERS
+            });
+
+            // matchedUser is null for unknown usernames
+            const user = response.data?.data?.matchedUser;
+            const data = user?.submitStatsGlobal?.acSubmissionNum;
+            if (!data) return null;
+
+            // Beat percentages and the site-wide question counts, per difficulty
+            const allQuestions = response.data.data.allQuestionsCount;
+            return {
+                total: countFor(data, 'All'),
+                easy: countFor(data, 'Easy'),
+                medium: countFor(data, 'Medium'),
+                hard: countFor(data, 'Hard'),
+                beats: Object.fromEntries(DIFFICULTIES.map(d => [d.toLowerCase(), countFor(user.problemsSolvedBeatsStats, d, 'percentage') || null])),
+                questionCounts: {
+                    total: countFor(allQuestions, 'All'),
+                    ...Object.fromEntries(DIFFICULTIES.map(d => [d.toLowerCase(), countFor(allQuestions, d)]))
+                }
+            };
+        });
+        if (!counts) return { ...emptyResult(), status: STATUS.NOT_FOUND };
+
+        try {
+            return { ...emptyResult(), ...counts, ...await fetchExtras(username, limiter) };
+        } catch (error) {
+            console.log(`⚠️  LeetCode contest/calendar data failed for ${username}, keeping solved counts`);
+            return { ...emptyResult(), ...counts, status: STATUS.PARTIAL, error: `profile extras: ${error.message}` };
+        }
+    }
+};
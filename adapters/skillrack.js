@@ -0,0 +1,69 @@
+const { STATUS } = require('../core');
+const { scrapeSkillRack, emptyResult, CONFIDENCE } = require('../skillrack-simple');
+
+// SkillRack profiles are only reachable through the resume URL (id + key)
+module.exports = {
+    name: 'skillrack',
+    label: 'SkillRack',
+    icon: '🎓',
+    handleKey: 'skillrack',
+    profileUrl: 'https://www.skillrack.com/faces/resume.xhtml?id={id}&key={key}',
+    rateLimit: 800, // SkillRack: 800ms (safer for scraping)
+    cacheTTL: 0, // scraped pages are not cached
+    sanity: { solved: { max: 8000, maxDailyGain: 100 } },
+    emptyResult,
+    problemsSolved: data => data.solved || 0,
+    // A total summed from the breakdown is marked on the leaderboard
+    estimated: data => data.confidence === CONFIDENCE.LOW,
+    fields: [
+        { key: 'skillrack', label: 'SkillRack', path: 'solved', weight: 1.0 }
+    ],
+    describe: (data) => {
+        const medals = data.medals || {};
+        const estimate = data.confidence === CONFIDENCE.LOW ? ' (estimated)' : '';
+        return `${data.solved || 0} problems${estimate}, DC ${data.dc || 0}, DT ${data.dt || 0}, medals ${medals.gold || 0}/${medals.silver || 0}/${medals.bronze || 0}`;
+    },
+
+    // Resume URLs carry both id and key: resume.xhtml?id=449592&key=26c9...
+    parseHandle: (raw) => {
+        if (typeof raw !== 'string') return raw;
+        const id = raw.match(/[?&]id=([^&#\s]+)/i);
+        const key = raw.match(/[?&]key=([^&#\s]+)/i);
+        if (id && key) return { id: id[1], key: key[1] };
+        return raw.trim();
+    },
+
+    // Plain string handles carry no ID/key and cannot be scraped
+    hasHandle: (skillrackData) => Boolean(
+        skillrackData && typeof skillrackData === 'object' && skillrackData.id && skillrackData.key
+    ),
+
+    summarize: (entries) => {
+        const total = (key) => entries.reduce((sum, e) => sum + (e.data[key] || 0), 0);
+        const totalProblems = total('solved');
+
+        // How many totals were read from the page and how many were estimated
+        const confidence = {};
+        entries.forEach(e => {
+            if (e.data.status === STATUS.NO_HANDLE) return;
+            const level = e.data.confidence || CONFIDENCE.NONE;
+            confidence[level] = (confidence[level] || 0) + 1;
+        });
+
+        return {
+            totalProblems,
+            avgProblems: entries.length ? totalProblems / entries.length : 0,
+            totalCodeTracks: total('codeTracks'),
+            totalCodeTests: total('codeTests'),
+            totalDC: total('dc'),
+            totalDT: total('dt'),
+            medals: ['gold', 'silver', 'bronze'].reduce((medals, medal) => {
+                medals[medal] = entries.reduce((sum, e) => sum + (e.data.medals?.[medal] || 0), 0);
+                return medals;
+            }, {}),
+            confidence
+        };
+    },
+
+    fetch: async (skillrackData, { limiter }) => scrapeSkillRack(skillrackData, limiter)
+};
@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS, isUnavailable } = require('./core');
+const { registry, getPath } = require('./adapters');
+const history = require('./history');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_RESULTS = path.join(__dirname, 'results.json');
+const AUDIT_FILE = path.join(__dirname, 'audit.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Identical stats only count when they carry enough information not to be chance:
+// at least two non-zero numbers adding up to MIN_FINGERPRINT_TOTAL
+const MIN_FINGERPRINT_TOTAL = 30;
+// Peer outliers (solved counts, the sanity paths with a maxDailyGain): above
+// Q3 + OUTLIER_IQR * IQR of the students with data, needs MIN_PEERS of them
+const OUTLIER_IQR = 3;
+const MIN_PEERS = 10;
+
+const FLAG_TYPES = ['shared_handle', 'duplicate_stats', 'implausible_delta', 'out_of_range', 'peer_outlier'];
+
+// Handles compare case-insensitively; SkillRack handles by their id
+function handleKey(adapter, handle) {
+    const normalized = registry.normalizeHandle(adapter, handle);
+    if (!registry.hasHandle(adapter, normalized)) return null;
+    return String(typeof normalized === 'object' ? normalized.id : normalized).toLowerCase();
+}
+
+function hasData(platformResult) {
+    return Boolean(platformResult) && !isUnavailable(platformResult) &&
+        ![STATUS.NO_HANDLE, STATUS.NOT_FOUND].includes(platformResult.status);
+}
+
+function flag(type, platform, students, message, details = {}) {
+    return { type, platform, ids: students.map(s => s.id), names: students.map(s => s.name), message, ...details };
+}
+
+// The same handle on several students: one of them is probably using someone else's profile
+function sharedHandles(results) {
+    const flags = [];
+    registry.list().forEach(adapter => {
+        const byHandle = new Map();
+        results.forEach(result => {
+            const key = handleKey(adapter, result.handles?.[adapter.handleKey]);
+            if (!key) return;
+            if (!byHandle.has(key)) byHandle.set(key, []);
+            byHandle.get(key).push(result);
+        });
+        byHandle.forEach((students, handle) => {
+            if (students.length < 2) return;
+            const sameName = students.every(s => String(s.name).trim().toLowerCase() === String(students[0].name).trim().toLowerCase());
+            flags.push(flag('shared_handle', adapter.name, students,
+                `${adapter.label} handle ${handle} is used by ${students.length} students${sameName ? ' (duplicate roster entry?)' : ''}`, { handle }));
+        });
+    });
+    return flags;
+}
+
+// Every number in a platform result, in key order: { total: 150, easy: 50 } -> [['easy', 50], ['total', 150]]
+function numbersOf(platformResult) {
+    return Object.keys(platformResult).sort()
+        .filter(key => typeof platformResult[key] === 'number')
+        .map(key => [key, platformResult[key]]);
+}
+
+// Identical numbers across a whole platform result for different handles
+function duplicateStats(results) {
+    const flags = [];
+    registry.list().forEach(adapter => {
+        const byFingerprint = new Map();
+        results.forEach(result => {
+            const platformResult = result.data?.[adapter.name];
+            const handle = handleKey(adapter, result.handles?.[adapter.handleKey]);
+            if (!handle || !hasData(platformResult)) return;
+            const numbers = numbersOf(platformResult);
+            if (numbers.filter(([, value]) => value !== 0).length < 2) return;
+            if (numbers.reduce((sum, [, value]) => sum + value, 0) < MIN_FINGERPRINT_TOTAL) return;
+
+            const fingerprint = numbers.map(([key, value]) => `${key} ${value}`).join(', ');
+            if (!byFingerprint.has(fingerprint)) byFingerprint.set(fingerprint, new Map());
+            byFingerprint.get(fingerprint).set(handle, result);
+        });
+        byFingerprint.forEach((byHandle, fingerprint) => {
+            if (byHandle.size < 2) return;
+            const students = Array.from(byHandle.values());
+            flags.push(flag('duplicate_stats', adapter.name, students,
+                `${students.length} different ${adapter.label} handles have identical stats (${fingerprint})`,
+                { handles: Array.from(byHandle.keys()) }));
+        });
+    });
+    return flags;
+}
+
+// Values a real profile cannot have (adapter `sanity.max`)
+function outOfRange(results) {
+    const flags = [];
+    registry.list().forEach(adapter => {
+        Object.entries(adapter.sanity || {}).forEach(([fieldPath, range]) => {
+            if (range.max === undefined) return;
+            results.forEach(result => {
+                const platformResult = result.data?.[adapter.name];
+                if (!hasData(platformResult)) return;
+                const value = Number(getPath(platformResult, fieldPath)) || 0;
+                if (value > range.max || value < 0) {
+                    flags.push(flag('out_of_range', adapter.name, [result],
+                        `${adapter.label} ${fieldPath} ${value} is outside 0-${range.max}`, { field: fieldPath, value }));
+                }
+            });
+        });
+    });
+    return flags;
+}
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Solved counts far ahead of everyone else on the platform
+function peerOutliers(results) {
+    const flags = [];
+    registry.list().forEach(adapter => {
+        Object.entries(adapter.sanity || {}).forEach(([fieldPath, range]) => {
+            if (range.maxDailyGain === undefined) return;
+            const entries = results
+                .filter(result => hasData(result.data?.[adapter.name]) && getPath(result.data[adapter.name], fieldPath) !== null)
+                .map(result => ({ result, value: Number(getPath(result.data[adapter.name], fieldPath)) || 0 }));
+            if (entries.length < MIN_PEERS) return;
+
+            const sorted = entries.map(entry => entry.value).sort((a, b) => a - b);
+            const q1 = quantile(sorted, 0.25);
+            const q3 = quantile(sorted, 0.75);
+            // Mostly zeros: no spread to compare against
+            if (q3 === q1) return;
+            const limit = q3 + OUTLIER_IQR * (q3 - q1);
+            entries.filter(entry => entry.value > limit).forEach(({ result, value }) => {
+                flags.push(flag('peer_outlier', adapter.name, [result],
+                    `${adapter.label} ${fieldPath} ${value} is far ahead of peers (median ${quantile(sorted, 0.5)}, limit ${Math.round(limit)})`,
+                    { field: fieldPath, value, limit: Math.round(limit) }));
+            });
+        });
+    });
+    return flags;
+}
+
+// Jumps between consecutive snapshots above the adapter's `sanity.maxDailyGain`
+// (runs less than a day apart count as one day), and counts that went down
+function implausibleDeltas(snapshots) {
+    const flags = [];
+    for (let i = 1; i < snapshots.length; i++) {
+        const before = new Map(snapshots[i - 1].students.map(s => [String(s.id), s]));
+        const days = Math.max((Date.parse(snapshots[i].timestamp) - Date.parse(snapshots[i - 1].timestamp)) / DAY, 1);
+
+        snapshots[i].students.forEach(student => {
+            const previous = before.get(String(student.id));
+            if (!previous) return;
+            registry.list().forEach(adapter => {
+                const now = student.data?.[adapter.name];
+                const then = previous.data?.[adapter.name];
+                if (!hasData(now) || !hasData(then)) return;
+
+                Object.entries(adapter.sanity || {}).forEach(([fieldPath, range]) => {
+                    // An unknown count (null) is neither a jump nor a drop
+                    if (range.maxDailyGain === undefined || getPath(then, fieldPath) === null || getPath(now, fieldPath) === null) return;
+                    const from = Number(getPath(then, fieldPath)) || 0;
+                    const to = Number(getPath(now, fieldPath)) || 0;
+                    const period = `${snapshots[i - 1].timestamp.slice(0, 10)} → ${snapshots[i].timestamp.slice(0, 10)}`;
+                    if (to - from > range.maxDailyGain * days) {
+                        flags.push(flag('implausible_delta', adapter.name, [student],
+                            `${adapter.label} ${fieldPath} jumped ${from} → ${to} (${period})`,
+                            { field: fieldPath, from, to, at: snapshots[i].timestamp }));
+                    } else if (from - to > Math.max(10, from * 0.1)) {
+                        flags.push(flag('implausible_delta', adapter.name, [student],
+                            `${adapter.label} ${fieldPath} dropped ${from} → ${to} (${period})`,
+                            { field: fieldPath, from, to, at: snapshots[i].timestamp }));
+                    }
+                });
+            });
+        });
+    }
+    return flags;
+}
+
+// Every check over the results (and the snapshots, when given)
+function auditResults(results, snapshots = []) {
+    const flags = [
+        ...sharedHandles(results),
+        ...duplicateStats(results),
+        ...implausibleDeltas(snapshots),
+        ...outOfRange(results),
+        ...peerOutliers(results)
+    ];
+
+    const counts = {};
+    FLAG_TYPES.forEach(type => { counts[type] = flags.filter(f => f.type === type).length; });
+
+    // Reasons per student id, for the "needs review" mark on the leaderboard
+    const needsReview = {};
+    flags.forEach(f => f.ids.forEach(id => {
+        (needsReview[id] || (needsReview[id] = [])).push(f.message);
+    }));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        students: results.length,
+        snapshots: snapshots.length,
+        counts,
+        flags,
+        needsReview
+    };
+}
+
+// audit.json if it exists; null otherwise
+async function loadAudit(file) {
+    return fs.readJson(file || AUDIT_FILE).catch(() => null);
+}
+
+// Attach the audit reasons to leaderboard rows (row.needsReview)
+function markForReview(leaderboard, audit) {
+    if (!audit) return leaderboard;
+    leaderboard.forEach(row => {
+        const reasons = audit.needsReview?.[row.id];
+        if (reasons?.length) row.needsReview = reasons;
+    });
+    return leaderboard;
+}
+
+async function runAudit(options = {}) {
+    const resultsFile = path.resolve(options.results || DEFAULT_RESULTS);
+    const results = await fs.readJson(resultsFile);
+    const snapshots = options['no-history'] ? [] : await history.loadRecentSnapshots();
+    const report = auditResults(results, snapshots);
+    report.results = path.relative(__dirname, resultsFile);
+
+    const outFile = path.resolve(options.out || AUDIT_FILE);
+    await fs.writeJson(outFile, report, { spaces: 2 });
+
+    console.log(`🔍 Audited ${results.length} students${snapshots.length ? ` and ${snapshots.length} snapshots` : ' (no history)'}`);
+    Object.entries(report.counts).forEach(([type, count]) => console.log(`  ${count > 0 ? '⚠️ ' : '✅'} ${type}: ${count}`));
+    report.flags.slice(0, 10).forEach(f => console.log(`  • ${f.message}: ${f.names.join(', ')}`));
+    if (report.flags.length > 10) console.log(`  … ${report.flags.length - 10} more`);
+    console.log(`\n📋 ${Object.keys(report.needsReview).length} students need review, report saved to ${path.relative(process.cwd(), outFile)}`);
+    return report;
+}
+
+module.exports = {
+    AUDIT_FILE,
+    FLAG_TYPES,
+    sharedHandles,
+    duplicateStats,
+    outOfRange,
+    peerOutliers,
+    implausibleDeltas,
+    auditResults,
+    loadAudit,
+    markForReview,
+    runAudit
+};
+
+if (require.main === module) {
+    runAudit(parseOptions(process.argv.slice(2))).catch(error => {
+        console.error('❌ Audit failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,341 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseOptions } = require('./cli');
+
+// Result cache with pluggable stores. Entries are { data, timestamp } under
+// "<platform>_<handle>" keys.
+//
+//   json   - one cache.json, loaded at start and rewritten on every flush (default)
+//   files  - one file per key under cache/, written as soon as an entry changes
+//   memory - nothing is persisted (tests, dry runs)
+//
+// CACHE_BACKEND picks the store, CACHE_FILE / CACHE_DIR move it.
+const BACKENDS = ['json', 'files', 'memory'];
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, 'cache.json');
+const DEFAULT_CACHE_DIR = path.join(__dirname, 'cache');
+
+class MemoryStore {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+        this.name = 'memory';
+    }
+
+    read(key) {
+        return this.entries.get(key) || null;
+    }
+
+    write(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    flush() {}
+}
+
+// The original cache.json format, kept in memory between flushes
+class JsonFileStore extends MemoryStore {
+    constructor(file = DEFAULT_CACHE_FILE) {
+        super();
+        this.name = 'json';
+        this.file = file;
+        this.dirty = false;
+        try {
+            if (fs.existsSync(file)) {
+                this.entries = new Map(Object.entries(fs.readJsonSync(file)));
+            }
+        } catch (error) {
+            console.log('Cache load error:', error.message);
+        }
+    }
+
+    write(key, entry) {
+        super.write(key, entry);
+        this.dirty = true;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        this.dirty = this.dirty || deleted;
+        return deleted;
+    }
+
+    // Written to a temporary file first so a crash never leaves half a cache.json
+    flush() {
+        if (!this.dirty) return;
+        try {
+            const tmpFile = `${this.file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+            fs.renameSync(tmpFile, this.file);
+            this.dirty = false;
+        } catch (error) {
+            console.log('Cache save error:', error.message);
+        }
+    }
+}
+
+// cache/<key>.json: nothing is held in memory and every write lands on disk immediately
+class FileStore {
+    constructor(dir = DEFAULT_CACHE_DIR) {
+        this.name = 'files';
+        this.dir = dir;
+        fs.ensureDirSync(dir);
+    }
+
+    file(key) {
+        return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+    }
+
+    read(key) {
+        try {
+            return fs.readJsonSync(this.file(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(key, entry) {
+        try {
+            fs.writeJsonSync(this.file(key), entry);
+        } catch (error) {
+            console.log('Cache save error:', error.message);
+        }
+    }
+
+    delete(key) {
+        if (!fs.existsSync(this.file(key))) return false;
+        fs.removeSync(this.file(key));
+        return true;
+    }
+
+    keys() {
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    }
+
+    flush() {}
+}
+
+function createStore(backend = process.env.CACHE_BACKEND || 'json') {
+    switch (backend) {
+        case 'json':
+            return new JsonFileStore(process.env.CACHE_FILE ? path.resolve(process.env.CACHE_FILE) : DEFAULT_CACHE_FILE);
+        case 'files':
+            return new FileStore(process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : DEFAULT_CACHE_DIR);
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown cache backend: ${backend} (use ${BACKENDS.join(', ')})`);
+    }
+}
+
+// "90s", "30m", "12h", "7d" or plain milliseconds
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+    if (!match) throw new Error(`Invalid duration: ${value} (use e.g. 30m, 12h, 7d)`);
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'ms').toLowerCase()]);
+}
+
+function formatAge(ms) {
+    if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)}m`;
+    if (ms < 24 * 60 * 60 * 1000) return `${(ms / 3600000).toFixed(1)}h`;
+    return `${(ms / 86400000).toFixed(1)}d`;
+}
+
+class Cache {
+    constructor(store = createStore(), options = {}) {
+        this.store = store;
+        this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    }
+
+    // Swap the store at runtime (tests use a MemoryStore)
+    useStore(store) {
+        this.store = store;
+        return this;
+    }
+
+    // Data of an entry younger than `ttl`, otherwise null
+    get(key, ttl = this.ttl) {
+        const entry = this.store.read(key);
+        if (entry && Date.now() - entry.timestamp < ttl) {
+            return entry.data;
+        }
+        return null;
+    }
+
+    // The entry regardless of its age (stale fallback, inspection)
+    getEntry(key) {
+        return this.store.read(key);
+    }
+
+    set(key, data) {
+        this.store.write(key, { data, timestamp: Date.now() });
+    }
+
+    delete(key) {
+        return this.store.delete(key);
+    }
+
+    keys() {
+        return this.store.keys();
+    }
+
+    saveCache() {
+        this.store.flush();
+    }
+}
+
+// ---- CLI: node cache.js <stats|list|invalidate|evict|warm> ----
+
+async function main() {
+    // Loaded here: core.js creates the shared cache from this module
+    const { CONFIG, STATUS, cache } = require('./core');
+    const { registry } = require('./adapters');
+    const { matchesStudent } = require('./roster');
+
+    const [command = 'stats', ...args] = process.argv.slice(2);
+    const options = parseOptions(args);
+    const rosterFile = path.resolve(options.roster || path.join(__dirname, 'students_mock.json'));
+    const now = Date.now();
+
+    if (options.platform && !registry.get(options.platform)) {
+        throw new Error(`Unknown platform: ${options.platform} (use ${registry.list().map(a => a.name).join(', ')})`);
+    }
+    const platforms = registry.list().filter(adapter => !options.platform || adapter.name === options.platform);
+
+    // Cache keys of one student, or of every student in the roster
+    const rosterKeys = (students) => {
+        const keys = new Map();
+        students.forEach(student => platforms.forEach(adapter => {
+            const handle = student.handles?.[adapter.handleKey];
+            if (registry.hasHandle(adapter, handle)) keys.set(registry.cacheKey(adapter, handle), { student, adapter, handle });
+        }));
+        return keys;
+    };
+    const loadStudents = async () => {
+        const students = await fs.readJson(rosterFile);
+        if (!options.student) return students;
+        const matched = students.filter(student => matchesStudent(student, options.student));
+        if (matched.length === 0) throw new Error(`No student matches: ${options.student}`);
+        return matched;
+    };
+    const platformOf = (key) => registry.list().find(adapter => key.startsWith(`${adapter.name}_`));
+    // fresh: within the platform TTL, stale: served only when a fetch fails, expired: never served
+    const stateOf = (key) => {
+        const adapter = platformOf(key);
+        const age = now - cache.getEntry(key).timestamp;
+        if (adapter && age < registry.cacheTTL(adapter)) return 'fresh';
+        return age < CONFIG.CACHE_MAX_STALE ? 'stale' : 'expired';
+    };
+    const selectedKeys = async () => {
+        if (options.student) return Array.from(rosterKeys(await loadStudents()).keys()).filter(key => cache.getEntry(key));
+        return cache.keys().filter(key => platforms.includes(platformOf(key)));
+    };
+
+    switch (command) {
+        case 'stats': {
+            const perPlatform = {};
+            cache.keys().forEach(key => {
+                const adapter = platformOf(key);
+                const name = adapter ? adapter.name : 'unknown';
+                const counts = perPlatform[name] || (perPlatform[name] = { entries: 0, fresh: 0, stale: 0, expired: 0, ttl: adapter ? formatAge(registry.cacheTTL(adapter)) : '-' });
+                counts.entries++;
+                counts[stateOf(key)]++;
+            });
+            console.log(`🗄️  Cache backend: ${cache.store.name}${cache.store.file ? ` (${path.relative(process.cwd(), cache.store.file)})` : ''}${cache.store.dir ? ` (${path.relative(process.cwd(), cache.store.dir)}/)` : ''}`);
+            console.table(perPlatform);
+            console.log('fresh: within the platform TTL, stale: served only when a fetch fails, expired: older than CACHE_MAX_STALE (npm run cache:evict)');
+            break;
+        }
+        case 'list': {
+            const keys = await selectedKeys();
+            keys.sort().forEach(key => {
+                const entry = cache.getEntry(key);
+                console.log(`${key}  ${entry.data?.status || '-'}  ${formatAge(now - entry.timestamp)} old (${stateOf(key)})`);
+            });
+            console.log(`\n${keys.length} entries`);
+            break;
+        }
+        case 'invalidate': {
+            if (!options.student && !options.platform && !options.all) {
+                throw new Error('Usage: node cache.js invalidate --student <id|name|handle> | --platform <name> | --all');
+            }
+            // --all clears the whole store, keys of removed adapters included
+            const keys = options.all && !options.student && !options.platform ? cache.keys() : await selectedKeys();
+            keys.forEach(key => cache.delete(key));
+            cache.saveCache();
+            console.log(`🧹 Removed ${keys.length} cache entries`);
+            break;
+        }
+        case 'evict': {
+            // Handles no longer in the roster and entries too old to be served even as stale
+            const keep = rosterKeys(await fs.readJson(rosterFile));
+            const evicted = cache.keys()
+                .filter(key => !options.platform || platformOf(key)?.name === options.platform)
+                .filter(key => !keep.has(key) || !cache.getEntry(key) || stateOf(key) === 'expired');
+            evicted.forEach(key => cache.delete(key));
+            cache.saveCache();
+            console.log(`🧹 Evicted ${evicted.length} entries, ${cache.keys().length} left`);
+            break;
+        }
+        case 'warm': {
+            // Fetch every handle that has no fresh entry, CONCURRENCY at a time
+            const pending = Array.from(rosterKeys(await loadStudents()).entries())
+                .filter(([key, { adapter }]) => registry.cacheTTL(adapter) > 0 && !cache.get(key, registry.cacheTTL(adapter)));
+            console.log(`🔥 Warming ${pending.length} cache entries with ${CONFIG.CONCURRENCY} workers...`);
+
+            const counts = {};
+            let next = 0;
+            const worker = async () => {
+                while (next < pending.length) {
+                    const [, { adapter, handle }] = pending[next++];
+                    const result = await registry.fetch(adapter.name, handle);
+                    counts[result.status] = (counts[result.status] || 0) + 1;
+                    if (next % CONFIG.BATCH_SIZE === 0) cache.saveCache();
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(CONFIG.CONCURRENCY, pending.length) }, worker));
+            cache.saveCache();
+
+            const failed = pending.length - (counts[STATUS.OK] || 0) - (counts[STATUS.NOT_FOUND] || 0);
+            console.log(`✅ Warmed ${(counts[STATUS.OK] || 0) + (counts[STATUS.NOT_FOUND] || 0)} entries${failed ? `, ${failed} not cached (${JSON.stringify(counts)})` : ''}`);
+            break;
+        }
+        default:
+            console.log('Usage:');
+            console.log('  node cache.js stats');
+            console.log('  node cache.js list [--platform name] [--student id|name|handle]');
+            console.log('  node cache.js invalidate --student id|name|handle | --platform name | --all');
+            console.log('  node cache.js evict [--platform name] [--roster students_mock.json]');
+            console.log('  node cache.js warm [--platform name] [--student id|name|handle] [--roster students_mock.json]');
+            process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    Cache,
+    MemoryStore,
+    JsonFileStore,
+    FileStore,
+    createStore,
+    parseDuration,
+    formatAge
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Cache command failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,39 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS, isUnavailable } = require('./core');
+
+const CHECKPOINT_FILE = path.join(__dirname, 'checkpoint.json');
+
+// Checkpoint of a run in progress: ids whose record in results.json is final.
+// Written after every chunk so a crashed run can continue with --resume.
+async function loadCheckpoint() {
+    try {
+        if (await fs.pathExists(CHECKPOINT_FILE)) {
+            return await fs.readJson(CHECKPOINT_FILE);
+        }
+    } catch (error) {
+        console.log('Checkpoint load error:', error.message);
+    }
+    return null;
+}
+
+async function saveCheckpoint(checkpoint) {
+    await fs.writeJson(CHECKPOINT_FILE, { ...checkpoint, updatedAt: new Date().toISOString() }, { spaces: 2 });
+}
+
+async function clearCheckpoint() {
+    await fs.remove(CHECKPOINT_FILE);
+}
+
+// A record needs another pass if the student failed as a whole or any platform failed or was rate limited.
+// Partial and stale platforms only with `partial` (--retry-partial): some stay partial on every fetch
+// (low-confidence SkillRack, CodeChef without a solved count), so retrying them never settles.
+function needsRetry(record, { partial = false } = {}) {
+    if (!record || record.error) return true;
+    return Object.values(record.data || {}).some(platform =>
+        platform && typeof platform === 'object' &&
+        (isUnavailable(platform) || (partial && (platform.status === STATUS.PARTIAL || platform.status === STATUS.STALE)))
+    );
+}
+
+module.exports = { CHECKPOINT_FILE, loadCheckpoint, saveCheckpoint, clearCheckpoint, needsRetry };
@@ -0,0 +1,19 @@
+// Command line options shared by every entry point:
+//   --flag value -> { flag: 'value' }, --switch -> { switch: true },
+//   other arguments are positional, in options._
+function parseOptions(args) {
+    const options = { _: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            options._.push(args[i]);
+        } else if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+            options[args[i].slice(2)] = true;
+        } else {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+module.exports = { parseOptions };
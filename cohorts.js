@@ -0,0 +1,154 @@
+const { STATUS, isUnavailable } = require('./core');
+const { registry } = require('./adapters');
+
+// Optional cohort fields on each student in students_mock.json
+const COHORT_FIELDS = ['department', 'year', 'section', 'mentor'];
+const UNASSIGNED = 'unassigned';
+
+// The cohort fields a student actually has
+function cohortOf(student) {
+    const cohort = {};
+    COHORT_FIELDS.forEach(field => {
+        if (student?.[field] !== undefined && student[field] !== '') cohort[field] = student[field];
+    });
+    return cohort;
+}
+
+// "--by department,year" -> ['department', 'year']
+function parseGroupBy(value) {
+    const groupBy = String(value || 'department').split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = groupBy.filter(field => !COHORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cohort field: ${unknown.join(', ')} (use ${COHORT_FIELDS.join(', ')})`);
+    }
+    return groupBy;
+}
+
+// "--group department=CSE,year=3" -> { department: 'CSE', year: '3' }
+function parseGroupFilter(value) {
+    const filter = {};
+    String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [field, ...rest] = part.split('=');
+        if (!COHORT_FIELDS.includes(field.trim()) || rest.length === 0) {
+            throw new Error(`Invalid group filter: ${part} (use field=value with ${COHORT_FIELDS.join(', ')})`);
+        }
+        filter[field.trim()] = rest.join('=').trim();
+    });
+    return filter;
+}
+
+function inGroup(student, filter) {
+    return Object.entries(filter).every(([field, value]) =>
+        String(student[field] ?? '').toLowerCase() === value.toLowerCase()
+    );
+}
+
+function groupKey(student, groupBy) {
+    return groupBy.map(field => (student[field] === undefined || student[field] === '' ? UNASSIGNED : String(student[field]))).join(' / ');
+}
+
+// Results carry cohort fields since they were added; older results are joined with the roster
+function withCohorts(results, students = []) {
+    const rosterById = new Map(students.map(s => [String(s.id), s]));
+    return results.map(result => ({ ...cohortOf(rosterById.get(String(result.id))), ...result }));
+}
+
+function groupResults(results, groupBy) {
+    const groups = new Map();
+    results.forEach(result => {
+        const key = groupKey(result, groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(result);
+    });
+    return new Map([...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+}
+
+// A student takes part in a platform if their handle returned real data
+function participates(result, adapter) {
+    const platformResult = result.data?.[adapter.name];
+    if (platformResult?.status) {
+        return [STATUS.OK, STATUS.PARTIAL, STATUS.STALE].includes(platformResult.status);
+    }
+    const handle = registry.normalizeHandle(adapter, result.handles?.[adapter.handleKey]);
+    return registry.hasHandle(adapter, handle) && !isUnavailable(platformResult);
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Aggregates for one group, in the spirit of generateSummary; `leaderboard` is the group's rows
+function groupAggregates(key, results, leaderboard) {
+    const count = results.length;
+    const scores = leaderboard.map(row => row.score);
+    const platforms = {};
+
+    registry.list().forEach(adapter => {
+        const available = results.filter(r => !isUnavailable(r.data?.[adapter.name]));
+        const averages = {};
+        adapter.fields.forEach(field => {
+            const total = available.reduce((sum, r) => sum + registry.fieldValue(r.data, { platform: adapter.name, ...field }), 0);
+            averages[field.key] = available.length ? round2(total / available.length) : 0;
+        });
+        platforms[adapter.name] = {
+            participants: results.filter(r => participates(r, adapter)).length,
+            participationRate: count ? round2(results.filter(r => participates(r, adapter)).length / count) : 0,
+            averages
+        };
+    });
+
+    const topSolver = results.reduce((max, r) => (!max || (r.data.totalCP || 0) > (max.data.totalCP || 0) ? r : max), null);
+    const topScorer = leaderboard[0];
+
+    return {
+        group: key,
+        students: count,
+        avgScore: count ? round2(scores.reduce((sum, s) => sum + s, 0) / count) : 0,
+        medianScore: round2(median(scores)),
+        avgTotalCP: count ? round2(results.reduce((sum, r) => sum + (r.data.totalCP || 0), 0) / count) : 0,
+        topSolver: topSolver ? { name: topSolver.name, problems: topSolver.data.totalCP || 0 } : null,
+        topScorer: topScorer ? { name: topScorer.name, score: topScorer.score } : null,
+        platforms
+    };
+}
+
+// One row per group for the group-vs-group table
+function comparisonRows(aggregates) {
+    return aggregates.map(agg => {
+        const row = {
+            group: agg.group,
+            students: agg.students,
+            avgScore: agg.avgScore,
+            medianScore: agg.medianScore,
+            avgTotalCP: agg.avgTotalCP
+        };
+        registry.list().forEach(adapter => {
+            row[`${adapter.name}_participation`] = agg.platforms[adapter.name].participationRate;
+            Object.entries(agg.platforms[adapter.name].averages).forEach(([fieldKey, avg]) => {
+                row[`${fieldKey}_avg`] = avg;
+            });
+        });
+        row.topScorer = agg.topScorer?.name || '';
+        return row;
+    }).sort((a, b) => b.avgScore - a.avgScore);
+}
+
+module.exports = {
+    COHORT_FIELDS,
+    UNASSIGNED,
+    cohortOf,
+    parseGroupBy,
+    parseGroupFilter,
+    inGroup,
+    groupKey,
+    withCohorts,
+    groupResults,
+    median,
+    groupAggregates,
+    comparisonRows
+};
@@ -0,0 +1,234 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const replay = require('./replay');
+const { Cache, createStore } = require('./cache');
+
+// Load environment variables from .env file
+try {
+    const envPath = path.join(__dirname, '.env');
+    if (fs.existsSync(envPath)) {
+        const envContent = fs.readFileSync(envPath, 'utf8');
+        envContent.split('\n').forEach(line => {
+            const [key, value] = line.split('=');
+            if (key && value) {
+                process.env[key.trim()] = value.trim();
+            }
+        });
+        console.log('✅ Environment variables loaded from .env file');
+    }
+} catch (error) {
+    console.log('⚠️  Could not load .env file:', error.message);
+}
+
+// Configuration for 20K users
+const CONFIG = {
+    BATCH_SIZE: 100,       // Students between progress reports
+    CONCURRENCY: 10,       // Students processed at the same time
+    RETRY_ATTEMPTS: 3,
+    RETRY_DELAY: 2000,
+    CACHE_DURATION: 24 * 60 * 60 * 1000, // 24 hours, for platforms without their own cacheTTL
+    CACHE_MAX_STALE: 7 * 24 * 60 * 60 * 1000, // oldest cached result served when a fetch fails
+    REQUEST_TIMEOUT: 15000,
+    RATE_LIMIT_DELAY: 200,
+    MAX_BACKOFF: 60 * 1000,              // longest automatic pause after a 429/403
+    MAX_RATE_LIMIT_WAIT: 5 * 60 * 1000   // fail as rate_limited instead of waiting longer
+};
+
+// Per-platform result status
+const STATUS = {
+    OK: 'ok',
+    PARTIAL: 'partial',           // some fields could not be fetched
+    NOT_FOUND: 'not_found',
+    NO_HANDLE: 'no_handle',
+    RATE_LIMITED: 'rate_limited',
+    STALE: 'stale',               // the fetch failed, the last cached result is served
+    ERROR: 'error'
+};
+
+// Statuses whose numbers are not real values and must not be shown as 0
+const UNAVAILABLE_STATUSES = [STATUS.ERROR, STATUS.RATE_LIMITED];
+
+function isUnavailable(platformResult) {
+    return Boolean(platformResult) && UNAVAILABLE_STATUSES.includes(platformResult.status);
+}
+
+// error.code of requests refused locally because the platform is paused for too long
+const RATE_LIMITED_CODE = 'ERR_RATE_LIMITED';
+
+// Map a failed request to a platform status
+function classifyError(error) {
+    if (error.code === RATE_LIMITED_CODE) return STATUS.RATE_LIMITED;
+    const status = error.response?.status;
+    if (status === 404) return STATUS.NOT_FOUND;
+    if (status === 429) return STATUS.RATE_LIMITED;
+    if (status === 403) {
+        const remaining = error.response.headers?.['x-ratelimit-remaining'];
+        const body = JSON.stringify(error.response.data || '');
+        if (remaining === '0' || /rate limit/i.test(body)) return STATUS.RATE_LIMITED;
+    }
+    return STATUS.ERROR;
+}
+
+// Client errors that another attempt will not fix
+const NON_RETRYABLE_STATUSES = [400, 401, 404, 410];
+const NON_RETRYABLE_CODES = [RATE_LIMITED_CODE, replay.NO_FIXTURE_CODE];
+
+// Retry mechanism with exponential backoff.
+// Rate-limited requests made through a limiter wait out the limiter's pause instead.
+async function retryRequest(fn, options = {}) {
+    const { attempts = CONFIG.RETRY_ATTEMPTS } = typeof options === 'number' ? { attempts: options } : options;
+    for (let i = 0; i < attempts; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (i === attempts - 1 || NON_RETRYABLE_CODES.includes(error.code)) throw error;
+            if (NON_RETRYABLE_STATUSES.includes(error.response?.status)) throw error;
+            if (error.config?.limiter && classifyError(error) === STATUS.RATE_LIMITED) continue;
+            const delay = CONFIG.RETRY_DELAY * Math.pow(2, i);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Seconds or an HTTP date, in ms from now
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date - Date.now();
+}
+
+// Token-bucket rate limiter with a FIFO queue.
+// One token is added every `delay` ms up to `burst` tokens; each wait() takes one.
+// Servers can pause the bucket (Retry-After, X-RateLimit-Reset) and repeated
+// 429/403 answers slow the refill down until requests succeed again.
+class RateLimiter {
+    constructor(delay = CONFIG.RATE_LIMIT_DELAY, options = {}) {
+        this.baseDelay = delay;
+        this.delay = delay;
+        this.burst = Math.max(options.burst || 1, 1);
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.backoff = 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    wait() {
+        const pause = this.pausedUntil - Date.now();
+        if (pause > CONFIG.MAX_RATE_LIMIT_WAIT) return Promise.reject(this.pausedError(pause));
+        return new Promise((resolve, reject) => {
+            this.queue.push({ resolve, reject });
+            this.drain();
+        });
+    }
+
+    pausedError(pause) {
+        const error = new Error(`rate limited for another ${Math.ceil(pause / 1000)}s`);
+        error.code = RATE_LIMITED_CODE;
+        return error;
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = Math.max(now - this.lastRefill, 0);
+        this.tokens = this.delay > 0 ? Math.min(this.burst, this.tokens + elapsed / this.delay) : this.burst;
+        this.lastRefill = Math.max(now, this.lastRefill);
+    }
+
+    // Hand out tokens in queue order, sleeping until the next one is due
+    drain() {
+        if (this.timer) return;
+        while (this.queue.length > 0) {
+            const now = Date.now();
+            if (now < this.pausedUntil) return this.schedule(this.pausedUntil - now);
+            this.refill();
+            if (this.tokens < 1) return this.schedule((1 - this.tokens) * this.delay);
+            this.tokens -= 1;
+            this.queue.shift().resolve();
+        }
+    }
+
+    schedule(ms) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, Math.ceil(ms));
+    }
+
+    // Stop handing out tokens for `ms`; the bucket starts empty afterwards
+    pause(ms) {
+        const until = Date.now() + Math.max(ms, 0);
+        if (until <= this.pausedUntil) return;
+        this.pausedUntil = until;
+        this.tokens = 0;
+        this.lastRefill = until;
+        console.log(`⏳ Rate limited, pausing requests for ${Math.ceil(ms / 1000)}s`);
+
+        // Nobody should sit in the queue for longer than MAX_RATE_LIMIT_WAIT
+        if (ms > CONFIG.MAX_RATE_LIMIT_WAIT) {
+            this.queue.splice(0).forEach(waiter => waiter.reject(this.pausedError(ms)));
+        }
+    }
+
+    // Adjust to the rate-limit headers of a response (or failed request)
+    observe(status, headers = {}, rateLimited = false) {
+        const retryAfter = parseRetryAfter(headers['retry-after']);
+        const remaining = headers['x-ratelimit-remaining'];
+        const reset = Number(headers['x-ratelimit-reset']); // epoch seconds (GitHub)
+
+        // Halve the request rate after each rate-limit answer, recover 10% per success
+        if (rateLimited) {
+            this.backoff = this.backoff ? Math.min(this.backoff * 2, CONFIG.MAX_BACKOFF) : CONFIG.RETRY_DELAY;
+            this.delay = Math.min(Math.max(this.delay * 2, 100), Math.max(this.baseDelay, 100) * 8);
+        } else if (status < 400) {
+            this.backoff = 0;
+            this.delay = Math.max(this.baseDelay, this.delay * 0.9);
+        }
+
+        if (retryAfter !== null) {
+            this.pause(retryAfter);
+        } else if (String(remaining) === '0' && reset) {
+            this.pause(reset * 1000 - Date.now() + 1000);
+        } else if (rateLimited) {
+            this.pause(this.backoff);
+        }
+    }
+}
+
+// Offline fixtures: HTTP_MODE=record|replay (see replay.js)
+replay.install(axios);
+
+// Requests made with `{ limiter }` in their axios config wait for a token first
+// and feed the response's rate-limit headers back into the limiter.
+// Replayed responses need no pacing.
+axios.interceptors.request.use(async (config) => {
+    if (config.limiter && !replay.isReplaying()) await config.limiter.wait();
+    return config;
+});
+axios.interceptors.response.use((response) => {
+    if (response.config?.limiter) response.config.limiter.observe(response.status, response.headers);
+    return response;
+}, (error) => {
+    if (error.config?.limiter && error.response) {
+        error.config.limiter.observe(error.response.status, error.response.headers, classifyError(error) === STATUS.RATE_LIMITED);
+    }
+    return Promise.reject(error);
+});
+
+const cache = new Cache(createStore(), { ttl: CONFIG.CACHE_DURATION });
+
+module.exports = {
+    CONFIG,
+    STATUS,
+    Cache,
+    RateLimiter,
+    retryRequest,
+    classifyError,
+    isUnavailable,
+    RATE_LIMITED_CODE,
+    cache
+};
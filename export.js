@@ -0,0 +1,465 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS, isUnavailable } = require('./core');
+const { registry } = require('./adapters');
+const { loadScoringConfig, resolveProfile } = require('./scoring');
+const cohorts = require('./cohorts');
+const history = require('./history');
+const audit = require('./audit');
+const verify = require('./verify');
+const { matchesStudent } = require('./roster');
+const { RATED_PLATFORMS, buildLeaderboard, leaderboardColumns, leaderboardCsv } = require('./stats');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_RESULTS = path.join(__dirname, 'results.json');
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const EXPORT_DIR = path.join(__dirname, 'exports');
+const FORMATS = ['xlsx', 'csv', 'tsv', 'html', 'cards'];
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function formatNumber(value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value !== 'number') return String(value);
+    return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(2);
+}
+
+// Handles are strings, except SkillRack's { id, key, username }
+function handleText(handle) {
+    if (!handle) return '';
+    return typeof handle === 'object' ? handle.username || handle.id || '' : String(handle);
+}
+
+// Everything the exports are built from: results joined with the roster, one
+// scoring profile, the leaderboard, whole-cohort aggregates and the group comparison
+async function loadExportData(options = {}) {
+    const students = await fs.readJson(path.resolve(options.input || DEFAULT_ROSTER)).catch(() => []);
+    const verification = await verify.loadVerification(options.verification && path.resolve(options.verification));
+    const allResults = cohorts.withCohorts(await fs.readJson(path.resolve(options.results || DEFAULT_RESULTS)), students);
+    // --exclude-unverified scores unverified handles as missing
+    const results = options['exclude-unverified'] ? verify.excludeUnverified(allResults, verification) : allResults;
+    const profile = resolveProfile(options.profile, loadScoringConfig(options.scoring));
+    // Rows flagged by the last audit get a Needs Review column, unverified handles an Unverified one
+    const leaderboard = verify.markUnverified(
+        audit.markForReview(buildLeaderboard(results, profile), await audit.loadAudit(options.audit && path.resolve(options.audit))),
+        results, verification
+    );
+    const groupBy = cohorts.parseGroupBy(options.by);
+
+    const groups = [];
+    for (const [key, members] of cohorts.groupResults(results, groupBy)) {
+        groups.push(cohorts.groupAggregates(key, members, buildLeaderboard(members, profile, results)));
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        profile,
+        results,
+        leaderboard,
+        overall: cohorts.groupAggregates('All students', results, leaderboard),
+        statusCounts: registry.statusCounts(results),
+        groupBy,
+        groups: cohorts.comparisonRows(groups)
+    };
+}
+
+// One platform's fields for every student, roster order
+function platformRows(data, adapter) {
+    return data.results.map(result => {
+        const platformResult = result.data?.[adapter.name] || {};
+        const row = {
+            id: result.id,
+            name: result.name,
+            handle: handleText(result.handles?.[adapter.handleKey]),
+            status: platformResult.status || (result.error ? STATUS.ERROR : STATUS.OK)
+        };
+        adapter.fields.forEach(field => {
+            row[field.key] = isUnavailable(platformResult) ? null : registry.fieldValue(result.data, { platform: adapter.name, ...field });
+        });
+        row.error = platformResult.error || '';
+        return row;
+    });
+}
+
+// [label, value] pairs for the Summary sheet and the HTML report
+function summaryRows(data) {
+    const { overall, profile } = data;
+    const rows = [
+        ['Students', overall.students],
+        ['Generated', data.generatedAt],
+        ['Scoring profile', `${profile.name} (${profile.normalization})`],
+        ['Average score', overall.avgScore],
+        ['Median score', overall.medianScore],
+        ['Average total CP', overall.avgTotalCP],
+        ['Top scorer', overall.topScorer ? `${overall.topScorer.name} (${overall.topScorer.score})` : '—'],
+        ['Top solver', overall.topSolver ? `${overall.topSolver.name} (${overall.topSolver.problems})` : '—']
+    ];
+    registry.list().forEach(adapter => {
+        const platform = overall.platforms[adapter.name];
+        const statuses = Object.entries(data.statusCounts[adapter.name] || {}).map(([status, count]) => `${status} ${count}`).join(', ');
+        rows.push([`${adapter.label} participants`, `${platform.participants} (${Math.round(platform.participationRate * 100)}%)`]);
+        adapter.fields.forEach(field => rows.push([`${field.label} (avg)`, platform.averages[field.key]]));
+        rows.push([`${adapter.label} statuses`, statuses]);
+    });
+    return rows;
+}
+
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({
+        header: column.label,
+        key: column.key,
+        width: Math.min(40, Math.max(10, column.label.length + 2, column.key === 'name' ? 28 : 0))
+    }));
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    return sheet;
+}
+
+// Leaderboard, one detail sheet per platform, Summary and Groups
+function buildWorkbook(data) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(data.generatedAt);
+
+    // Failed platforms stay blank (not 0) so sorting and averages in Excel are honest
+    const columns = leaderboardColumns(data.leaderboard);
+    addSheet(workbook, 'Leaderboard', [...columns, { key: 'unavailable', label: 'Unavailable' }], data.leaderboard.map((row, index) => {
+        const cells = {};
+        columns.forEach(column => { cells[column.key] = column.value(row, index) ?? null; });
+        cells.unavailable = (row.unavailable || []).join(', ');
+        return cells;
+    }));
+
+    registry.list().forEach(adapter => {
+        addSheet(workbook, adapter.label.slice(0, 31), [
+            { key: 'id', label: 'ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'handle', label: 'Handle' },
+            { key: 'status', label: 'Status' },
+            ...adapter.fields.map(field => ({ key: field.key, label: field.label })),
+            { key: 'error', label: 'Error' }
+        ], platformRows(data, adapter));
+    });
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ header: 'Metric', key: 'metric', width: 32 }, { header: 'Value', key: 'value', width: 40 }];
+    summary.addRows(summaryRows(data).map(([metric, value]) => ({ metric, value })));
+    summary.getRow(1).font = { bold: true };
+
+    const groupColumns = data.groups.length > 0 ? Object.keys(data.groups[0]).map(key => ({ key, label: key })) : [{ key: 'group', label: 'group' }];
+    addSheet(workbook, 'Groups', groupColumns, data.groups);
+
+    return workbook;
+}
+
+const BASE_STYLE = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #222; margin: 24px; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #666; margin-bottom: 16px; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0 24px; font-size: 13px; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    th { background: #f3f4f6; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+    .card { border: 1px solid #ddd; border-radius: 6px; padding: 10px 14px; min-width: 140px; }
+    .card b { display: block; font-size: 20px; }
+    .muted { color: #888; }`;
+
+function htmlTable(headers, rows) {
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => {
+        const numeric = typeof cell === 'number' || cell === null;
+        return `<td${numeric ? ' class="num"' : ''}>${escapeHtml(numeric ? formatNumber(cell) : cell)}</td>`;
+    }).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// A single self-contained page: no scripts, no external assets
+function renderHtmlReport(data) {
+    const { overall } = data;
+    const columns = leaderboardColumns(data.leaderboard);
+    const cards = [
+        ['Students', overall.students],
+        ['Average score', overall.avgScore],
+        ['Median score', overall.medianScore],
+        ['Average total CP', overall.avgTotalCP]
+    ].map(([label, value]) => `<div class="card">${escapeHtml(label)}<b>${escapeHtml(formatNumber(value))}</b></div>`).join('\n');
+
+    const platformTable = htmlTable(
+        ['Platform', 'Participants', 'Rate', 'Averages', 'Statuses'],
+        registry.list().map(adapter => {
+            const platform = overall.platforms[adapter.name];
+            return [
+                adapter.label,
+                platform.participants,
+                `${Math.round(platform.participationRate * 100)}%`,
+                adapter.fields.map(field => `${field.label}: ${formatNumber(platform.averages[field.key])}`).join(', '),
+                Object.entries(data.statusCounts[adapter.name] || {}).map(([status, count]) => `${status} ${count}`).join(', ')
+            ];
+        })
+    );
+
+    const groupTable = htmlTable(
+        [data.groupBy.join(' / '), 'Students', 'Avg score', 'Median score', 'Avg total CP', 'Top scorer'],
+        data.groups.map(group => [group.group, group.students, group.avgScore, group.medianScore, group.avgTotalCP, group.topScorer])
+    );
+
+    const leaderboardTable = htmlTable(
+        columns.map(column => column.label),
+        data.leaderboard.map((row, index) => columns.map(column => column.value(row, index) ?? null))
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Coding Leaderboard Report</title>
+<style>${BASE_STYLE}
+</style>
+</head>
+<body>
+<h1>Coding Leaderboard Report</h1>
+<div class="meta">Generated ${escapeHtml(data.generatedAt)} · scoring profile ${escapeHtml(data.profile.name)} (${escapeHtml(data.profile.normalization)}) · — means the platform could not be fetched</div>
+<div class="cards">
+${cards}
+</div>
+<h2>Platforms</h2>
+${platformTable}
+<h2>Groups</h2>
+${groupTable}
+<h2>Leaderboard</h2>
+${leaderboardTable}
+</body>
+</html>
+`;
+}
+
+// Everything a counsellor needs about one student, relative to the whole cohort
+function buildReportCard(result, data, progress = null) {
+    const index = data.leaderboard.findIndex(row => String(row.id) === String(result.id));
+    const row = data.leaderboard[index];
+    const total = data.leaderboard.length;
+
+    const platforms = registry.list().map(adapter => {
+        const platformResult = result.data?.[adapter.name];
+        const handle = handleText(result.handles?.[adapter.handleKey]);
+        const unavailable = isUnavailable(platformResult);
+        return {
+            name: adapter.name,
+            label: adapter.label,
+            handle,
+            status: platformResult?.status || (handle ? STATUS.OK : STATUS.NO_HANDLE),
+            metrics: adapter.fields.map(field => ({
+                label: field.label,
+                weight: field.weight || 0,
+                value: unavailable ? null : registry.fieldValue(result.data, { platform: adapter.name, ...field }),
+                average: data.overall.platforms[adapter.name].averages[field.key]
+            }))
+        };
+    });
+
+    const ratings = RATED_PLATFORMS
+        .map(name => ({ label: registry.get(name)?.label, data: result.data?.[name] }))
+        .filter(entry => entry.label && entry.data?.contests > 0 && !isUnavailable(entry.data))
+        .map(entry => ({ label: entry.label, rating: entry.data.rating, maxRating: entry.data.maxRating, rank: entry.data.rank, contests: entry.data.contests }));
+
+    // Strengths: scored metrics well above the cohort average; focus: missing handles and weak scored metrics
+    const scored = platforms.flatMap(platform => platform.metrics
+        .filter(metric => metric.weight > 0 && metric.value !== null && metric.average > 0)
+        .map(metric => ({ ...metric, ratio: metric.value / metric.average })));
+    const strengths = scored.filter(metric => metric.ratio >= 1.5).sort((a, b) => b.ratio - a.ratio).slice(0, 3)
+        .map(metric => `${metric.label}: ${formatNumber(metric.value)} (cohort avg ${formatNumber(metric.average)})`);
+    const focus = [
+        ...platforms.filter(platform => platform.status === STATUS.NO_HANDLE).map(platform => `No ${platform.label} handle on record`),
+        ...scored.filter(metric => metric.ratio < 0.5).sort((a, b) => a.ratio - b.ratio).slice(0, 3)
+            .map(metric => `${metric.label}: ${formatNumber(metric.value)} (cohort avg ${formatNumber(metric.average)})`)
+    ];
+    const notes = platforms
+        .filter(platform => [STATUS.ERROR, STATUS.RATE_LIMITED, STATUS.NOT_FOUND, STATUS.STALE].includes(platform.status))
+        .map(platform => `${platform.label}: ${platform.status}`);
+
+    return {
+        id: result.id,
+        name: result.name,
+        cohort: cohorts.cohortOf(result),
+        generatedAt: data.generatedAt,
+        profile: data.profile.name,
+        rank: index + 1,
+        of: total,
+        percentile: total > 1 ? Math.round(((total - index - 1) / (total - 1)) * 100) : 100,
+        score: row?.score ?? 0,
+        totalCP: result.data?.totalCP || 0,
+        progress,
+        platforms,
+        ratings,
+        strengths,
+        focus,
+        notes
+    };
+}
+
+const CARD_STYLE = `${BASE_STYLE}
+    @page { size: A4; margin: 15mm; }
+    @media print { body { margin: 0; } }
+    ul { margin: 4px 0 16px; }`;
+
+function renderReportCard(card) {
+    const cohortText = Object.entries(card.cohort).map(([field, value]) => `${field} ${value}`).join(' · ');
+    const keyFigures = [
+        ['Rank', `${card.rank} / ${card.of}`],
+        ['Percentile', card.percentile],
+        ['Score', formatNumber(card.score)],
+        ['Total CP problems', formatNumber(card.totalCP)],
+        ...(card.progress ? [[`Since ${card.progress.from.slice(0, 10)}`, `${card.progress.problemsGained >= 0 ? '+' : ''}${card.progress.problemsGained} problems`]] : [])
+    ].map(([label, value]) => `<div class="card">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join('\n');
+
+    const platformTable = htmlTable(
+        ['Platform', 'Handle', 'Metric', 'Value', 'Cohort avg', 'Status'],
+        card.platforms.flatMap(platform => platform.metrics.map((metric, i) => [
+            i === 0 ? platform.label : '',
+            i === 0 ? platform.handle || '—' : '',
+            metric.label,
+            metric.value,
+            metric.average,
+            i === 0 ? platform.status : ''
+        ]))
+    );
+    const ratingTable = card.ratings.length === 0 ? '' : `<h2>Contest Ratings</h2>\n${htmlTable(
+        ['Platform', 'Rating', 'Max rating', 'Rank', 'Contests'],
+        card.ratings.map(rating => [rating.label, rating.rating, rating.maxRating, rating.rank, rating.contests])
+    )}`;
+    const list = (title, items) => (items.length === 0 ? '' : `<h2>${title}</h2>\n<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Report card: ${escapeHtml(card.name)}</title>
+<style>${CARD_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(card.name)}</h1>
+<div class="meta">ID ${escapeHtml(card.id)}${cohortText ? ` · ${escapeHtml(cohortText)}` : ''} · ${escapeHtml(card.profile)} profile · generated ${escapeHtml(card.generatedAt.slice(0, 10))}</div>
+<div class="cards">
+${keyFigures}
+</div>
+<h2>Platforms</h2>
+${platformTable}
+${ratingTable}
+${list('Strengths', card.strengths)}
+${list('Focus Areas', card.focus)}
+${list('Data Notes', card.notes)}
+</body>
+</html>
+`;
+}
+
+function cardFileName(card) {
+    return `${String(card.id).replace(/[^\w-]+/g, '_')}-${String(card.name).replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '')}.html`;
+}
+
+// Report cards for the selected students (everyone by default), progress over the last 30 days when history exists
+async function writeReportCards(data, outDir, options = {}) {
+    const filter = options.group ? cohorts.parseGroupFilter(options.group) : null;
+    const keys = options.student ? String(options.student).split(',').map(key => key.trim()).filter(Boolean) : null;
+    const selected = data.results.filter(result =>
+        (!keys || keys.some(key => matchesStudent(result, key))) && (!filter || cohorts.inGroup(result, filter))
+    );
+    if (selected.length === 0) throw new Error('No students match the --student/--group selection');
+
+    const report = await history.progressReport({ days: 30 }).catch(() => null);
+    const progressById = new Map((report?.students || []).filter(s => !s.isNew).map(s => [String(s.id), { from: report.from, problemsGained: s.delta.totalCP }]));
+
+    const cardDir = path.join(outDir, 'report-cards');
+    await fs.ensureDir(cardDir);
+    for (const result of selected) {
+        const card = buildReportCard(result, data, progressById.get(String(result.id)) || null);
+        await fs.writeFile(path.join(cardDir, cardFileName(card)), renderReportCard(card));
+    }
+    return { dir: cardDir, count: selected.length };
+}
+
+async function runExport(format = 'all', options = {}) {
+    const formats = format === 'all' ? FORMATS : [format];
+    const unknown = formats.filter(f => !FORMATS.includes(f));
+    if (unknown.length > 0) throw new Error(`Unknown export format: ${unknown.join(', ')} (use ${FORMATS.join(', ')} or all)`);
+
+    const outDir = path.resolve(options.out || EXPORT_DIR);
+    await fs.ensureDir(outDir);
+    const data = await loadExportData(options);
+    const written = [];
+
+    for (const f of formats) {
+        switch (f) {
+            case 'xlsx': {
+                const file = path.join(outDir, 'leaderboard.xlsx');
+                await buildWorkbook(data).xlsx.writeFile(file);
+                written.push(file);
+                break;
+            }
+            case 'csv':
+            case 'tsv': {
+                const file = path.join(outDir, `leaderboard.${f}`);
+                await fs.writeFile(file, leaderboardCsv(data.leaderboard, f === 'tsv' ? '\t' : ','));
+                written.push(file);
+                break;
+            }
+            case 'html': {
+                const file = path.join(outDir, 'report.html');
+                await fs.writeFile(file, renderHtmlReport(data));
+                written.push(file);
+                break;
+            }
+            case 'cards': {
+                const cards = await writeReportCards(data, outDir, options);
+                written.push(`${cards.dir}/ (${cards.count} report cards)`);
+                break;
+            }
+        }
+    }
+
+    written.forEach(file => console.log(`📄 ${path.relative(process.cwd(), file)}`));
+    console.log(`✅ Exported ${data.results.length} students (${data.profile.name} profile)`);
+    return written;
+}
+
+function printUsage() {
+    console.log('Usage: node export.js [all|xlsx|csv|tsv|html|cards] [options]');
+    console.log('  --profile name           scoring profile (scoring.json)');
+    console.log('  --by department,year     grouping of the Groups sheet and report section');
+    console.log('  --out exports            output directory');
+    console.log('  --results results.json   --input students_mock.json');
+    console.log('  --student id|name|handle --group department=CSE   which report cards to write');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const format = args[0] && !args[0].startsWith('--') ? args.shift() : 'all';
+    const options = parseOptions(args);
+    if (options.help) return printUsage();
+    await runExport(format, options);
+}
+
+module.exports = {
+    FORMATS,
+    escapeHtml,
+    loadExportData,
+    platformRows,
+    buildWorkbook,
+    renderHtmlReport,
+    buildReportCard,
+    renderReportCard,
+    runExport
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    });
+}
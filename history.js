@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { registry, getPath } = require('./adapters');
+const { loadScoringConfig, profileNames, resolveProfile, scoreResults } = require('./scoring');
+
+const HISTORY_DIR = path.join(__dirname, 'history');
+const DAY = 24 * 60 * 60 * 1000;
+// Snapshots a progress report or an audit reads at most (streaks look this far back)
+const HISTORY_WINDOW = 30;
+
+// HISTORY_DIR moves the snapshots (tests use a temp directory)
+function historyDir() {
+    return process.env.HISTORY_DIR || HISTORY_DIR;
+}
+
+// Snapshot store: one timestamped JSON file per run in history/
+function snapshotFileName(timestamp) {
+    return `${timestamp.replace(/:/g, '-').replace(/\./g, '-')}.json`;
+}
+
+// "2026-10-19T14-40-09-035Z.json" -> "2026-10-19T14:40:09.035Z" (null for other files)
+function fileTimestamp(file) {
+    const match = file.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+    return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+function setPath(obj, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), obj);
+    parent[keys[keys.length - 1]] = value;
+}
+
+// Nested values the history readers use, as [platform, path]: leaderboard fields,
+// scoring metrics of every profile, audit limits and milestone metrics
+function nestedPaths() {
+    const paths = registry.fields().map(field => [field.platform, field.path]);
+    const config = loadScoringConfig();
+    profileNames(config).forEach(name => {
+        resolveProfile(name, config).metrics.forEach(metric => paths.push([metric.platform, metric.path]));
+    });
+    registry.list().forEach(adapter => {
+        Object.keys(adapter.sanity || {}).forEach(fieldPath => paths.push([adapter.name, fieldPath]));
+    });
+    try {
+        // Required here: milestones.js reads its runs from this module
+        require('./milestones').loadMilestoneConfig().milestones.forEach(milestone => {
+            const [platform, ...rest] = String(milestone.metric || '').split('.');
+            if (rest.length > 0) paths.push([platform, rest.join('.')]);
+        });
+    } catch (error) {
+        // A broken milestones.json only stops the milestones
+    }
+    return paths.filter(([, fieldPath]) => fieldPath.includes('.'));
+}
+
+// A platform result without calendars, contest histories and tag maps: its top-level
+// values (counts, ratings, rank titles, status) plus the nested paths above
+function snapshotData(data, paths = nestedPaths()) {
+    const slim = {};
+    Object.entries(data || {}).forEach(([platform, result]) => {
+        if (!result || typeof result !== 'object') {
+            slim[platform] = result;
+            return;
+        }
+        const kept = {};
+        Object.entries(result).forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') kept[key] = value;
+        });
+        paths.filter(([name]) => name === platform).forEach(([, fieldPath]) => {
+            const value = getPath(result, fieldPath);
+            if (value !== undefined) setPath(kept, fieldPath, value);
+        });
+        slim[platform] = kept;
+    });
+    return slim;
+}
+
+async function saveSnapshot(results, timestamp = new Date().toISOString()) {
+    await fs.ensureDir(historyDir());
+    const scores = scoreResults(results);
+    const paths = nestedPaths();
+    const snapshot = {
+        timestamp,
+        students: results.map((r, i) => ({
+            id: r.id,
+            name: r.name,
+            data: snapshotData(r.data, paths),
+            totalCP: r.data.totalCP || 0,
+            score: scores[i].score,
+            ...(r.error ? { error: r.error } : {})
+        }))
+    };
+    const file = path.join(historyDir(), snapshotFileName(timestamp));
+    await fs.writeJson(file, snapshot);
+    return file;
+}
+
+async function listSnapshots() {
+    if (!(await fs.pathExists(historyDir()))) return [];
+    const files = await fs.readdir(historyDir());
+    return files.filter(file => file.endsWith('.json')).sort();
+}
+
+// A snapshot with its students indexed by id (snapshot.byId, not serialized)
+async function readSnapshot(file) {
+    const snapshot = await fs.readJson(path.join(historyDir(), file));
+    Object.defineProperty(snapshot, 'byId', { value: new Map(snapshot.students.map(s => [String(s.id), s])) });
+    return snapshot;
+}
+
+// Resolve "latest", "previous", an index (0 = oldest, -1 = newest),
+// a file name or an ISO date prefix ("2026-10-01") to a snapshot file
+function resolveSnapshot(files, ref) {
+    if (files.length === 0) return null;
+    if (ref === undefined || ref === 'latest') return files[files.length - 1];
+    if (ref === 'previous') return files.length > 1 ? files[files.length - 2] : null;
+    if (/^-?\d+$/.test(String(ref))) {
+        const index = Number(ref);
+        return files[index < 0 ? files.length + index : index] || null;
+    }
+    const prefix = String(ref).replace(/:/g, '-');
+    return files.find(file => file === ref || file.startsWith(prefix)) || null;
+}
+
+async function loadSnapshot(ref) {
+    const files = await listSnapshots();
+    const file = resolveSnapshot(files, ref);
+    if (!file) throw new Error(`Snapshot not found: ${ref}`);
+    return readSnapshot(file);
+}
+
+// The newest `count` snapshots, oldest first
+async function loadRecentSnapshots(count = HISTORY_WINDOW) {
+    const files = await listSnapshots();
+    return Promise.all(files.slice(-count).map(readSnapshot));
+}
+
+// Oldest snapshot file that is at most `days` older than `toFile`
+function snapshotWithinDays(files, toFile, days) {
+    const cutoff = Date.parse(fileTimestamp(toFile)) - days * DAY;
+    return files.find(file => Date.parse(fileTimestamp(file)) >= cutoff) || files[0];
+}
+
+function metricsOf(entry) {
+    const metrics = {};
+    registry.fields().forEach(field => {
+        metrics[field.key] = registry.fieldValue(entry?.data, field);
+    });
+    metrics.totalCP = entry?.totalCP || 0;
+    metrics.score = entry?.score || 0;
+    return metrics;
+}
+
+// Per-student deltas between two snapshots
+function compareSnapshots(from, to) {
+    const before = from.byId || new Map(from.students.map(s => [String(s.id), s]));
+    const days = Math.max((Date.parse(to.timestamp) - Date.parse(from.timestamp)) / DAY, 0);
+
+    return to.students.map(student => {
+        const previous = before.get(String(student.id));
+        const start = metricsOf(previous);
+        const end = metricsOf(student);
+        const delta = {};
+        Object.keys(end).forEach(key => {
+            delta[key] = end[key] - start[key];
+        });
+        return {
+            id: student.id,
+            name: student.name,
+            isNew: !previous,
+            from: start,
+            to: end,
+            delta,
+            weeklyGain: days > 0 ? Math.round((delta.totalCP / days) * 7 * 10) / 10 : 0
+        };
+    });
+}
+
+// Consecutive snapshots (ending at the newest) in which the student gained problems,
+// plus the longest such run and how long they have gone without any gain
+function streaksFor(id, snapshots) {
+    let longest = 0;
+    let run = 0;
+    let lastGain = null;
+
+    for (let i = 1; i < snapshots.length; i++) {
+        const before = snapshots[i - 1].byId.get(String(id));
+        const after = snapshots[i].byId.get(String(id));
+        if (before && after && (after.totalCP || 0) > (before.totalCP || 0)) {
+            run++;
+            lastGain = snapshots[i].timestamp;
+        } else {
+            run = 0;
+        }
+        longest = Math.max(longest, run);
+    }
+    return { current: run, longest, lastGain };
+}
+
+// Build the progress report between two snapshots. Only the snapshots the report
+// needs are read: `from`, and up to HISTORY_WINDOW runs ending at `to` for the streaks.
+async function progressReport({ from: fromRef, to: toRef, days } = {}) {
+    const files = await listSnapshots();
+    if (files.length < 2) {
+        throw new Error(`Need at least 2 snapshots in ${historyDir()}, found ${files.length}`);
+    }
+
+    const toFile = resolveSnapshot(files, toRef);
+    if (!toFile) throw new Error(`Snapshot not found: ${toRef}`);
+    const fromFile = days ? snapshotWithinDays(files, toFile, Number(days)) : resolveSnapshot(files, fromRef || 'previous');
+    if (!fromFile) throw new Error(`Snapshot not found: ${fromRef}`);
+    if (fromFile === toFile) throw new Error('Both ends of the comparison resolve to the same snapshot');
+
+    const toIndex = files.indexOf(toFile);
+    const windowFiles = files.slice(Math.max(toIndex - HISTORY_WINDOW + 1, 0), toIndex + 1);
+    const window = await Promise.all(windowFiles.map(readSnapshot));
+    const to = window[window.length - 1];
+    const from = windowFiles.includes(fromFile) ? window[windowFiles.indexOf(fromFile)] : await readSnapshot(fromFile);
+
+    const students = compareSnapshots(from, to).map(entry => ({
+        ...entry,
+        streak: streaksFor(entry.id, window)
+    }));
+
+    const mostImproved = students
+        .filter(s => !s.isNew)
+        .sort((a, b) => b.delta.score - a.delta.score || b.delta.totalCP - a.delta.totalCP)
+        .map((s, index) => ({
+            rank: index + 1,
+            name: s.name,
+            scoreGain: s.delta.score,
+            problemsGained: s.delta.totalCP,
+            weeklyGain: s.weeklyGain,
+            score: s.to.score
+        }));
+
+    const stalled = students
+        .filter(s => !s.isNew && s.delta.totalCP <= 0 && s.delta.score <= 0)
+        .map(s => ({ name: s.name, totalCP: s.to.totalCP, lastGain: s.streak.lastGain }));
+
+    return {
+        from: from.timestamp,
+        to: to.timestamp,
+        days: Math.round(((Date.parse(to.timestamp) - Date.parse(from.timestamp)) / DAY) * 10) / 10,
+        totals: {
+            students: students.length,
+            improved: students.filter(s => s.delta.totalCP > 0).length,
+            stalled: stalled.length,
+            newStudents: students.filter(s => s.isNew).length,
+            problemsGained: students.reduce((sum, s) => sum + Math.max(s.delta.totalCP, 0), 0)
+        },
+        mostImproved,
+        stalled,
+        students
+    };
+}
+
+module.exports = {
+    HISTORY_DIR,
+    HISTORY_WINDOW,
+    historyDir,
+    snapshotData,
+    saveSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    loadRecentSnapshots,
+    compareSnapshots,
+    progressReport
+};
@@ -0,0 +1,71 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// scraper.lock is held by whatever is writing results.json (a manual run or a
+// scheduler tick); scheduler.lock by the scheduler daemon for as long as it lives
+const SCRAPER_LOCK = path.join(__dirname, 'scraper.lock');
+const SCHEDULER_LOCK = path.join(__dirname, 'scheduler.lock');
+
+const LOCKED_CODE = 'ERR_LOCKED';
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function readLock(file) {
+    try {
+        return fs.readJsonSync(file);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Create the lock file or fail with ERR_LOCKED. A lock left behind by a process
+// that is no longer running (on this host) is taken over.
+function acquireLock(file = SCRAPER_LOCK, details = {}) {
+    const lock = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString(), ...details };
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(file, JSON.stringify(lock, null, 2), { flag: 'wx' });
+            return lock;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            const holder = readLock(file);
+            if (holder && (holder.host !== os.hostname() || isRunning(holder.pid))) {
+                const locked = new Error(`${path.basename(file)} is held by pid ${holder.pid} on ${holder.host} since ${holder.startedAt}${holder.mode ? ` (${holder.mode})` : ''}`);
+                locked.code = LOCKED_CODE;
+                locked.holder = holder;
+                throw locked;
+            }
+            console.log(`🔓 Removing stale ${path.basename(file)}${holder ? ` (pid ${holder.pid} is gone)` : ''}`);
+            fs.removeSync(file);
+        }
+    }
+    throw new Error(`Could not acquire ${path.basename(file)}`);
+}
+
+// Only the process that holds the lock removes it
+function releaseLock(file = SCRAPER_LOCK) {
+    const holder = readLock(file);
+    if (holder && holder.pid === process.pid && holder.host === os.hostname()) {
+        fs.removeSync(file);
+    }
+}
+
+// Run `fn` while holding the lock
+async function withLock(file, details, fn) {
+    acquireLock(file, details);
+    try {
+        return await fn();
+    } finally {
+        releaseLock(file);
+    }
+}
+
+module.exports = { SCRAPER_LOCK, SCHEDULER_LOCK, LOCKED_CODE, acquireLock, releaseLock, withLock, readLock };
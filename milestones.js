@@ -0,0 +1,321 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { CONFIG, STATUS, isUnavailable } = require('./core');
+const { getPath } = require('./adapters');
+const { scoreResults } = require('./scoring');
+const history = require('./history');
+const cohorts = require('./cohorts');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'milestones.json');
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const BADGES_FILE = path.join(__dirname, 'badges.json');
+const MILESTONE_TYPES = ['threshold', 'change', 'rank'];
+
+// Milestone definitions, templates and sinks. Metrics are "<platform>.<path into the
+// platform result>" like in scoring.json; SMTP_* and MILESTONE_WEBHOOK_URL override the sinks.
+function loadMilestoneConfig(file = process.env.MILESTONES_CONFIG || DEFAULT_CONFIG_FILE) {
+    const config = fs.existsSync(file) ? fs.readJsonSync(file) : { milestones: [] };
+    config.templates = config.templates || {};
+    const sinks = config.sinks = config.sinks || {};
+
+    if (process.env.MILESTONE_WEBHOOK_URL) {
+        sinks.webhook = { ...sinks.webhook, enabled: true, url: process.env.MILESTONE_WEBHOOK_URL };
+    }
+    if (process.env.SMTP_HOST) {
+        sinks.smtp = {
+            ...sinks.smtp,
+            enabled: true,
+            host: process.env.SMTP_HOST,
+            ...(process.env.SMTP_PORT ? { port: Number(process.env.SMTP_PORT) } : {}),
+            ...(process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : {}),
+            ...(process.env.SMTP_FROM ? { from: process.env.SMTP_FROM } : {})
+        };
+    }
+
+    (config.milestones || []).forEach(milestone => {
+        if (!milestone.id) throw new Error('Milestone without an id in the milestones config');
+        if (!MILESTONE_TYPES.includes(milestone.type)) {
+            throw new Error(`Unknown milestone type for ${milestone.id}: ${milestone.type} (use ${MILESTONE_TYPES.join(', ')})`);
+        }
+    });
+    return config;
+}
+
+// "{name} solved {value}" -> "ALICE solved 100"; unknown placeholders render empty
+function renderTemplate(template, vars) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) => (vars[key] ?? ''));
+}
+
+// The platform value behind a metric, or undefined when the platform has no usable
+// result (no handle, not found, failed): a failed fetch must not look like progress
+function metricValue(data, metric) {
+    const [platform, ...rest] = metric.split('.');
+    const result = data?.[platform];
+    if (!result || isUnavailable(result) || [STATUS.NO_HANDLE, STATUS.NOT_FOUND].includes(result.status)) return undefined;
+    return getPath(result, rest.join('.'));
+}
+
+// Leaderboard rank per student id (ties share a rank)
+function ranksOf(results, profile) {
+    const scores = scoreResults(results, profile);
+    const ranks = new Map();
+    scores.forEach(({ id, score }) => {
+        ranks.set(String(id), 1 + scores.filter(other => other.score > score).length);
+    });
+    return ranks;
+}
+
+// Milestones reached between two runs. Students missing from the previous run are
+// only a baseline: nothing is announced for numbers we never saw grow.
+function detectMilestones(previous, current, config) {
+    const before = new Map(previous.map(result => [String(result.id), result]));
+    const events = [];
+    const rankings = new Map();
+
+    (config.milestones || []).forEach(milestone => {
+        if (milestone.type === 'rank' && !rankings.has(milestone.profile)) {
+            rankings.set(milestone.profile, { before: ranksOf(previous, milestone.profile), after: ranksOf(current, milestone.profile) });
+        }
+    });
+
+    current.forEach(result => {
+        const old = before.get(String(result.id));
+        if (!old) return;
+
+        (config.milestones || []).forEach(milestone => {
+            let value;
+            let was;
+            let key = milestone.id;
+
+            if (milestone.type === 'threshold') {
+                value = Number(metricValue(result.data, milestone.metric));
+                was = Number(metricValue(old.data, milestone.metric));
+                if (!Number.isFinite(value) || !Number.isFinite(was)) return;
+                if (!(was < milestone.value && value >= milestone.value)) return;
+            } else if (milestone.type === 'change') {
+                value = metricValue(result.data, milestone.metric);
+                was = metricValue(old.data, milestone.metric);
+                if (value == null || was == null || value === was) return;
+                // With an order (e.g. rank titles) only moves up count
+                if (milestone.order && !(milestone.order.indexOf(value) > milestone.order.indexOf(was))) return;
+                key = `${milestone.id}:${value}`;
+            } else {
+                const { before: ranksBefore, after: ranksAfter } = rankings.get(milestone.profile);
+                value = ranksAfter.get(String(result.id));
+                was = ranksBefore.get(String(result.id));
+                if (!(value <= milestone.top && was > milestone.top)) return;
+            }
+
+            const vars = { ...cohorts.cohortOf(result), name: result.name, value, previous: was, icon: milestone.icon || '🏅' };
+            events.push({
+                key,
+                milestone: milestone.id,
+                studentId: result.id,
+                name: result.name,
+                icon: vars.icon,
+                title: renderTemplate(milestone.title || milestone.id, vars),
+                message: renderTemplate(milestone.message || milestone.title || milestone.id, vars),
+                value,
+                previous: was
+            });
+        });
+    });
+    return events;
+}
+
+// badges.json: every badge a student has been awarded, so none is awarded twice.
+// `undelivered` lists the sinks that failed and are retried on the next run.
+async function loadBadges(file = BADGES_FILE) {
+    return fs.readJson(file).catch(() => ({ students: {} }));
+}
+
+async function saveBadges(store, file = BADGES_FILE) {
+    store.updatedAt = new Date().toISOString();
+    await fs.writeJson(file, store, { spaces: 2 });
+}
+
+// Keep the events whose badge the student does not have yet and record them
+function awardBadges(store, events, awardedAt = new Date().toISOString()) {
+    const awarded = [];
+    events.forEach(event => {
+        const badges = store.students[String(event.studentId)] = store.students[String(event.studentId)] || {};
+        if (badges[event.key]) return;
+        badges[event.key] = { ...event, awardedAt, undelivered: [] };
+        awarded.push(badges[event.key]);
+    });
+    return awarded;
+}
+
+// Badges whose delivery to a sink failed on an earlier run
+function undeliveredBadges(store, sink) {
+    return Object.values(store.students).flatMap(badges =>
+        Object.values(badges).filter(badge => badge.undelivered?.includes(sink)));
+}
+
+// Sinks get the events of one run and return the events they could not deliver
+const SINKS = {
+    // Markdown for mentors, appended per run and grouped by mentor
+    digest: async (events, settings, { config, baseDir }) => {
+        const file = path.resolve(baseDir, settings.file || 'milestones-digest.md');
+        const byMentor = new Map();
+        events.forEach(event => {
+            const mentor = event.mentor || 'No mentor';
+            if (!byMentor.has(mentor)) byMentor.set(mentor, []);
+            byMentor.get(mentor).push(event);
+        });
+        const template = config.templates.digest || '- {icon} **{title}**: {message}';
+        const lines = [`## ${new Date().toISOString().slice(0, 10)}: ${events.length} milestones`, ''];
+        [...byMentor.entries()].sort((a, b) => a[0].localeCompare(b[0])).forEach(([mentor, list]) => {
+            lines.push(`### ${mentor}`, '', ...list.map(event => renderTemplate(template, event)), '');
+        });
+        await fs.appendFile(file, `${lines.join('\n')}\n`);
+        console.log(`📝 Digest: ${events.length} milestones added to ${path.relative(process.cwd(), file)}`);
+        return [];
+    },
+
+    // One JSON POST per run with every event
+    webhook: async (events, settings) => {
+        if (!settings.url) throw new Error('webhook sink has no url');
+        // The plain http adapter: notifications are never recorded or replayed (replay.js)
+        const client = axios.create({ adapter: 'http', timeout: settings.timeout || CONFIG.REQUEST_TIMEOUT });
+        await client.post(settings.url, {
+            type: 'milestones',
+            generatedAt: new Date().toISOString(),
+            count: events.length,
+            events: events.map(({ undelivered, ...event }) => event)
+        }, { headers: settings.headers || {} });
+        console.log(`🔗 Webhook: ${events.length} milestones posted`);
+        return [];
+    },
+
+    // One mail per event to the student (roster `email`), bcc to the configured addresses
+    smtp: async (events, settings, { config }) => {
+        const transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port || 587,
+            secure: Boolean(settings.secure),
+            ...(settings.user ? { auth: { user: settings.user, pass: settings.pass } } : {})
+        });
+        const template = config.templates.email || {};
+        const failed = [];
+        let sent = 0;
+        let noAddress = 0;
+        try {
+            for (const event of events) {
+                if (!event.email) {
+                    noAddress++;
+                    continue;
+                }
+                try {
+                    await transport.sendMail({
+                        from: settings.from,
+                        to: event.email,
+                        ...(settings.bcc?.length ? { bcc: settings.bcc } : {}),
+                        subject: renderTemplate(template.subject || '{icon} {title}', event),
+                        text: renderTemplate(template.text || '{message}', event)
+                    });
+                    sent++;
+                } catch (error) {
+                    console.log(`⚠️  Mail to ${event.name} failed: ${error.message}`);
+                    failed.push(event);
+                }
+            }
+        } finally {
+            transport.close();
+        }
+        console.log(`📧 SMTP: ${sent} mails sent${noAddress ? `, ${noAddress} students without an email` : ''}${failed.length ? `, ${failed.length} failed` : ''}`);
+        return failed;
+    }
+};
+
+// Send new and previously undelivered badges to every enabled sink. A failing sink
+// never stops the others; its badges are marked undelivered for the next run.
+async function deliver(store, awarded, config, options = {}) {
+    const delivered = {};
+    for (const [name, sink] of Object.entries(SINKS)) {
+        const settings = config.sinks[name];
+        if (!settings?.enabled) continue;
+        const retry = undeliveredBadges(store, name).filter(badge => !awarded.includes(badge));
+        const events = [...awarded, ...retry];
+        if (events.length === 0) continue;
+
+        let failed;
+        try {
+            failed = await sink(events, settings, { config, baseDir: options.baseDir || __dirname });
+        } catch (error) {
+            console.log(`⚠️  ${name} sink failed: ${error.message}`);
+            failed = events;
+        }
+        events.forEach(event => {
+            const pending = (event.undelivered || []).filter(sinkName => sinkName !== name);
+            event.undelivered = failed.includes(event) ? [...pending, name] : pending;
+        });
+        delivered[name] = events.length - failed.length;
+    }
+    return delivered;
+}
+
+// Roster fields the sinks need: email for SMTP, mentor and cohort for the digest
+function withContacts(events, students) {
+    const byId = new Map(students.map(student => [String(student.id), student]));
+    return events.map(event => {
+        const student = byId.get(String(event.studentId));
+        return { ...cohorts.cohortOf(student), ...event, ...(student?.email ? { email: student.email } : {}) };
+    });
+}
+
+// Compare two snapshots (default: the previous and the latest run), award the new
+// badges and notify the sinks. `dryRun` only lists what would be awarded.
+async function runMilestones(options = {}) {
+    const config = typeof options.config === 'object' ? options.config : loadMilestoneConfig(options.config ? path.resolve(options.config) : undefined);
+    const badgesFile = path.resolve(options.badges || BADGES_FILE);
+    const files = await history.listSnapshots();
+    if (files.length < 2 && !options.previous) {
+        console.log(`ℹ️  Milestones need two runs to compare, found ${files.length} snapshot${files.length === 1 ? '' : 's'}`);
+        return { events: [], awarded: [], delivered: {} };
+    }
+
+    const from = options.previous || (await history.loadSnapshot(options.from || 'previous')).students;
+    const to = options.current || (await history.loadSnapshot(options.to || 'latest')).students;
+    const students = await fs.readJson(path.resolve(options.input || DEFAULT_ROSTER)).catch(() => []);
+    const events = withContacts(detectMilestones(from, to, config), students);
+
+    const store = await loadBadges(badgesFile);
+    if (options['dry-run']) {
+        const isNew = events.filter(event => !store.students[String(event.studentId)]?.[event.key]);
+        isNew.forEach(event => console.log(`  ${event.icon} ${event.message}`));
+        console.log(`🔎 ${isNew.length} new milestones (dry run, nothing awarded or sent)`);
+        return { events, awarded: isNew, delivered: {} };
+    }
+
+    const awarded = awardBadges(store, events);
+    awarded.forEach(event => console.log(`  ${event.icon} ${event.message}`));
+    console.log(`🏅 ${awarded.length} new milestones (${events.length - awarded.length} already awarded)`);
+    const delivered = await deliver(store, awarded, config, options);
+    await saveBadges(store, badgesFile);
+    return { events, awarded, delivered };
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    BADGES_FILE,
+    SINKS,
+    loadMilestoneConfig,
+    renderTemplate,
+    detectMilestones,
+    loadBadges,
+    awardBadges,
+    deliver,
+    withContacts,
+    runMilestones
+};
+
+if (require.main === module) {
+    runMilestones(parseOptions(process.argv.slice(2))).catch(error => {
+        console.error('❌ Milestones failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Record/replay layer in front of axios.
+//
+//   live   - normal network requests (default)
+//   record - real requests, every response (or network error) is saved as a fixture
+//   replay - no network at all, responses come from the fixtures
+//
+// The mode comes from HTTP_MODE (or setMode) and fixtures live in HTTP_FIXTURES
+// (default fixtures/). One JSON file per request, named after host and path.
+const MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Response headers that must never end up in the repository
+const DROPPED_HEADERS = ['set-cookie', 'cookie', 'authorization'];
+
+const NO_FIXTURE_CODE = 'ERR_NO_FIXTURE';
+
+let mode = process.env.HTTP_MODE || 'live';
+let fixturesDir = process.env.HTTP_FIXTURES || DEFAULT_FIXTURES_DIR;
+
+function setMode(newMode, dir) {
+    if (!MODES.includes(newMode)) throw new Error(`Unknown HTTP mode: ${newMode} (use ${MODES.join(', ')})`);
+    mode = newMode;
+    if (dir) fixturesDir = path.resolve(dir);
+}
+
+function getMode() {
+    return mode;
+}
+
+function isReplaying() {
+    return mode === 'replay';
+}
+
+// Method, full URL with query string and body identify a request
+function requestKey(axios, config) {
+    const method = (config.method || 'get').toUpperCase();
+    const body = typeof config.data === 'string' ? config.data : (config.data ? JSON.stringify(config.data) : '');
+    return `${method} ${axios.getUri(config)}${body ? ` ${body}` : ''}`;
+}
+
+// fixtures/<host>/<path>-<hash>.json, readable enough to find the one that broke
+function fixturePath(key) {
+    const url = new URL(key.split(' ')[1]);
+    const slug = url.pathname.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+    return path.join(fixturesDir, url.hostname, `${slug.slice(0, 60)}-${hash}.json`);
+}
+
+function plainHeaders(headers) {
+    const plain = {};
+    Object.entries(headers?.toJSON ? headers.toJSON() : headers || {}).forEach(([name, value]) => {
+        if (!DROPPED_HEADERS.includes(name.toLowerCase())) plain[name.toLowerCase()] = value;
+    });
+    return plain;
+}
+
+// JSON bodies are stored parsed so fixtures can be read and edited by hand
+function bodyFields(data) {
+    if (typeof data !== 'string') return { json: data ?? null };
+    try {
+        return { json: JSON.parse(data) };
+    } catch (error) {
+        return { body: data };
+    }
+}
+
+async function saveFixture(key, fixture) {
+    const file = fixturePath(key);
+    await fs.outputJson(file, { request: key, recordedAt: new Date().toISOString(), ...fixture }, { spaces: 2 });
+    console.log(`📼 Recorded ${path.relative(fixturesDir, file)}`);
+}
+
+async function recordRequest(axios, liveAdapter, config, key) {
+    try {
+        const response = await liveAdapter(config);
+        await saveFixture(key, { status: response.status, headers: plainHeaders(response.headers), ...bodyFields(response.data) });
+        return response;
+    } catch (error) {
+        if (error.response) {
+            const { status, headers, data } = error.response;
+            await saveFixture(key, { status, headers: plainHeaders(headers), ...bodyFields(data) });
+        } else {
+            await saveFixture(key, { error: { code: error.code || null, message: error.message } });
+        }
+        throw error;
+    }
+}
+
+async function replayRequest(axios, config, key) {
+    const file = fixturePath(key);
+    if (!(await fs.pathExists(file))) {
+        throw new axios.AxiosError(`No recorded fixture for ${key} (${path.relative(fixturesDir, file)})`, NO_FIXTURE_CODE, config);
+    }
+    const fixture = await fs.readJson(file);
+
+    // Recorded network failures: timeouts, resets, DNS errors
+    if (fixture.error) {
+        throw new axios.AxiosError(fixture.error.message, fixture.error.code, config);
+    }
+
+    const response = {
+        data: fixture.body !== undefined ? fixture.body : JSON.stringify(fixture.json),
+        status: fixture.status,
+        statusText: '',
+        headers: new axios.AxiosHeaders(fixture.headers || {}),
+        config,
+        request: {}
+    };
+
+    // Same rule as axios' own settle()
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) return response;
+    throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+    );
+}
+
+// Put the layer in front of axios' default transport
+function install(axios) {
+    const liveAdapter = axios.getAdapter(axios.defaults.adapter);
+    axios.defaults.adapter = async (config) => {
+        if (mode === 'live') return liveAdapter(config);
+        const key = requestKey(axios, config);
+        return mode === 'record' ? recordRequest(axios, liveAdapter, config, key) : replayRequest(axios, config, key);
+    };
+}
+
+module.exports = {
+    MODES,
+    NO_FIXTURE_CODE,
+    setMode,
+    getMode,
+    isReplaying,
+    install,
+    requestKey,
+    fixturePath
+};
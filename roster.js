@@ -0,0 +1,405 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { registry } = require('./adapters');
+const { COHORT_FIELDS } = require('./cohorts');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const DEFAULT_REPORT = path.join(__dirname, 'roster-report.json');
+
+// Form export headers we recognise besides the platform columns
+const COLUMN_ALIASES = {
+    id: ['id', 'roll no', 'roll number', 'register number', 'register no', 'reg no', 'registration number'],
+    name: ['name', 'student name', 'full name'],
+    department: ['department', 'dept', 'branch'],
+    year: ['year', 'batch', 'year of study'],
+    section: ['section', 'sec', 'class'],
+    mentor: ['mentor', 'faculty advisor', 'class advisor', 'tutor'],
+    email: ['email', 'email address', 'e-mail', 'email id', 'mail id']
+};
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// exceljs cell values: hyperlinks { text, hyperlink }, rich text { richText: [{ text }] },
+// formulas { formula, result } (a result of 0 is still a value), dates and errors { error }
+function cellText(value) {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return String(value);
+    if (value.hyperlink) return String(value.hyperlink).replace(/^mailto:/i, '');
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    return '';
+}
+
+async function readXlsx(file) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const sheet = workbook.worksheets[0];
+    const rows = [];
+    sheet.eachRow(row => {
+        // row.values is 1-based
+        rows.push(row.values.slice(1).map(cellText));
+    });
+    return rows;
+}
+
+// Map each header to a roster field or a platform
+function mapColumns(headers) {
+    return headers.map(header => {
+        const label = String(header).trim().toLowerCase();
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            if (aliases.includes(label)) return { field };
+        }
+        const adapter = registry.list().find(a =>
+            label.includes(a.name) || label.includes(a.label.toLowerCase()) ||
+            (a.aliases || []).some(alias => label.includes(alias))
+        );
+        return adapter ? { platform: adapter.handleKey, adapter } : null;
+    });
+}
+
+// Import a CSV/XLSX export of the student form into roster entries
+async function importRoster(file) {
+    const rows = file.toLowerCase().endsWith('.xlsx')
+        ? await readXlsx(file)
+        : parseCsv(await fs.readFile(file, 'utf8'));
+    if (rows.length < 2) throw new Error(`No data rows in ${file}`);
+
+    const columns = mapColumns(rows[0]);
+    if (!columns.some(c => c && c.field === 'name')) {
+        throw new Error(`No name column found in ${file} (expected one of: ${COLUMN_ALIASES.name.join(', ')})`);
+    }
+
+    return rows.slice(1).map((row, index) => {
+        const student = { id: index + 1, name: '', handles: {} };
+        columns.forEach((column, i) => {
+            const value = (row[i] || '').trim();
+            if (!column || !value) return;
+            if (column.field === 'id') student.id = /^\d+$/.test(value) ? Number(value) : value;
+            if (column.field === 'name') student.name = value.toUpperCase();
+            if (column.field === 'email') student.email = value;
+            if (COHORT_FIELDS.includes(column.field)) {
+                student[column.field] = /^\d+$/.test(value) ? Number(value) : value;
+            }
+            if (column.platform && !student.handles[column.platform]) {
+                student.handles[column.platform] = registry.normalizeHandle(column.adapter, value);
+            }
+        });
+        if (student.handles.github) {
+            student.github_link = `https://github.com/${student.handles.github}`;
+        }
+        return student;
+    });
+}
+
+function handleKey(handle) {
+    if (handle && typeof handle === 'object') return `${handle.id}`;
+    return String(handle).toLowerCase();
+}
+
+// A student matches by id, full name or any platform handle (case-insensitive)
+function matchesStudent(student, key) {
+    const value = String(key).trim().toLowerCase();
+    if (String(student.id).toLowerCase() === value) return true;
+    if (String(student.name || '').toLowerCase() === value) return true;
+    return registry.list().some(adapter => {
+        const handle = student.handles?.[adapter.handleKey];
+        if (!handle) return false;
+        if (typeof handle === 'object') {
+            return [handle.username, handle.id].some(part => part && String(part).toLowerCase() === value);
+        }
+        return handleKey(handle) === value;
+    });
+}
+
+// Offline checks: empty/pasted/unusable handles, duplicate students and shared handles
+function checkRoster(students) {
+    const issues = [];
+    const addIssue = (student, issue) => issues.push({ id: student.id, name: student.name, ...issue });
+
+    const byId = new Map();
+    const byFingerprint = new Map();
+    const byHandle = new Map();
+
+    students.forEach(student => {
+        if (student.id === undefined || student.id === '') {
+            addIssue(student, { type: 'missing_id', severity: 'error' });
+        } else if (byId.has(String(student.id))) {
+            addIssue(student, { type: 'duplicate_id', severity: 'error', duplicateOf: byId.get(String(student.id)).name });
+        } else {
+            byId.set(String(student.id), student);
+        }
+        if (!student.name) addIssue(student, { type: 'missing_name', severity: 'error' });
+
+        registry.list().forEach(adapter => {
+            const raw = student.handles?.[adapter.handleKey];
+            if (raw === undefined || raw === null) return;
+
+            if (typeof raw === 'string' && raw.trim() === '') {
+                addIssue(student, { type: 'empty_handle', severity: 'warning', platform: adapter.name });
+                return;
+            }
+
+            const normalized = registry.normalizeHandle(adapter, raw);
+            if (typeof raw === 'string' && JSON.stringify(normalized) !== JSON.stringify(raw)) {
+                addIssue(student, {
+                    type: /[/.]/.test(raw) ? 'url_instead_of_handle' : 'unnormalized_handle',
+                    severity: 'warning',
+                    platform: adapter.name,
+                    value: raw,
+                    suggestion: normalized
+                });
+            }
+            if (typeof normalized === 'string' && /[\s/?#]/.test(normalized)) {
+                addIssue(student, { type: 'invalid_handle', severity: 'error', platform: adapter.name, value: raw });
+            }
+            if (!registry.hasHandle(adapter, normalized)) {
+                addIssue(student, {
+                    type: 'unusable_handle',
+                    severity: 'warning',
+                    platform: adapter.name,
+                    value: raw,
+                    message: `${adapter.label} handle cannot be scraped in this form`
+                });
+                return;
+            }
+
+            const key = `${adapter.name}:${handleKey(normalized)}`;
+            if (!byHandle.has(key)) byHandle.set(key, []);
+            byHandle.get(key).push(student);
+        });
+
+        // Same name with the same handles is the same student entered twice
+        const fingerprint = `${String(student.name).toLowerCase()}|${JSON.stringify(student.handles || {})}`;
+        if (byFingerprint.has(fingerprint)) {
+            addIssue(student, { type: 'duplicate_student', severity: 'error', duplicateOf: byFingerprint.get(fingerprint).id });
+        } else {
+            byFingerprint.set(fingerprint, student);
+        }
+    });
+
+    byHandle.forEach((owners, key) => {
+        const distinct = owners.filter((s, i) => owners.findIndex(o => String(o.id) === String(s.id)) === i);
+        if (distinct.length < 2) return;
+        const [platform, handle] = key.split(':');
+        distinct.forEach(student => addIssue(student, {
+            type: 'shared_handle',
+            severity: 'warning',
+            platform,
+            value: handle,
+            sharedWith: distinct.filter(o => o !== student).map(o => o.id)
+        }));
+    });
+
+    return issues;
+}
+
+// Online checks: does each distinct handle exist, and with which case?
+async function lookupHandles(students) {
+    const issues = [];
+    const canonical = {};
+    const seen = new Set();
+
+    for (const adapter of registry.list().filter(a => a.lookupHandle)) {
+        for (const student of students) {
+            const handle = registry.normalizeHandle(adapter, student.handles?.[adapter.handleKey]);
+            if (!registry.hasHandle(adapter, handle)) continue;
+            const key = `${adapter.name}:${handleKey(handle)}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const owners = students.filter(s =>
+                handleKey(registry.normalizeHandle(adapter, s.handles?.[adapter.handleKey])) === handleKey(handle)
+            );
+            const report = (issue) => owners.forEach(s => issues.push({ id: s.id, name: s.name, platform: adapter.name, value: handle, ...issue }));
+
+            try {
+                console.log(`🔎 Checking ${adapter.label} handle ${handle}...`);
+                const result = await registry.lookupHandle(adapter.name, handle);
+                if (!result.exists) {
+                    report({ type: 'not_found', severity: 'error' });
+                } else if (result.canonical && result.canonical !== handle) {
+                    canonical[key] = result.canonical;
+                    report({ type: 'case_mismatch', severity: 'warning', suggestion: result.canonical });
+                }
+            } catch (error) {
+                report({ type: 'lookup_failed', severity: 'info', message: error.message });
+            }
+        }
+    }
+
+    return { issues, canonical };
+}
+
+// Normalized copy of the roster: handles cleaned up, empty handles dropped,
+// canonical case applied and exact duplicate students removed
+function fixRoster(students, canonical = {}) {
+    const seen = new Set();
+    return students
+        .filter(student => {
+            const fingerprint = `${String(student.name).toLowerCase()}|${JSON.stringify(student.handles || {})}`;
+            if (seen.has(fingerprint)) return false;
+            seen.add(fingerprint);
+            return true;
+        })
+        .map(student => {
+            const handles = {};
+            Object.entries(student.handles || {}).forEach(([key, raw]) => {
+                const adapter = registry.list().find(a => a.handleKey === key);
+                if (!adapter) {
+                    handles[key] = raw;
+                    return;
+                }
+                if (typeof raw === 'string' && raw.trim() === '') return;
+                const handle = registry.normalizeHandle(adapter, raw);
+                handles[key] = canonical[`${adapter.name}:${handleKey(handle)}`] || handle;
+            });
+            return { ...student, handles };
+        });
+}
+
+async function validateRoster(students, { online = false } = {}) {
+    const issues = checkRoster(students);
+    let canonical = {};
+    if (online) {
+        const lookup = await lookupHandles(students);
+        issues.push(...lookup.issues);
+        canonical = lookup.canonical;
+    }
+
+    const counts = {};
+    issues.forEach(issue => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        students: students.length,
+        online,
+        errors: issues.filter(i => i.severity === 'error').length,
+        warnings: issues.filter(i => i.severity === 'warning').length,
+        counts,
+        issues,
+        canonical
+    };
+}
+
+function printReport(report, reportFile) {
+    console.log(`\n📋 Roster validation: ${report.students} students, ${report.errors} errors, ${report.warnings} warnings`);
+    Object.entries(report.counts)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([type, count]) => console.log(`  • ${type}: ${count}`));
+    report.issues
+        .filter(issue => issue.severity === 'error')
+        .slice(0, 20)
+        .forEach(issue => {
+            const platform = issue.platform ? ` [${issue.platform}]` : '';
+            const detail = issue.duplicateOf !== undefined ? ` (duplicate of ${issue.duplicateOf})` : issue.value ? ` (${issue.value})` : '';
+            console.log(`  ❌ #${issue.id} ${issue.name}: ${issue.type}${platform}${detail}`);
+        });
+    console.log(`📄 Report saved to: ${path.relative(process.cwd(), reportFile)}`);
+}
+
+async function writeRoster(students, file) {
+    if (await fs.pathExists(file)) {
+        await fs.copy(file, `${file}.bak`);
+        console.log(`💾 Previous roster backed up to: ${path.relative(process.cwd(), file)}.bak`);
+    }
+    await fs.writeJson(file, students, { spaces: 2 });
+    console.log(`✅ Roster saved to: ${path.relative(process.cwd(), file)} (${students.length} students)`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const options = parseOptions(args);
+    const reportFile = path.resolve(options.report || DEFAULT_REPORT);
+
+    try {
+        if (command === 'import') {
+            const [file] = options._;
+            if (!file) throw new Error('Usage: node roster.js import <export.csv|export.xlsx> --output <file> | --force [--online]');
+            // The default roster is only replaced on request
+            const output = options.output || options.out;
+            if (!output && !options.force) {
+                throw new Error(`Refusing to overwrite ${path.relative(process.cwd(), DEFAULT_ROSTER)}: pass --output <file>, or --force to replace it`);
+            }
+            const outFile = path.resolve(output || DEFAULT_ROSTER);
+
+            const imported = await importRoster(path.resolve(file));
+            console.log(`📥 Imported ${imported.length} students from ${file}`);
+
+            const report = await validateRoster(imported, { online: Boolean(options.online) });
+            await fs.writeJson(reportFile, report, { spaces: 2 });
+            printReport(report, reportFile);
+
+            await writeRoster(fixRoster(imported, report.canonical), outFile);
+        } else if (command === 'validate') {
+            const inputFile = path.resolve(options.input || DEFAULT_ROSTER);
+            const students = await fs.readJson(inputFile);
+
+            const report = await validateRoster(students, { online: Boolean(options.online) });
+            await fs.writeJson(reportFile, report, { spaces: 2 });
+            printReport(report, reportFile);
+
+            if (options.fix) {
+                await writeRoster(fixRoster(students, report.canonical), inputFile);
+            }
+            if (report.errors > 0) process.exitCode = 1;
+        } else {
+            console.log('Usage:');
+            console.log('  node roster.js import <export.csv|export.xlsx> --output roster.json | --force [--online]');
+            console.log('  node roster.js validate [--input students_mock.json] [--online] [--fix] [--report roster-report.json]');
+            process.exitCode = command ? 1 : 0;
+        }
+    } catch (error) {
+        console.error('❌ Roster command failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseCsv, cellText, importRoster, checkRoster, validateRoster, fixRoster, matchesStudent };
@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS } = require('./core');
+const { registry } = require('./adapters');
+
+// One JSON line per run (manual or scheduled): when it ran, how many students
+// it processed and how each platform fared
+const RUN_LOG = path.join(__dirname, 'runs.jsonl');
+
+function runLogFile() {
+    return process.env.RUN_LOG ? path.resolve(process.env.RUN_LOG) : RUN_LOG;
+}
+
+// Per-platform status counts of freshly processed records
+function platformStats(records, platforms = registry.list().map(adapter => adapter.name)) {
+    const stats = {};
+    platforms.forEach(name => {
+        const counts = { fetched: 0, errors: 0, rateLimited: 0, stale: 0, notFound: 0 };
+        records.forEach(record => {
+            const status = record.data?.[name]?.status;
+            if (!status || status === STATUS.NO_HANDLE) return;
+            counts.fetched++;
+            if (status === STATUS.ERROR) counts.errors++;
+            if (status === STATUS.RATE_LIMITED) counts.rateLimited++;
+            if (status === STATUS.STALE) counts.stale++;
+            if (status === STATUS.NOT_FOUND) counts.notFound++;
+        });
+        stats[name] = counts;
+    });
+    return stats;
+}
+
+// entry: { mode, startedAt, students, platforms, ... }; endedAt and duration are added here
+async function logRun(entry) {
+    const endedAt = entry.endedAt || new Date().toISOString();
+    const line = { ...entry, endedAt, durationMs: Date.parse(endedAt) - Date.parse(entry.startedAt) };
+    try {
+        await fs.appendFile(runLogFile(), `${JSON.stringify(line)}\n`);
+    } catch (error) {
+        console.log('Run log error:', error.message);
+    }
+    return line;
+}
+
+// The last `limit` runs, oldest first
+async function readRuns(limit = 20) {
+    const text = await fs.readFile(runLogFile(), 'utf8').catch(() => '');
+    return text.split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .slice(-limit);
+}
+
+function formatRun(run) {
+    const problems = Object.entries(run.platforms || {})
+        .filter(([, counts]) => counts.errors || counts.rateLimited || counts.stale)
+        .map(([name, counts]) => `${name} ${counts.errors}E/${counts.rateLimited}RL/${counts.stale}S`);
+    const status = run.error ? `❌ ${run.error}` : problems.length ? `⚠️  ${problems.join(', ')}` : '✅';
+    return `${run.startedAt}  ${run.mode.padEnd(12)} ${String(run.students).padStart(5)} students  ${(run.durationMs / 1000).toFixed(1).padStart(7)}s  ${status}`;
+}
+
+module.exports = { RUN_LOG, runLogFile, platformStats, logRun, readRuns, formatRun };
@@ -0,0 +1,249 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { cache } = require('./core');
+const { registry } = require('./adapters');
+const { parseDuration, formatAge } = require('./cache');
+const history = require('./history');
+const { needsRetry } = require('./checkpoint');
+const { SCRAPER_LOCK, SCHEDULER_LOCK, LOCKED_CODE, acquireLock, releaseLock } = require('./lock');
+const runlog = require('./runlog');
+const { processPool, generateSummary, notifyMilestones, markChanges } = require('./scraper');
+const { parseOptions } = require('./cli');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const DEFAULT_RESULTS = path.join(__dirname, 'results.json');
+
+// Daemon defaults: a tick every 15 minutes, every student refreshed once a day
+const DEFAULT_INTERVAL = 15 * 60 * 1000;
+const DEFAULT_REFRESH_EVERY = DAY;
+// Students whose totalCP went up within this window are refreshed twice as often
+const RECENTLY_ACTIVE = 7 * DAY;
+
+// How overdue a record is: 1 means exactly due, 2 twice as old as it should be.
+// Students without a record come first, failed ones get a boost.
+function studentPriority(record, now, refreshEvery = DEFAULT_REFRESH_EVERY) {
+    if (!record) return Infinity;
+    const age = now - Date.parse(record.timestamp);
+    if (!Number.isFinite(age)) return Infinity;
+
+    const active = record.lastChangedAt && now - Date.parse(record.lastChangedAt) < RECENTLY_ACTIVE;
+    const priority = age / (active ? refreshEvery / 2 : refreshEvery);
+    return needsRetry(record) ? priority + 1 : priority;
+}
+
+// Profiles per platform one tick may fetch, so the daily budget is spread over the day
+function tickBudgets(interval) {
+    const budgets = new Map();
+    registry.list().forEach(adapter => {
+        const daily = registry.dailyBudget(adapter);
+        if (daily != null) budgets.set(adapter.name, Math.max(1, Math.floor(daily * interval / DAY)));
+    });
+    return budgets;
+}
+
+// Pick the students of one tick: the most overdue first, at most the tick's share
+// of the roster, and only while every platform they need still has budget left.
+// Handles with a fresh cache entry cost nothing.
+function planTick(students, resultsById, options = {}) {
+    const now = options.now || Date.now();
+    const interval = options.interval || DEFAULT_INTERVAL;
+    const refreshEvery = options.refreshEvery || DEFAULT_REFRESH_EVERY;
+    const limit = options.maxPerTick || Math.ceil(students.length * interval / refreshEvery);
+    const budgets = tickBudgets(interval);
+
+    const due = students
+        .map(student => ({ student, priority: studentPriority(resultsById.get(String(student.id)), now, refreshEvery) }))
+        .filter(entry => entry.priority >= 1)
+        .sort((a, b) => b.priority - a.priority);
+
+    const selected = [];
+    const overBudget = {};
+    for (const { student } of due) {
+        if (selected.length >= limit) break;
+        const needed = registry.list().filter(adapter => {
+            const handle = student.handles?.[adapter.handleKey];
+            return budgets.has(adapter.name) && registry.hasHandle(adapter, handle) && !registry.isCached(adapter, handle);
+        });
+        const exhausted = needed.filter(adapter => budgets.get(adapter.name) < 1);
+        if (exhausted.length > 0) {
+            exhausted.forEach(adapter => { overBudget[adapter.name] = (overBudget[adapter.name] || 0) + 1; });
+            continue;
+        }
+        needed.forEach(adapter => budgets.set(adapter.name, budgets.get(adapter.name) - 1));
+        selected.push(student);
+    }
+
+    return { selected, due: due.length, overBudget };
+}
+
+// One scheduler pass: refresh the due students and merge them into results.json.
+// Skipped (returns null) while a manual run holds scraper.lock.
+async function runTick(options = {}) {
+    const startedAt = new Date().toISOString();
+    const rosterFile = path.resolve(options.input || DEFAULT_ROSTER);
+    const resultsFile = path.resolve(options.output || DEFAULT_RESULTS);
+    const summaryFile = path.resolve(options.summary || path.join(path.dirname(resultsFile), 'summary.json'));
+
+    try {
+        acquireLock(SCRAPER_LOCK, { mode: 'scheduled' });
+    } catch (error) {
+        if (error.code !== LOCKED_CODE) throw error;
+        console.log(`⏳ Tick skipped: ${error.message}`);
+        return null;
+    }
+
+    try {
+        const students = await fs.readJson(rosterFile);
+        const previous = await fs.readJson(resultsFile).catch(() => []);
+        const byId = new Map(previous.map(r => [String(r.id), r]));
+        const previousById = new Map(byId);
+
+        const { selected, due, overBudget } = planTick(students, byId, options);
+        const skipped = Object.entries(overBudget).map(([name, count]) => `${name} ${count}`).join(', ');
+        console.log(`🗓️  ${due} students due, refreshing ${selected.length}${skipped ? ` (over budget: ${skipped})` : ''}`);
+        if (selected.length === 0) return { students: 0, due, overBudget };
+
+        const orderedResults = () => students.map(s => byId.get(String(s.id))).filter(Boolean);
+        const saveProgress = async (chunkResults) => {
+            if (chunkResults.length === 0) return;
+            chunkResults.forEach(r => byId.set(String(r.id), markChanges(r, previousById.get(String(r.id)))));
+            await fs.writeJson(resultsFile, orderedResults(), { spaces: 2 });
+            cache.saveCache();
+        };
+        const processed = await processPool(selected, saveProgress, { previousById });
+
+        const allResults = orderedResults();
+        await fs.writeJson(resultsFile, allResults, { spaces: 2 });
+        cache.saveCache();
+        const summary = generateSummary(allResults);
+        await fs.writeJson(summaryFile, summary, { spaces: 2 });
+
+        // At most one history snapshot per day, the first tick of the day takes it
+        const latest = (await history.listSnapshots()).pop();
+        if (!latest || !latest.startsWith(summary.timestamp.slice(0, 10))) {
+            await history.saveSnapshot(allResults, summary.timestamp);
+            console.log('📸 Daily snapshot saved');
+            // Milestones compare daily snapshots, so they go out once a day too
+            await notifyMilestones(options, rosterFile);
+        }
+
+        return runlog.logRun({
+            mode: 'scheduled',
+            startedAt,
+            students: processed.length,
+            due,
+            overBudget,
+            platforms: runlog.platformStats(processed)
+        });
+    } finally {
+        releaseLock(SCRAPER_LOCK);
+    }
+}
+
+// Tick, sleep, repeat until SIGINT/SIGTERM; the current tick always finishes
+async function runDaemon(options = {}) {
+    const interval = options.interval || DEFAULT_INTERVAL;
+    acquireLock(SCHEDULER_LOCK, { mode: 'daemon', interval: formatAge(interval) });
+
+    let stopping = false;
+    let wake = null;
+    const stop = (signal) => {
+        if (!stopping) console.log(`\n🛑 ${signal} received, stopping after the current tick`);
+        stopping = true;
+        if (wake) wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log(`⏰ Scheduler started: a tick every ${formatAge(interval)}, full refresh every ${formatAge(options.refreshEvery || DEFAULT_REFRESH_EVERY)}`);
+    try {
+        while (!stopping) {
+            try {
+                const run = await runTick(options);
+                if (run?.students) console.log(`✅ Tick done: ${runlog.formatRun(run)}`);
+            } catch (error) {
+                console.error('❌ Tick failed:', error.message);
+                await runlog.logRun({ mode: 'scheduled', startedAt: new Date().toISOString(), students: 0, error: error.message });
+            }
+            if (stopping) break;
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, interval);
+                wake = () => { clearTimeout(timer); resolve(); };
+            });
+            wake = null;
+        }
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        releaseLock(SCHEDULER_LOCK);
+        console.log('👋 Scheduler stopped');
+    }
+}
+
+// CLI flags -> runTick/runDaemon options
+function schedulerOptions(cli) {
+    return {
+        input: cli.input,
+        output: cli.output,
+        summary: cli.summary,
+        interval: cli.interval ? parseDuration(cli.interval) : DEFAULT_INTERVAL,
+        refreshEvery: cli['refresh-every'] ? parseDuration(cli['refresh-every']) : DEFAULT_REFRESH_EVERY,
+        maxPerTick: cli['max-per-tick'] ? Number(cli['max-per-tick']) : null,
+        noMilestones: Boolean(cli['no-milestones'])
+    };
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scheduler.js [--interval 15m] [--refresh-every 24h] [--max-per-tick n] [--input roster.json] [--output results.json]');
+    console.log('  node scheduler.js --once         run a single tick (for cron)');
+    console.log('  node scheduler.js --no-milestones  refresh without awarding or sending milestones');
+    console.log('  node scheduler.js plan           show what the next tick would refresh');
+    console.log('  node scheduler.js log [--limit 20]');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] && !args[0].startsWith('--') ? args.shift() : 'run';
+    const cli = parseOptions(args);
+    const options = schedulerOptions(cli);
+
+    switch (command) {
+        case 'run':
+            if (cli.help) return printUsage();
+            if (cli.once) {
+                const run = await runTick(options);
+                if (run?.students) console.log(runlog.formatRun(run));
+                return;
+            }
+            return runDaemon(options);
+        case 'plan': {
+            const students = await fs.readJson(path.resolve(options.input || DEFAULT_ROSTER));
+            const previous = await fs.readJson(path.resolve(options.output || DEFAULT_RESULTS)).catch(() => []);
+            const plan = planTick(students, new Map(previous.map(r => [String(r.id), r])), options);
+            console.log(`🗓️  ${plan.due} of ${students.length} students due, next tick refreshes ${plan.selected.length}`);
+            plan.selected.forEach(student => console.log(`  • ${student.name} (${student.id})`));
+            Object.entries(plan.overBudget).forEach(([name, count]) => console.log(`  ⏸️  ${count} waiting for ${name} budget`));
+            return;
+        }
+        case 'log': {
+            const runs = await runlog.readRuns(Number(cli.limit) || 20);
+            if (runs.length === 0) console.log(`No runs logged yet (${path.relative(process.cwd(), runlog.runLogFile())})`);
+            runs.forEach(run => console.log(runlog.formatRun(run)));
+            return;
+        }
+        default:
+            printUsage();
+            process.exitCode = 1;
+    }
+}
+
+module.exports = { studentPriority, tickBudgets, planTick, runTick, runDaemon, schedulerOptions };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Scheduler failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS, isUnavailable } = require('./core');
+const { registry, getPath } = require('./adapters');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'scoring.json');
+const NORMALIZATIONS = ['raw', 'zscore', 'percentile'];
+
+// Scoring config: named profiles of { normalization, metrics, platformCaps }.
+// Metric keys are "<platform>.<path into the platform result>", e.g. "leetcode.hard".
+function loadScoringConfig(file = process.env.SCORING_CONFIG || DEFAULT_CONFIG_FILE) {
+    if (!fs.existsSync(file)) {
+        return { defaultProfile: 'default', profiles: { default: { normalization: 'raw' } } };
+    }
+    return fs.readJsonSync(file);
+}
+
+function profileNames(config = loadScoringConfig()) {
+    return Object.keys(config.profiles || {});
+}
+
+// Resolve a profile to a flat list of metrics the engine can evaluate
+function resolveProfile(name, config = loadScoringConfig()) {
+    const profileName = name || config.defaultProfile || 'default';
+    const profile = config.profiles?.[profileName];
+    if (!profile) {
+        throw new Error(`Unknown scoring profile: ${profileName} (available: ${profileNames(config).join(', ')})`);
+    }
+
+    const normalization = profile.normalization || 'raw';
+    if (!NORMALIZATIONS.includes(normalization)) {
+        throw new Error(`Profile ${profileName}: unknown normalization ${normalization} (use ${NORMALIZATIONS.join(', ')})`);
+    }
+
+    // Without explicit metrics the profile uses the adapters' own field weights
+    let metrics;
+    if (!profile.metrics) {
+        metrics = registry.fields().map(field => ({
+            key: `${field.platform}.${field.path}`,
+            platform: field.platform,
+            path: field.path,
+            weight: field.weight || 0
+        }));
+    } else {
+        metrics = Object.entries(profile.metrics)
+            .map(([key, options]) => {
+                const [platform, ...rest] = key.split('.');
+                const metric = typeof options === 'number' ? { weight: options } : options;
+                return { key, platform, path: rest.join('.'), weight: metric.weight || 0, cap: metric.cap };
+            })
+            .filter(metric => {
+                if (registry.get(metric.platform)) return true;
+                console.log(`⚠️  Profile ${profileName}: no adapter for ${metric.key}, metric ignored`);
+                return false;
+            });
+    }
+
+    return {
+        name: profileName,
+        description: profile.description || '',
+        normalization,
+        metrics,
+        platformCaps: profile.platformCaps || {}
+    };
+}
+
+// null when the platform reported the value as unknown (e.g. a CodeChef page without a solved count)
+function metricValue(data, metric) {
+    const raw = getPath(data?.[metric.platform], metric.path);
+    if (raw === null) return null;
+    const value = Number(raw) || 0;
+    return metric.cap !== undefined ? Math.min(value, metric.cap) : value;
+}
+
+// A platform result that counts for scoring: fetched, and with a profile behind it.
+// Students without a handle (or with an unknown one) earn 0, not a low percentile or z-score.
+function scored(data) {
+    return Boolean(data) && !isUnavailable(data) && data.status !== STATUS.NO_HANDLE && data.status !== STATUS.NOT_FOUND;
+}
+
+// Per-metric normalizer over the cohort; only scored platforms with a known value make up the statistics
+function buildNormalizer(results, metric, normalization) {
+    if (normalization === 'raw') return value => value;
+
+    const values = results
+        .filter(r => scored(r.data?.[metric.platform]))
+        .map(r => metricValue(r.data, metric))
+        .filter(value => value !== null);
+    if (values.length === 0) return () => 0;
+
+    if (normalization === 'zscore') {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+        return value => (std > 0 ? (value - mean) / std : 0);
+    }
+
+    // percentile rank 0-100 (ties count half)
+    const sorted = [...values].sort((a, b) => a - b);
+    return value => {
+        const below = sorted.filter(v => v < value).length;
+        const equal = sorted.filter(v => v === value).length;
+        return ((below + equal / 2) / sorted.length) * 100;
+    };
+}
+
+// Score every result with a profile: [{ id, score, breakdown: { platform: points } }]
+function scoreResults(results, profileOrName) {
+    const profile = typeof profileOrName === 'object' ? profileOrName : resolveProfile(profileOrName);
+    const normalizers = profile.metrics.map(metric => buildNormalizer(results, metric, profile.normalization));
+    const roundScore = profile.normalization === 'raw'
+        ? Math.round
+        : value => Math.round(value * 100) / 100;
+
+    return results.map(result => {
+        const breakdown = {};
+        profile.metrics.forEach((metric, i) => {
+            if (!scored(result.data?.[metric.platform])) return;
+            const value = metricValue(result.data, metric);
+            if (value === null) return;
+            const points = normalizers[i](value) * metric.weight;
+            breakdown[metric.platform] = (breakdown[metric.platform] || 0) + points;
+        });
+
+        Object.entries(profile.platformCaps).forEach(([platform, cap]) => {
+            if (breakdown[platform] > cap) breakdown[platform] = cap;
+        });
+
+        // Round the total once; the breakdown is only for display
+        const score = roundScore(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+        Object.keys(breakdown).forEach(platform => {
+            breakdown[platform] = Math.round(breakdown[platform] * 100) / 100;
+        });
+
+        return { id: result.id, score, breakdown };
+    });
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    NORMALIZATIONS,
+    loadScoringConfig,
+    profileNames,
+    resolveProfile,
+    scoreResults
+};
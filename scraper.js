@@ -1,369 +1,77 @@
-const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
-const { scrapeSkillRack } = require('./skillrack-simple');
-
-// Load environment variables from .env file
-try {
-    const envPath = path.join(__dirname, '.env');
-    if (fs.existsSync(envPath)) {
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        envContent.split('\n').forEach(line => {
-            const [key, value] = line.split('=');
-            if (key && value) {
-                process.env[key.trim()] = value.trim();
-            }
-        });
-        console.log('✅ Environment variables loaded from .env file');
-    }
-} catch (error) {
-    console.log('⚠️  Could not load .env file:', error.message);
-}
-
-// Configuration for 20K users
-const CONFIG = {
-    BATCH_SIZE: 100,       // Increased batch size
-    CONCURRENCY: 10,       // More concurrent workers
-    RETRY_ATTEMPTS: 3,
-    RETRY_DELAY: 2000,
-    CACHE_DURATION: 24 * 60 * 60 * 1000, // 24 hours
-    REQUEST_TIMEOUT: 15000,
-    RATE_LIMIT_DELAY: 200
-};
-
-// Cache management
-class Cache {
-    constructor() {
-        this.cacheFile = path.join(__dirname, 'cache.json');
-        this.cache = this.loadCache();
-    }
-
-    loadCache() {
-        try {
-            if (fs.existsSync(this.cacheFile)) {
-                return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
-            }
-        } catch (error) {
-            console.log('Cache load error:', error.message);
-        }
-        return {};
-    }
-
-    saveCache() {
-        try {
-            fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2));
-        } catch (error) {
-            console.log('Cache save error:', error.message);
-        }
-    }
-
-    get(key) {
-        const item = this.cache[key];
-        if (item && Date.now() - item.timestamp < CONFIG.CACHE_DURATION) {
-            return item.data;
-        }
-        return null;
-    }
-
-    set(key, data) {
-        this.cache[key] = {
-            data,
-            timestamp: Date.now()
-        };
-    }
-}
-
-// Retry mechanism with exponential backoff
-async function retryRequest(fn, attempts = CONFIG.RETRY_ATTEMPTS) {
-    for (let i = 0; i < attempts; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (i === attempts - 1) throw error;
-            const delay = CONFIG.RETRY_DELAY * Math.pow(2, i);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-}
-
-// Rate limiting
-class RateLimiter {
-    constructor(delay = CONFIG.RATE_LIMIT_DELAY) {
-        this.delay = delay;
-        this.lastRequest = 0;
-    }
-
-    async wait() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequest;
-        if (timeSinceLastRequest < this.delay) {
-            await new Promise(resolve => setTimeout(resolve, this.delay - timeSinceLastRequest));
-        }
-        this.lastRequest = Date.now();
-    }
-}
-
-// Separate rate limiters for different APIs
-const rateLimiter = new RateLimiter(200); // General: 200ms (safer)
-const githubUserLimiter = new RateLimiter(1200); // GitHub User API: 1.2s (5000/hour)
-const githubSearchLimiter = new RateLimiter(3000); // GitHub Search: 3s (30/min) 
-const leetcodeLimiter = new RateLimiter(500); // LeetCode: 500ms
-const codeforcesLimiter = new RateLimiter(1000); // Codeforces: 1s
-const skillrackLimiter = new RateLimiter(800); // SkillRack: 800ms (safer for scraping)
-const cache = new Cache();
-
-// Platform adapters
-const Adapters = {
-    leetcode: async (username) => {
-        if (!username) return { total: 0, easy: 0, medium: 0, hard: 0 };
-        
-        const cacheKey = `leetcode_${username}`;
-        const cached = cache.get(cacheKey);
-        if (cached) return cached;
-
-        await leetcodeLimiter.wait();
-        
-        return retryRequest(async () => {
-            const query = `
-                query userProblemsSolved($username: String!) {
-                    allQuestionsCount {
-                        difficulty
-                        count
-                    }
-                    matchedUser(username: $username) {
-                        problemsSolvedBeatsStats {
-                            difficulty
-                            percentage
-                        }
-                        submitStatsGlobal {
-                            acSubmissionNum {
-                                difficulty
-                                count
-                            }
-                        }
-                    }
-                }
-            `;
-
-            const response = await axios.post('https://leetcode.com/graphql', {
-                query,
-                variables: { username }
-            }, {
-                timeout: CONFIG.REQUEST_TIMEOUT,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            const data = response.data?.data?.matchedUser?.submitStatsGlobal?.acSubmissionNum;
-            if (!data) return { total: 0, easy: 0, medium: 0, hard: 0 };
-
-            const result = {
-                total: data.find(item => item.difficulty === 'All')?.count || 0,
-                easy: data.find(item => item.difficulty === 'Easy')?.count || 0,
-                medium: data.find(item => item.difficulty === 'Medium')?.count || 0,
-                hard: data.find(item => item.difficulty === 'Hard')?.count || 0
-            };
-
-            cache.set(cacheKey, result);
-            return result;
-        });
-    },
-
-    github: async (username) => {
-        if (!username) return { repos: 0, mergedPRs: 0 };
-        
-        const cacheKey = `github_${username}`;
-        const cached = cache.get(cacheKey);
-        if (cached) return cached;
-
-        await githubUserLimiter.wait();
-        
-        return retryRequest(async () => {
-            const headers = {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            };
-
-            // Add GitHub token if available
-            if (process.env.GITHUB_TOKEN) {
-                headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
-                console.log(`🔑 Using GitHub token for ${username}`);
-            } else {
-                console.log(`⚠️  No GitHub token - rate limits may apply for ${username}`);
-            }
-
-            try {
-                // Get user info for repo count
-                console.log(`📡 Fetching GitHub data for: ${username}`);
-                const userResponse = await axios.get(`https://api.github.com/users/${username}`, {
-                    headers,
-                    timeout: CONFIG.REQUEST_TIMEOUT
-                });
-
-                console.log(`✅ GitHub user data for ${username}: ${userResponse.data.public_repos} repos`);
-
-                let mergedPRs = 0;
-                try {
-                    // Wait for GitHub Search API rate limit
-                    await githubSearchLimiter.wait();
-
-                    // Get merged PRs count
-                    const prResponse = await axios.get(`https://api.github.com/search/issues`, {
-                        params: {
-                            q: `is:pr is:merged author:${username}`,
-                            per_page: 1
-                        },
-                        headers,
-                        timeout: CONFIG.REQUEST_TIMEOUT
-                    });
-
-                    mergedPRs = prResponse.data.total_count || 0;
-                    console.log(`✅ GitHub PR data for ${username}: ${mergedPRs} merged PRs`);
-                } catch (prError) {
-                    console.log(`⚠️  GitHub PR search failed for ${username}, using 0 PRs`);
-                    mergedPRs = 0;
-                }
-
-                const result = {
-                    repos: userResponse.data.public_repos || 0,
-                    mergedPRs: mergedPRs
-                };
-
-                cache.set(cacheKey, result);
-                return result;
-                
-            } catch (error) {
-                console.error(`❌ GitHub API error for ${username}:`, error.message);
-                if (error.response?.status === 403) {
-                    console.error(`🚫 Rate limit exceeded for ${username}. Consider adding GITHUB_TOKEN to .env file`);
-                } else if (error.response?.status === 404) {
-                    console.log(`👤 GitHub user not found: ${username}`);
-                }
-                throw error;
-            }
-        });
-    },
-
-    codeforces: async (username) => {
-        if (!username) return { solved: 0 };
-        
-        const cacheKey = `codeforces_${username}`;
-        const cached = cache.get(cacheKey);
-        if (cached) return cached;
-
-        await codeforcesLimiter.wait();
-        
-        return retryRequest(async () => {
-            const response = await axios.get(`https://codeforces.com/api/user.status`, {
-                params: { handle: username },
-                timeout: CONFIG.REQUEST_TIMEOUT,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            if (response.data.status !== 'OK') {
-                return { solved: 0 };
-            }
-
-            const solvedProblems = new Set();
-            response.data.result.forEach(submission => {
-                if (submission.verdict === 'OK') {
-                    solvedProblems.add(`${submission.problem.contestId}-${submission.problem.index}`);
-                }
-            });
-
-            const result = { solved: solvedProblems.size };
-            cache.set(cacheKey, result);
-            return result;
-        });
-    },
-
-    atcoder: async (username) => {
-        if (!username) return { solved: 0 };
-        
-        const cacheKey = `atcoder_${username}`;
-        const cached = cache.get(cacheKey);
-        if (cached) return cached;
-
-        await rateLimiter.wait();
-        
-        return retryRequest(async () => {
-            const response = await axios.get(`https://kenkoooo.com/atcoder/atcoder-api/v3/user/ac_rank`, {
-                params: { user: username },
-                timeout: CONFIG.REQUEST_TIMEOUT,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            const result = { solved: response.data?.count || 0 };
-            cache.set(cacheKey, result);
-            return result;
-        });
-    },
-
-    skillrack: async (skillrackData) => {
-        if (!skillrackData) return { solved: 0, userInfo: null };
-        
-        // Handle both string and object formats
-        if (typeof skillrackData === 'string') {
-            return { solved: 0, userInfo: null }; // No ID/key available
-        }
-        
-        if (!skillrackData.id || !skillrackData.key) {
-            return { solved: 0, userInfo: null }; // No ID/key available
-        }
-        
-        return await scrapeSkillRack(skillrackData, skillrackLimiter);
-    }
-};
-
-// Worker function for processing students
-async function processStudent(student) {
+const { CONFIG, STATUS, isUnavailable, cache } = require('./core');
+const replay = require('./replay');
+const { registry } = require('./adapters');
+const history = require('./history');
+const { cohortOf, parseGroupFilter, inGroup } = require('./cohorts');
+const { matchesStudent } = require('./roster');
+const { loadCheckpoint, saveCheckpoint, clearCheckpoint, needsRetry } = require('./checkpoint');
+const { SCRAPER_LOCK, LOCKED_CODE, acquireLock, releaseLock } = require('./lock');
+const runlog = require('./runlog');
+const milestones = require('./milestones');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const DEFAULT_RESULTS = path.join(__dirname, 'results.json');
+
+// Platform adapters, kept as name -> fetch(handle) for existing callers
+const Adapters = {};
+registry.list().forEach(adapter => {
+    Adapters[adapter.name] = (handle) => registry.fetch(adapter.name, handle);
+});
+
+// Worker function for processing students.
+// options.platforms limits the fetch to some platforms; the others keep their
+// data from options.previous (the student's record in results.json).
+async function processStudent(student, options = {}) {
     const startTime = Date.now();
     console.log(`🔄 Processing student: ${student.name}`);
     
     try {
-        console.log(`  📊 Fetching LeetCode data for ${student.handles?.leetcode || 'N/A'}...`);
-        const leetcodeData = await Adapters.leetcode(student.handles?.leetcode);
-        console.log(`  ✅ LeetCode finished: ${leetcodeData.total} problems`);
-        
-        console.log(`  🐙 Fetching GitHub data for ${student.handles?.github || 'N/A'}...`);
-        const githubData = await Adapters.github(student.handles?.github);
-        console.log(`  ✅ GitHub finished: ${githubData.repos} repos, ${githubData.mergedPRs} PRs`);
-        
-        console.log(`  🏆 Fetching Codeforces data for ${student.handles?.codeforces || 'N/A'}...`);
-        const codeforcesData = await Adapters.codeforces(student.handles?.codeforces);
-        console.log(`  ✅ Codeforces finished: ${codeforcesData.solved} problems`);
-        
-        console.log(`  🎯 Fetching AtCoder data for ${student.handles?.atcoder || 'N/A'}...`);
-        const atcoderData = await Adapters.atcoder(student.handles?.atcoder);
-        console.log(`  ✅ AtCoder finished: ${atcoderData.solved} problems`);
-        
-        console.log(`  🎓 Fetching SkillRack data...`);
-        const skillrackData = await Adapters.skillrack(student.handles?.skillrack);
-        console.log(`  ✅ SkillRack finished: ${skillrackData.solved || 0} problems`);
+        // All platforms at once; each platform's limiter keeps its own pace
+        const adapters = registry.list().filter(adapter => !options.platforms || options.platforms.includes(adapter.name));
+        const platformResults = await Promise.all(adapters.map(adapter =>
+            registry.fetch(adapter.name, student.handles?.[adapter.handleKey], { force: options.force })
+        ));
+
+        const data = {};
+        if (options.platforms && options.previous) {
+            registry.list()
+                .filter(adapter => !options.platforms.includes(adapter.name) && options.previous.data?.[adapter.name])
+                .forEach(adapter => { data[adapter.name] = options.previous.data[adapter.name]; });
+        }
+        adapters.forEach((adapter, index) => {
+            const platformResult = platformResults[index];
+            data[adapter.name] = platformResult;
+            if (platformResult.status === STATUS.OK || platformResult.status === STATUS.NO_HANDLE) {
+                const message = adapter.describe ? adapter.describe(platformResult) : 'done';
+                console.log(`  ${adapter.icon || '🔎'} ${adapter.label} finished: ${message}`);
+            } else {
+                console.log(`  ⚠️  ${adapter.label} ${platformResult.status}${platformResult.error ? `: ${platformResult.error}` : ''}`);
+            }
+        });
 
         const result = {
             id: student.id,
             name: student.name,
+            ...cohortOf(student),
             handles: student.handles,
-            data: {
-                leetcode: leetcodeData,
-                github: githubData,
-                codeforces: codeforcesData,
-                atcoder: atcoderData,
-                skillrack: skillrackData
-            },
+            data,
             processingTime: Date.now() - startTime,
             timestamp: new Date().toISOString()
         };
+        
+        // Platforms whose numbers could not be fetched this run
+        const failedPlatforms = registry.list()
+            .filter(adapter => isUnavailable(data[adapter.name]))
+            .map(adapter => adapter.name);
+        if (failedPlatforms.length > 0) {
+            result.failedPlatforms = failedPlatforms;
+        }
 
         // Calculate total competitive programming problems
-        result.data.totalCP = result.data.leetcode.total + result.data.codeforces.solved + result.data.atcoder.solved + (result.data.skillrack.solved || 0);
+        result.data.totalCP = registry.totalProblems(result.data);
         
         console.log(`  🎉 ${student.name} completed in ${result.processingTime}ms - Total CP: ${result.data.totalCP}`);
         return result;
@@ -372,15 +80,9 @@ async function processStudent(student) {
         return {
             id: student.id,
             name: student.name,
+            ...cohortOf(student),
             handles: student.handles,
-            data: {
-                leetcode: { total: 0, easy: 0, medium: 0, hard: 0 },
-                github: { repos: 0, mergedPRs: 0 },
-                codeforces: { solved: 0 },
-                atcoder: { solved: 0 },
-                skillrack: { solved: 0, userInfo: null },
-                totalCP: 0
-            },
+            data: registry.failedData(error.message),
             processingTime: Date.now() - startTime,
             timestamp: new Date().toISOString(),
             error: error.message
@@ -388,173 +90,325 @@ async function processStudent(student) {
     }
 }
 
-// Concurrent batch processor
-async function processBatch(students, batchNumber) {
-    console.log(`\n📦 ========== BATCH ${batchNumber} STARTED ==========`);
+// Continuous worker pool: each worker picks the next student as soon as it is free,
+// so one slow profile never holds up the others. `options` goes to processStudent,
+// with each student's previous record looked up in options.previousById.
+async function processPool(students, onProgress = async () => {}, options = {}) {
     console.log(`📊 Processing ${students.length} students with ${CONFIG.CONCURRENCY} concurrent workers...`);
     
-    const results = [];
+    const results = new Array(students.length);
+    const startTime = Date.now();
+    let next = 0;
+    let completed = 0;
+    let unsaved = [];
+    let saving = Promise.resolve();
     
-    for (let i = 0; i < students.length; i += CONFIG.CONCURRENCY) {
-        const chunk = students.slice(i, i + CONFIG.CONCURRENCY);
-        console.log(`\n🚀 Starting chunk ${Math.floor(i/CONFIG.CONCURRENCY) + 1} (students ${i+1}-${Math.min(i+CONFIG.CONCURRENCY, students.length)})`);
-        
-        const chunkPromises = chunk.map(student => processStudent(student));
-        const chunkResults = await Promise.all(chunkPromises);
-        results.push(...chunkResults);
+    // Persist results, cache and checkpoint, one save at a time
+    const flush = () => {
+        const finished = unsaved;
+        unsaved = [];
+        saving = saving.then(() => onProgress(finished));
+        return saving;
+    };
+    
+    const worker = async () => {
+        while (next < students.length) {
+            const index = next++;
+            const previous = options.previousById?.get(String(students[index].id));
+            results[index] = await processStudent(students[index], { ...options, previous });
+            unsaved.push(results[index]);
+            completed++;
+            
+            if (unsaved.length >= CONFIG.CONCURRENCY) await flush();
+            if (completed % CONFIG.BATCH_SIZE === 0 || completed === students.length) {
+                const elapsed = Date.now() - startTime;
+                console.log(`\n✅ Progress: ${completed}/${students.length} students, ${(elapsed / completed).toFixed(0)}ms per student`);
+            }
+        }
+    };
+    
+    const workers = Array.from({ length: Math.min(CONFIG.CONCURRENCY, students.length) }, worker);
+    await Promise.all(workers);
+    await flush();
+    return results;
+}
+
+// Students picked on the command line: --student and --ids-file add students,
+// --group narrows the selection (or the whole roster) down to a cohort
+async function selectStudents(students, options) {
+    let selected = students;
+    
+    if (options.student || options.idsFile) {
+        const keys = String(options.student || '').split(',').map(key => key.trim()).filter(Boolean);
+        const ids = new Set();
+        if (options.idsFile) {
+            const text = await fs.readFile(path.resolve(options.idsFile), 'utf8');
+            // A JSON array of ids or one id per line
+            const list = text.trim().startsWith('[') ? JSON.parse(text) : text.split(/\r?\n/);
+            list.map(id => String(id).trim()).filter(Boolean).forEach(id => ids.add(id));
+        }
         
-        // Progress update
-        const processed = Math.min(i + CONFIG.CONCURRENCY, students.length);
-        console.log(`\n✅ Chunk completed! Progress: ${processed}/${students.length} students in batch ${batchNumber}`);
+        keys.filter(key => !students.some(student => matchesStudent(student, key)))
+            .forEach(key => console.log(`⚠️  No student matches: ${key}`));
+        const missingIds = Array.from(ids).filter(id => !students.some(student => String(student.id) === id));
+        if (missingIds.length > 0) console.log(`⚠️  ${missingIds.length} ids from ${options.idsFile} are not in the roster: ${missingIds.slice(0, 10).join(', ')}`);
         
-        // Brief pause between chunks
-        if (i + CONFIG.CONCURRENCY < students.length) {
-            console.log(`⏸️  Brief pause before next chunk...`);
-            await new Promise(resolve => setTimeout(resolve, 500));
+        selected = students.filter(student =>
+            ids.has(String(student.id)) || keys.some(key => matchesStudent(student, key))
+        );
+    }
+    
+    if (options.group) {
+        const filter = parseGroupFilter(options.group);
+        selected = selected.filter(student => inGroup(student, filter));
+    }
+    return selected;
+}
+
+// "leetcode,github" -> ['leetcode', 'github']
+function parsePlatforms(value) {
+    if (!value) return null;
+    const platforms = String(value).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = platforms.filter(name => !registry.get(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown platform: ${unknown.join(', ')} (use ${registry.list().map(a => a.name).join(', ')})`);
+    }
+    return platforms;
+}
+
+// Keep lastChangedAt across refreshes, move it when totalCP went up
+function markChanges(record, previous) {
+    if (!previous) return record;
+    if ((record.data?.totalCP || 0) > (previous.data?.totalCP || 0)) {
+        return { ...record, lastChangedAt: record.timestamp };
+    }
+    return previous.lastChangedAt ? { ...record, lastChangedAt: previous.lastChangedAt } : record;
+}
+
+// Students to process and previous records to keep. Runs over part of the roster
+// (or some platforms) merge into the existing results; a plain full run starts over,
+// but still reads the previous records for lastChangedAt.
+async function planRun(students, selected, options) {
+    const partial = selected.length < students.length || Boolean(options.platforms);
+    const previous = await fs.readJson(options.resultsFile).catch(() => []);
+    const previousById = new Map(previous.map(r => [String(r.id), r]));
+    let pending = selected;
+
+    if (options.resume) {
+        const saved = await loadCheckpoint();
+        if (!saved) {
+            console.log('⚠️  No checkpoint found, starting a full run');
+        } else {
+            const completed = new Set(saved.completedIds.map(String));
+            pending = selected.filter(s => !(completed.has(String(s.id)) && previousById.has(String(s.id))));
+            console.log(`♻️  Resuming ${saved.mode || 'full'} run from checkpoint (${completed.size} students already done)`);
         }
+    } else if (options.retryFailed) {
+        pending = selected.filter(s => !previousById.has(String(s.id)) || needsRetry(previousById.get(String(s.id)), { partial: options.retryPartial }));
     }
+
+    // Everyone not being processed keeps their previous record
+    const pendingIds = new Set(pending.map(s => String(s.id)));
+    return {
+        kept: students.filter(s => !pendingIds.has(String(s.id)) && previousById.has(String(s.id))).map(s => previousById.get(String(s.id))),
+        pending,
+        previousById,
+        partial
+    };
+}
+
+// What a run would do, without fetching or writing anything
+function printDryRun(pending, options) {
+    const adapters = registry.list().filter(adapter => !options.platforms || options.platforms.includes(adapter.name));
+    console.log(`\n🧪 Dry run: ${pending.length} students, platforms: ${adapters.map(a => a.name).join(', ')}${options.force ? ' (cache bypassed)' : ''}`);
     
-    console.log(`\n🎉 ========== BATCH ${batchNumber} COMPLETED ==========`);
-    return results;
+    const counts = { fetch: 0, cached: 0, noHandle: 0 };
+    pending.forEach((student, index) => {
+        const plan = adapters.map(adapter => {
+            const handle = student.handles?.[adapter.handleKey];
+            if (!registry.hasHandle(adapter, handle)) {
+                counts.noHandle++;
+                return `${adapter.name}: -`;
+            }
+            const ttl = registry.cacheTTL(adapter);
+            if (!options.force && ttl > 0 && cache.get(registry.cacheKey(adapter, handle), ttl)) {
+                counts.cached++;
+                return `${adapter.name}: cached`;
+            }
+            counts.fetch++;
+            return `${adapter.name}: fetch`;
+        });
+        if (index < 20) console.log(`  ${student.id} ${student.name} - ${plan.join(', ')}`);
+    });
+    if (pending.length > 20) console.log(`  ... and ${pending.length - 20} more`);
+    console.log(`📡 ${counts.fetch} requests, ${counts.cached} from cache, ${counts.noHandle} missing handles`);
+    console.log(`📁 Results would be written to: ${path.relative(process.cwd(), options.resultsFile)}`);
 }
 
 // Main scraper function
-async function runScraper() {
+async function runScraper(options = {}) {
     const startTime = Date.now();
+    const rosterFile = path.resolve(options.input || DEFAULT_ROSTER);
+    const resultsFile = path.resolve(options.output || DEFAULT_RESULTS);
+    const summaryFile = path.resolve(options.summary || path.join(path.dirname(resultsFile), 'summary.json'));
     console.log('🚀 Starting automated web scraping system...');
-    console.log(`📊 Configuration: Batch Size: ${CONFIG.BATCH_SIZE}, Concurrency: ${CONFIG.CONCURRENCY}`);
+    console.log(`📊 Configuration: Concurrency: ${CONFIG.CONCURRENCY}, progress every ${CONFIG.BATCH_SIZE} students`);
+    if (replay.getMode() !== 'live') {
+        console.log(`📼 HTTP mode: ${replay.getMode()}`);
+    }
+    let started = false;
+    let mode = 'full';
+    let platforms = null;
+    let pending = [];
     
     try {
         // Load students data
-        const students = await fs.readJson(path.join(__dirname, 'students_mock.json'));
-        console.log(`📋 Loaded ${students.length} students`);
+        const students = await fs.readJson(rosterFile);
+        console.log(`📋 Loaded ${students.length} students from ${path.relative(process.cwd(), rosterFile)}`);
         
-        const allResults = [];
-        const totalBatches = Math.ceil(students.length / CONFIG.BATCH_SIZE);
+        platforms = parsePlatforms(options.platforms);
+        const selected = await selectStudents(students, options);
+        if (selected.length === 0) throw new Error('No students match the --student/--ids-file/--group selection');
         
-        // Process in batches
-        for (let i = 0; i < students.length; i += CONFIG.BATCH_SIZE) {
-            const batch = students.slice(i, i + CONFIG.BATCH_SIZE);
-            const batchNumber = Math.floor(i / CONFIG.BATCH_SIZE) + 1;
-            
-            const batchResults = await processBatch(batch, batchNumber);
-            allResults.push(...batchResults);
-            
-            // Save incremental results
-            await fs.writeJson(path.join(__dirname, 'results.json'), allResults, { spaces: 2 });
-            
-            // Progress report
-            const avgTime = batchResults.reduce((sum, r) => sum + r.processingTime, 0) / batchResults.length;
-            console.log(`✅ Batch ${batchNumber}/${totalBatches} completed. Avg time per student: ${avgTime.toFixed(0)}ms`);
-            
-            // Brief pause between batches
-            if (i + CONFIG.BATCH_SIZE < students.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+        const plan = await planRun(students, selected, { ...options, platforms, resultsFile });
+        const { kept, previousById, partial } = plan;
+        pending = plan.pending;
+        mode = options.retryFailed ? 'retry-failed' : partial ? 'subset' : 'full';
+        if (partial) {
+            console.log(`🎯 Selected ${selected.length} students${platforms ? `, platforms: ${platforms.join(', ')}` : ''}; other records are kept from ${path.relative(process.cwd(), resultsFile)}`);
+        }
+        if (options.resume || options.retryFailed) {
+            console.log(`⏭️  Skipping ${selected.length - pending.length} finished students, ${pending.length} to process`);
+        }
+        
+        if (options.dryRun) {
+            printDryRun(pending, { ...options, platforms, resultsFile });
+            return;
         }
         
+        // Finished records by id; written back in roster order
+        const finished = new Map(kept.map(r => [String(r.id), r]));
+        const orderedResults = () => students.map(s => finished.get(String(s.id))).filter(Boolean);
+        const checkpoint = { mode, startedAt: new Date(startTime).toISOString(), total: students.length };
+        
+        // One writer at a time: another manual run or a scheduler tick holds scraper.lock
+        acquireLock(SCRAPER_LOCK, { mode });
+        started = true;
+        
+        const saveProgress = async (chunkResults) => {
+            if (chunkResults.length === 0) return;
+            chunkResults.forEach(r => finished.set(String(r.id), markChanges(r, previousById.get(String(r.id)))));
+            await fs.writeJson(resultsFile, orderedResults(), { spaces: 2 });
+            cache.saveCache();
+            await saveCheckpoint({ ...checkpoint, completedIds: Array.from(finished.keys()) });
+        };
+        
+        const processed = await processPool(pending, saveProgress, { platforms, force: options.force, previousById });
+        
+        const allResults = orderedResults();
+        await fs.writeJson(resultsFile, allResults, { spaces: 2 });
+        
         // Save cache
         cache.saveCache();
         
         // Generate summary statistics
         const summary = generateSummary(allResults);
-        await fs.writeJson(path.join(__dirname, 'summary.json'), summary, { spaces: 2 });
+        await fs.writeJson(summaryFile, summary, { spaces: 2 });
+        
+        // Keep every run for progress tracking (npm run progress)
+        const snapshotFile = await history.saveSnapshot(allResults, summary.timestamp);
+        
+        // The run finished, nothing left to resume
+        await clearCheckpoint();
+        releaseLock(SCRAPER_LOCK);
+        await runlog.logRun({
+            mode,
+            startedAt: new Date(startTime).toISOString(),
+            students: processed.length,
+            platforms: runlog.platformStats(processed, platforms || undefined)
+        });
         
         const totalTime = Date.now() - startTime;
         console.log(`\n🎉 Scraping completed successfully!`);
         console.log(`📊 Total time: ${(totalTime / 1000).toFixed(2)}s`);
-        console.log(`⚡ Average time per student: ${(totalTime / students.length).toFixed(0)}ms`);
-        console.log(`📁 Results saved to: results.json`);
-        console.log(`📈 Summary saved to: summary.json`);
+        console.log(`⚡ Average time per student: ${(totalTime / Math.max(pending.length, 1)).toFixed(0)}ms`);
+        console.log(`📁 Results saved to: ${path.relative(process.cwd(), resultsFile)}`);
+        console.log(`📈 Summary saved to: ${path.relative(process.cwd(), summaryFile)}`);
+        console.log(`📸 Snapshot saved to: ${path.relative(__dirname, snapshotFile)}`);
+        
+        const stillFailing = allResults.filter(record => needsRetry(record)).length;
+        if (stillFailing > 0) {
+            console.log(`⚠️  ${stillFailing} students have errors, rerun with --retry-failed`);
+        }
         
         // Display top performers
         displayTopPerformers(allResults);
         
+        // Badges for what changed since the previous run
+        await notifyMilestones(options, rosterFile);
+        
     } catch (error) {
         console.error('❌ Scraping failed:', error.message);
+        if (error.code === LOCKED_CODE) console.error('⏳ Another run is writing the results; wait for it or stop it first');
+        if (started) {
+            console.error('💾 Progress is checkpointed, rerun with --resume to continue');
+            releaseLock(SCRAPER_LOCK);
+            await runlog.logRun({ mode, startedAt: new Date(startTime).toISOString(), students: pending.length, error: error.message });
+        }
         process.exit(1);
     }
 }
 
+// Badges for what changed since the previous run, unless the run opted out.
+// A failing sink never fails the run.
+async function notifyMilestones(options, rosterFile) {
+    if (options.noMilestones) return null;
+    console.log('\n🏅 MILESTONES:');
+    return milestones.runMilestones({ input: rosterFile }).catch(error => {
+        console.log(`⚠️  Milestones skipped: ${error.message}`);
+        return null;
+    });
+}
+
 // Generate summary statistics
 function generateSummary(results) {
-    const summary = {
+    return {
         totalStudents: results.length,
         timestamp: new Date().toISOString(),
-        platforms: {
-            leetcode: {
-                totalProblems: results.reduce((sum, r) => sum + r.data.leetcode.total, 0),
-                avgProblems: 0,
-                topSolver: null
-            },
-            github: {
-                totalRepos: results.reduce((sum, r) => sum + r.data.github.repos, 0),
-                totalMergedPRs: results.reduce((sum, r) => sum + r.data.github.mergedPRs, 0),
-                avgRepos: 0,
-                avgMergedPRs: 0
-            },
-            codeforces: {
-                totalProblems: results.reduce((sum, r) => sum + r.data.codeforces.solved, 0),
-                avgProblems: 0
-            },
-            atcoder: {
-                totalProblems: results.reduce((sum, r) => sum + r.data.atcoder.solved, 0),
-                avgProblems: 0
-            }
-        },
+        platforms: registry.summarize(results),
+        fields: registry.describeFields(),
+        adapters: registry.describePlatforms(),
+        platformStatus: registry.statusCounts(results),
         performance: {
             avgProcessingTime: results.reduce((sum, r) => sum + r.processingTime, 0) / results.length,
-            errors: results.filter(r => r.error).length
+            errors: results.filter(r => r.error).length,
+            studentsWithFailedPlatforms: results.filter(r => r.failedPlatforms?.length).length
         }
     };
-    
-    // Calculate averages
-    summary.platforms.leetcode.avgProblems = summary.platforms.leetcode.totalProblems / results.length;
-    summary.platforms.github.avgRepos = summary.platforms.github.totalRepos / results.length;
-    summary.platforms.github.avgMergedPRs = summary.platforms.github.totalMergedPRs / results.length;
-    summary.platforms.codeforces.avgProblems = summary.platforms.codeforces.totalProblems / results.length;
-    summary.platforms.atcoder.avgProblems = summary.platforms.atcoder.totalProblems / results.length;
-    
-    // Find top solver
-    const topLeetcodeSolver = results.reduce((max, r) => 
-        r.data.leetcode.total > max.data.leetcode.total ? r : max
-    );
-    summary.platforms.leetcode.topSolver = {
-        name: topLeetcodeSolver.name,
-        problems: topLeetcodeSolver.data.leetcode.total
-    };
-    
-    return summary;
 }
 
 // Display top performers
 function displayTopPerformers(results) {
     console.log('\n🏆 TOP PERFORMERS:');
     
-    // Top LeetCode solvers
-    const topLeetCode = results
-        .sort((a, b) => b.data.leetcode.total - a.data.leetcode.total)
-        .slice(0, 5);
-    
-    console.log('\n💻 LeetCode Top 5:');
-    topLeetCode.forEach((student, index) => {
-        const lc = student.data.leetcode;
-        console.log(`${index + 1}. ${student.name}: ${lc.total} (E:${lc.easy} M:${lc.medium} H:${lc.hard})`);
-    });
-    
-    // Top GitHub contributors
-    const topGitHub = results
-        .sort((a, b) => (b.data.github.repos + b.data.github.mergedPRs) - (a.data.github.repos + a.data.github.mergedPRs))
-        .slice(0, 5);
-    
-    console.log('\n🐙 GitHub Top 5:');
-    topGitHub.forEach((student, index) => {
-        const gh = student.data.github;
-        console.log(`${index + 1}. ${student.name}: ${gh.repos} repos, ${gh.mergedPRs} merged PRs`);
+    // Top 5 per platform, ranked by the platform's score contribution
+    registry.list().forEach(adapter => {
+        const platformScore = (student) => adapter.fields.reduce((sum, field) =>
+            sum + registry.fieldValue(student.data, { platform: adapter.name, ...field }) * (field.weight || 0), 0);
+        const top = [...results]
+            .sort((a, b) => platformScore(b) - platformScore(a))
+            .slice(0, 5);
+        
+        console.log(`\n${adapter.icon || '🔎'} ${adapter.label} Top 5:`);
+        top.forEach((student, index) => {
+            const data = registry.platformData(student.data, adapter);
+            const message = adapter.describe ? adapter.describe(data) : '';
+            console.log(`${index + 1}. ${student.name}: ${message}`);
+        });
     });
     
     // Top overall competitive programmers
-    const topCP = results
+    const topCP = [...results]
         .sort((a, b) => b.data.totalCP - a.data.totalCP)
         .slice(0, 5);
     
@@ -564,9 +418,53 @@ function displayTopPerformers(results) {
     });
 }
 
+// CLI flags -> runScraper options
+function scraperOptions(options) {
+    return {
+        resume: Boolean(options.resume),
+        retryFailed: Boolean(options['retry-failed'] || options['retry-partial']),
+        retryPartial: Boolean(options['retry-partial']),
+        student: options.student,
+        idsFile: options['ids-file'],
+        group: options.group,
+        platforms: options.platforms,
+        force: Boolean(options.force),
+        dryRun: Boolean(options['dry-run']),
+        noMilestones: Boolean(options['no-milestones']),
+        input: options.input,
+        output: options.output,
+        summary: options.summary
+    };
+}
+
+function printUsage() {
+    console.log('Usage: node scraper.js [options]');
+    console.log('  --student <id|name|handle>[,...]  only these students');
+    console.log('  --ids-file <file>                 only the ids in the file (one per line or a JSON array)');
+    console.log('  --group <field=value>[,...]       only one cohort, e.g. department=CSE,year=3');
+    console.log('  --platforms <name>[,...]          only these platforms, the others keep their previous data');
+    console.log('  --force                           ignore cached results');
+    console.log('  --dry-run                         show what would be fetched, write nothing');
+    console.log('  --input <roster.json>             roster (default students_mock.json)');
+    console.log('  --output <results.json>           results file (default results.json)');
+    console.log('  --summary <summary.json>          summary file (default next to the results)');
+    console.log('  --resume | --retry-failed         continue a crashed run / redo failed students');
+    console.log('  --retry-partial                   like --retry-failed, also redoing partial and stale platforms');
+    console.log('  --record | --replay               record or replay HTTP fixtures');
+    console.log('  --no-milestones                   do not award or send milestones after the run');
+}
+
 // Run the scraper
 if (require.main === module) {
-    runScraper().catch(console.error);
+    const options = parseOptions(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        process.exit(0);
+    }
+    if (options.record) replay.setMode('record');
+    if (options.replay) replay.setMode('replay');
+    runScraper(scraperOptions(options)).catch(console.error);
 }
 
-module.exports = { runScraper, processStudent, Adapters };
\ No newline at end of file
+module.exports = { runScraper, scraperOptions, notifyMilestones, markChanges, processStudent, processPool, selectStudents, planRun, generateSummary, Adapters };
+
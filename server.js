@@ -0,0 +1,365 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { cache } = require('./core');
+const { registry } = require('./adapters');
+const { processStudent, generateSummary, markChanges } = require('./scraper');
+const { SCRAPER_LOCK, LOCKED_CODE, acquireLock, releaseLock } = require('./lock');
+const { buildLeaderboard } = require('./stats');
+const { loadScoringConfig, profileNames, resolveProfile, scoreResults } = require('./scoring');
+const cohorts = require('./cohorts');
+const { parseOptions } = require('./cli');
+
+const RESULTS_FILE = path.join(__dirname, 'results.json');
+const ROSTER_FILE = path.join(__dirname, 'students_mock.json');
+const SUMMARY_FILE = path.join(__dirname, 'summary.json');
+
+// Files the server reads and writes; startServer() can point them elsewhere
+const paths = { roster: ROSTER_FILE, results: RESULTS_FILE, summary: SUMMARY_FILE, lock: SCRAPER_LOCK };
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Files served as-is so frontend.html works from the same origin
+const STATIC_FILES = {
+    '/': ['frontend.html', 'text/html; charset=utf-8'],
+    '/frontend.html': ['frontend.html', 'text/html; charset=utf-8'],
+    '/results.json': ['results.json', 'application/json'],
+    '/summary.json': ['summary.json', 'application/json'],
+    '/leaderboard.json': ['leaderboard.json', 'application/json']
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// results.json joined with roster cohorts, reloaded whenever the file changes
+const store = {
+    mtime: 0,
+    results: [],
+
+    async load() {
+        const stat = await fs.stat(paths.results).catch(() => null);
+        if (!stat) throw new HttpError(503, 'results.json not found, run the scraper first');
+        if (stat.mtimeMs !== this.mtime) {
+            const students = await fs.readJson(paths.roster).catch(() => []);
+            this.results = cohorts.withCohorts(await fs.readJson(paths.results), students);
+            this.mtime = stat.mtimeMs;
+        }
+        return this.results;
+    },
+
+    lastModified() {
+        return new Date(Math.floor(this.mtime / 1000) * 1000);
+    }
+};
+
+// Send JSON with ETag/Last-Modified and answer conditional requests with 304
+function sendJson(req, res, status, body, lastModified) {
+    const payload = JSON.stringify(body);
+    const etag = `W/"${crypto.createHash('sha1').update(payload).digest('base64').slice(0, 27)}"`;
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache',
+        'ETag': etag
+    };
+    if (lastModified) headers['Last-Modified'] = lastModified.toUTCString();
+
+    if (status === 200 && (req.method === 'GET' || req.method === 'HEAD')) {
+        const ifNoneMatch = req.headers['if-none-match'];
+        const ifModifiedSince = req.headers['if-modified-since'];
+        const notModified = ifNoneMatch
+            ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+            : Boolean(lastModified && ifModifiedSince && Date.parse(ifModifiedSince) >= lastModified.getTime());
+        if (notModified) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+    }
+
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+function paginate(items, query) {
+    const pageSize = Math.min(Math.max(parseInt(query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+    return {
+        page,
+        pageSize,
+        total: items.length,
+        totalPages: Math.ceil(items.length / pageSize),
+        items: items.slice((page - 1) * pageSize, page * pageSize)
+    };
+}
+
+// Sort key: name, score, totalCP or any leaderboard field key (leetcode, github_prs, ...)
+function sortValue(record, key) {
+    if (key === 'name') return record.name;
+    if (key === 'score') return record.score;
+    if (key === 'totalCP') return record.data.totalCP || 0;
+    const field = registry.fields().find(f => f.key === key);
+    if (!field) throw new HttpError(400, `Unknown sort key: ${key}`);
+    return registry.fieldValue(record.data, field);
+}
+
+function matchesFilters(record, query) {
+    const search = (query.get('q') || '').toLowerCase();
+    if (search && !record.name.toLowerCase().includes(search)) return false;
+    return cohorts.COHORT_FIELDS.every(field =>
+        !query.has(field) || String(record[field]) === query.get(field)
+    );
+}
+
+function findStudent(results, key, platform) {
+    const byId = results.find(r => String(r.id) === key);
+    if (byId && !platform) return byId;
+
+    const handle = key.toLowerCase();
+    return results.find(r => registry.list().some(adapter => {
+        if (platform && adapter.name !== platform) return false;
+        const value = r.handles?.[adapter.handleKey];
+        const normalized = typeof value === 'object' && value ? value.username : value;
+        return typeof normalized === 'string' && normalized.toLowerCase() === handle;
+    }));
+}
+
+// Refreshing re-scrapes a student. Refreshes run one after another and hold
+// scraper.lock while they read-modify-write results.json, so they never race each
+// other, a manual run or a scheduler tick; a second request for the same student
+// waits for the one already queued.
+const refreshing = new Map();
+let refreshQueue = Promise.resolve();
+
+async function refreshStudent(key) {
+    const students = await fs.readJson(paths.roster);
+    const student = findStudent(students, key);
+    if (!student) throw new HttpError(404, `Student not found in roster: ${key}`);
+
+    const id = String(student.id);
+    if (!refreshing.has(id)) {
+        const task = refreshQueue.then(() => refreshLocked(students.find(s => String(s.id) === id)));
+        refreshQueue = task.catch(() => {});
+        refreshing.set(id, task.finally(() => refreshing.delete(id)));
+    }
+    return refreshing.get(id);
+}
+
+async function refreshLocked(student) {
+    try {
+        acquireLock(paths.lock, { mode: 'api-refresh', student: student.id });
+    } catch (error) {
+        if (error.code === LOCKED_CODE) throw new HttpError(409, `Results are being written by another run: ${error.message}`);
+        throw error;
+    }
+    try {
+        // A refresh that served the cache would change nothing
+        const fresh = await processStudent(student, { force: true });
+        cache.saveCache();
+
+        // Replace the student's record in results.json and refresh the summary
+        const results = await fs.readJson(paths.results).catch(() => []);
+        const index = results.findIndex(r => String(r.id) === String(student.id));
+        const record = markChanges(fresh, results[index]);
+        if (index >= 0) {
+            results[index] = record;
+        } else {
+            results.push(record);
+        }
+        await fs.writeJson(paths.results, results, { spaces: 2 });
+        await fs.writeJson(paths.summary, generateSummary(results), { spaces: 2 });
+        return record;
+    } finally {
+        releaseLock(paths.lock);
+    }
+}
+
+// Refreshes hit the platforms, so they are only open with an API_TOKEN
+function requireToken(req) {
+    const token = process.env.API_TOKEN;
+    if (!token) throw new HttpError(403, 'Refresh is disabled, set API_TOKEN to enable it');
+    const given = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new HttpError(401, 'Missing or invalid API token');
+    }
+}
+
+// Route table: [method, pattern, handler(req, res, params, query)]
+const routes = [
+    ['GET', /^\/api\/students$/, async (req, res, params, query) => {
+        const results = await store.load();
+        const profile = resolveProfile(query.get('profile') || undefined);
+        const scores = new Map(scoreResults(results, profile).map(s => [String(s.id), s.score]));
+        const sortKey = query.get('sort') || 'score';
+        const direction = query.get('order') === 'asc' ? 1 : -1;
+
+        const records = results
+            .filter(record => matchesFilters(record, query))
+            .map(record => ({ ...record, score: scores.get(String(record.id)) }))
+            .sort((a, b) => {
+                const va = sortValue(a, sortKey);
+                const vb = sortValue(b, sortKey);
+                return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * direction;
+            });
+
+        sendJson(req, res, 200, { profile: profile.name, sort: sortKey, ...paginate(records, query) }, store.lastModified());
+    }],
+
+    ['GET', /^\/api\/students\/([^/]+)$/, async (req, res, [key], query) => {
+        const results = await store.load();
+        const record = findStudent(results, decodeURIComponent(key), query.get('platform'));
+        if (!record) throw new HttpError(404, `Student not found: ${decodeURIComponent(key)}`);
+        sendJson(req, res, 200, record, store.lastModified());
+    }],
+
+    ['POST', /^\/api\/students\/([^/]+)\/refresh$/, async (req, res, [key]) => {
+        requireToken(req);
+        const record = await refreshStudent(decodeURIComponent(key));
+        sendJson(req, res, 200, record);
+    }],
+
+    ['GET', /^\/api\/leaderboard$/, async (req, res, params, query) => {
+        const results = await store.load();
+        const profile = resolveProfile(query.get('profile') || undefined);
+        const leaderboard = buildLeaderboard(results.filter(record => matchesFilters(record, query)), profile, results)
+            .map((row, index) => ({ rank: index + 1, ...row }));
+        sendJson(req, res, 200, { profile: profile.name, normalization: profile.normalization, ...paginate(leaderboard, query) }, store.lastModified());
+    }],
+
+    ['GET', /^\/api\/profiles$/, async (req, res) => {
+        const config = loadScoringConfig();
+        const profiles = profileNames(config).map(name => {
+            const profile = resolveProfile(name, config);
+            return { name, description: profile.description, normalization: profile.normalization, metrics: profile.metrics };
+        });
+        sendJson(req, res, 200, { defaultProfile: config.defaultProfile || 'default', profiles });
+    }],
+
+    ['GET', /^\/api\/summary$/, async (req, res) => {
+        const stat = await fs.stat(paths.summary).catch(() => null);
+        if (!stat) throw new HttpError(404, 'summary.json not found, run the scraper first');
+        sendJson(req, res, 200, await fs.readJson(paths.summary), stat.mtime);
+    }],
+
+    ['GET', /^\/api\/platforms$/, async (req, res) => {
+        const results = await store.load();
+        const aggregates = registry.summarize(results);
+        const status = registry.statusCounts(results);
+        const platforms = registry.list().map(adapter => ({
+            name: adapter.name,
+            label: adapter.label,
+            fields: adapter.fields.map(({ key, label, path: fieldPath }) => ({ key, label, path: fieldPath })),
+            summary: aggregates[adapter.name],
+            status: status[adapter.name]
+        }));
+        sendJson(req, res, 200, { students: results.length, platforms }, store.lastModified());
+    }],
+
+    ['GET', /^\/api\/platforms\/([^/]+)$/, async (req, res, [name]) => {
+        const adapter = registry.get(name);
+        if (!adapter) throw new HttpError(404, `Unknown platform: ${name}`);
+        const results = await store.load();
+        sendJson(req, res, 200, {
+            name: adapter.name,
+            label: adapter.label,
+            summary: registry.summarize(results)[adapter.name],
+            status: registry.statusCounts(results)[adapter.name]
+        }, store.lastModified());
+    }]
+];
+
+async function serveStatic(req, res, pathname) {
+    const [file, contentType] = STATIC_FILES[pathname];
+    const filePath = { 'results.json': paths.results, 'summary.json': paths.summary }[file] || path.join(__dirname, file);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat) throw new HttpError(404, `${file} not found`);
+
+    const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince && Date.parse(ifModifiedSince) >= lastModified.getTime()) {
+        res.writeHead(304, { 'Last-Modified': lastModified.toUTCString() });
+        res.end();
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Last-Modified': lastModified.toUTCString() });
+    if (req.method === 'HEAD') {
+        res.end();
+    } else {
+        fs.createReadStream(filePath).pipe(res);
+    }
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, If-Modified-Since'
+            });
+            res.end();
+            return;
+        }
+
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        if (method === 'GET' && STATIC_FILES[url.pathname]) {
+            await serveStatic(req, res, url.pathname);
+            return;
+        }
+
+        for (const [routeMethod, pattern, handler] of routes) {
+            const match = url.pathname.match(pattern);
+            if (match && routeMethod === method) {
+                await handler(req, res, match.slice(1), url.searchParams);
+                return;
+            }
+        }
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    } catch (error) {
+        const status = error.status || (/Unknown scoring profile/.test(error.message) ? 400 : 500);
+        if (status === 500) console.error(`❌ ${req.method} ${url.pathname}:`, error.message);
+        sendJson(req, res, status, { error: error.message });
+    }
+}
+
+// `input`, `output`, `summary` and `lock` move the roster, results.json, summary.json and the lock file
+function startServer({ port = 3000, host = '127.0.0.1', input, output, summary, lock } = {}) {
+    paths.roster = path.resolve(input || ROSTER_FILE);
+    paths.results = path.resolve(output || RESULTS_FILE);
+    paths.summary = path.resolve(summary || (output ? path.join(path.dirname(paths.results), 'summary.json') : SUMMARY_FILE));
+    paths.lock = path.resolve(lock || SCRAPER_LOCK);
+    store.mtime = 0;
+    const server = http.createServer((req, res) => {
+        const startTime = Date.now();
+        res.on('finish', () => console.log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - startTime}ms`));
+        handleRequest(req, res);
+    });
+    return new Promise(resolve => {
+        server.listen(port, host, () => {
+            console.log(`🌐 API server listening on http://${host}:${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = parseOptions(process.argv.slice(2));
+    startServer({
+        port: Number(options.port || process.env.PORT || 3000),
+        host: options.host || process.env.HOST || '127.0.0.1',
+        input: options.input,
+        output: options.output,
+        summary: options.summary
+    });
+}
+
+module.exports = { startServer, handleRequest };
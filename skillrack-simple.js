@@ -1,9 +1,140 @@
 const axios = require('axios');
+const cheerio = require('cheerio');
+const { STATUS, classifyError } = require('./core');
+
+// How far a SkillRack number can be trusted:
+//   high   - read from its labelled statistic block on the resume page
+//   medium - read from a "Programs Solved: N" style text on the page
+//   low    - estimated (programs solved = sum of the breakdown), never a page value
+//   none   - the page had no usable number
+const CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low',
+    NONE: 'none'
+};
+
+// Statistic labels on the resume page -> result keys
+const STATISTIC_LABELS = {
+    'PROGRAMS SOLVED': 'solved',
+    'CODE TRACK': 'codeTracks',
+    'CODE TEST': 'codeTests',
+    'CODE TUTOR': 'codeTutor',
+    'DC': 'dc',
+    'DT': 'dt',
+    'RANK': 'rank',
+    'LEVEL': 'level'
+};
+const MEDAL_LABELS = { 'GOLD': 'gold', 'SILVER': 'silver', 'BRONZE': 'bronze' };
+const LANGUAGE_LABELS = ['C', 'CPP', 'JAVA', 'PYTHON', 'PYTHON3', 'SQL', 'JAVASCRIPT', 'CSHARP'];
+
+// Programs solved is the sum of these on every profile we have checked
+const BREAKDOWN_KEYS = ['codeTracks', 'codeTests', 'codeTutor', 'dc', 'dt'];
+
+const emptyResult = () => ({
+    solved: 0,
+    codeTracks: 0,
+    codeTests: 0,
+    codeTutor: 0,
+    dc: 0,
+    dt: 0,
+    rank: null,
+    level: null,
+    medals: { gold: 0, silver: 0, bronze: 0 },
+    languages: {},
+    certificates: [],
+    userInfo: null,
+    confidence: CONFIDENCE.NONE
+});
+
+function toNumber(text) {
+    const match = String(text).replace(/,/g, '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+function cleanText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// Login pages and error pages come back as 200, recognise them by their content
+function pageProblem($) {
+    if ($('input[type=password]').length > 0) return 'login-protected profile page';
+    const text = cleanText($('body').text());
+    if (/please login|login required|session expired/i.test(text)) return 'login-protected profile page';
+    if ($('.statistic').length === 0 && !/programs?\s*solved/i.test(text)) return 'not a resume page (no statistics found)';
+    return null;
+}
+
+// Pull everything the resume page shows; `solvedSource` records where `solved` came from
+function parseResume(html) {
+    const $ = cheerio.load(html || '');
+    const problem = pageProblem($);
+    if (problem) return { problem };
+
+    const result = emptyResult();
+    const found = new Set();
+    const extra = {};
+
+    $('.statistic').each((_, element) => {
+        const label = cleanText($(element).find('.label').first().text()).toUpperCase();
+        const value = toNumber($(element).find('.value').first().text());
+        if (!label || value === null) return;
+
+        if (STATISTIC_LABELS[label]) {
+            result[STATISTIC_LABELS[label]] = value;
+            found.add(STATISTIC_LABELS[label]);
+        } else if (MEDAL_LABELS[label]) {
+            result.medals[MEDAL_LABELS[label]] = value;
+        } else if (LANGUAGE_LABELS.includes(label)) {
+            result.languages[label] = value;
+        } else {
+            extra[label] = value;
+        }
+    });
+    if (Object.keys(extra).length > 0) result.otherStatistics = extra;
+
+    // Certificates table follows a "Certificates" heading
+    $('h1, h2, h3, h4, h5, .header').filter((_, element) => /certificate/i.test($(element).text())).first()
+        .nextAll('table').first()
+        .find('tr')
+        .each((_, row) => {
+            const cells = $(row).find('td').map((i, cell) => cleanText($(cell).text())).get();
+            if (cells[0]) result.certificates.push({ title: cells[0], date: cells[1] || null });
+        });
+
+    const name = cleanText($('.card .header').first().text());
+    result.userInfo = name ? { name, profileFound: true } : { name: null, profileFound: false };
+
+    if (found.has('solved')) {
+        result.confidence = CONFIDENCE.HIGH;
+        result.solvedSource = 'statistic';
+        return { result };
+    }
+
+    // Older layouts print the total as plain text
+    const textMatch = cleanText($('body').text()).match(/programs?\s*solved\s*[:\-]?\s*([0-9,]+)/i);
+    if (textMatch) {
+        result.solved = toNumber(textMatch[1]);
+        result.confidence = CONFIDENCE.MEDIUM;
+        result.solvedSource = 'text';
+        return { result };
+    }
+
+    if (BREAKDOWN_KEYS.some(key => found.has(key))) {
+        result.solved = BREAKDOWN_KEYS.reduce((sum, key) => sum + result[key], 0);
+        result.confidence = CONFIDENCE.LOW;
+        result.solvedSource = 'breakdown';
+        return { result };
+    }
+
+    result.confidence = CONFIDENCE.NONE;
+    return { result };
+}
 
 // Simple SkillRack scraper for the web scraping system
 async function scrapeSkillRack(skillrackData, rateLimiter) {
-    if (!skillrackData) return { solved: 0, userInfo: null };
-    
+    if (!skillrackData) return { ...emptyResult(), status: STATUS.NO_HANDLE };
+
     // Handle both old format (string) and new format (object)
     let username, id, key;
     if (typeof skillrackData === 'string') {
@@ -11,33 +142,30 @@ async function scrapeSkillRack(skillrackData, rateLimiter) {
         id = skillrackData;
         key = null;
     } else {
-        username = skillrackData.username;
+        username = skillrackData.username || skillrackData.id;
         id = skillrackData.id;
         key = skillrackData.key;
     }
-    
-    if (!username) return { solved: 0, userInfo: null };
-    
-    await rateLimiter.wait();
-    
+
+    if (!username) return { ...emptyResult(), status: STATUS.NO_HANDLE };
+
     try {
         console.log(`🔍 Scraping SkillRack for: ${username}`);
-        
+
         // Build URL with proper parameters
         let profileUrl;
         if (id && key) {
-            profileUrl = `https://www.skillrack.com/faces/resume.xhtml?id=${id}&key=${key}`;
-            console.log(`✅ Using mapped profile URL for ${username} (ID: ${id})`);
+            profileUrl = `https://www.skillrack.com/faces/resume.xhtml?id=${encodeURIComponent(id)}&key=${encodeURIComponent(key)}`;
         } else {
-            profileUrl = `https://www.skillrack.com/faces/resume.xhtml?id=${username}`;
-            console.log(`⚠️  No mapping found for ${username}, using fallback method`);
+            profileUrl = `https://www.skillrack.com/faces/resume.xhtml?id=${encodeURIComponent(username)}`;
+            console.log(`⚠️  No resume key for ${username}, the page will probably need a login`);
         }
-        
-        // Method 1: Try direct profile access
+
         let response;
         try {
             response = await axios.get(profileUrl, {
                 timeout: 15000,
+                limiter: rateLimiter,
                 headers: {
                     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
                     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -48,76 +176,33 @@ async function scrapeSkillRack(skillrackData, rateLimiter) {
                 }
             });
         } catch (error) {
-            console.log(`⚠️  Direct access failed for ${username}: ${error.message}`);
-            return { solved: 0, userInfo: null };
+            console.log(`⚠️  Profile request failed for ${username}: ${error.message}`);
+            return { ...emptyResult(), status: classifyError(error), error: error.message };
         }
-        
-        const html = response.data;
-        
-        // Basic validation - be less strict about login mentions
-        if (!html || html.length < 1000 || 
-            html.includes('Please login') || html.includes('Login required') ||
-            html.includes('error') || html.includes('Error')) {
-            console.log(`⚠️  Invalid response for ${username}`);
-            return { solved: 0, userInfo: null };
-        }
-        
-        // Extract user info
-        let userInfo = null;
-        const nameMatch = html.match(/<h[12][^>]*>([^<]+)<\/h[12]>/i);
-        if (nameMatch && nameMatch[1] && !nameMatch[1].includes('SkillRack')) {
-            userInfo = {
-                name: nameMatch[1].trim(),
-                profileFound: true
-            };
+
+        const { problem, result } = parseResume(response.data);
+        if (problem) {
+            console.log(`⚠️  Invalid response for ${username}: ${problem}`);
+            return { ...emptyResult(), status: STATUS.ERROR, error: problem };
         }
-        
-        // Extract problem count with SkillRack-specific patterns
-        let solved = 0;
-        const patterns = [
-            /<div class="statistic">\s*<div class="value">\s*<i[^>]*><\/i>(\d+)\s*<\/div>\s*<div class="label">\s*PROGRAMS SOLVED\s*<\/div>/i,
-            /PROGRAMS SOLVED[\s\S]*?<\/i>(\d+)/i,
-            /Programs?\s*Solved[:\s]*([0-9,]+)/i,
-            /Solved[:\s]*([0-9,]+)\s*Programs?/i
-        ];
-        
-        for (const pattern of patterns) {
-            const match = html.match(pattern);
-            if (match && match[1]) {
-                const num = parseInt(match[1].replace(/,/g, ''));
-                if (num > 0 && num < 3000 && num !== 2024 && num !== 2023) {
-                    solved = num;
-                    console.log(`✅ Found ${solved} problems for ${username}`);
-                    break;
-                }
-            }
+
+        // Anything below a labelled value is kept but flagged, never reported as a plain ok
+        if (result.confidence === CONFIDENCE.HIGH || result.confidence === CONFIDENCE.MEDIUM) {
+            console.log(`✅ Found ${result.solved} problems for ${username} (${result.confidence} confidence)`);
+            return { ...result, status: STATUS.OK };
         }
-        
-        // If no pattern matched but we have a valid profile, try to find any reasonable number
-        if (solved === 0 && userInfo) {
-            const numbers = html.match(/\b([0-9]{1,4})\b/g);
-            if (numbers) {
-                const validNumbers = numbers
-                    .map(n => parseInt(n))
-                    .filter(n => n > 0 && n < 2000 && n !== 2024 && n !== 2023 && n !== 100 && n !== 200)
-                    .sort((a, b) => b - a);
-                
-                if (validNumbers.length > 0) {
-                    solved = validNumbers[0];
-                    console.log(`✅ Found ${solved} problems for ${username} (contextual)`);
-                }
-            }
+        if (result.confidence === CONFIDENCE.LOW) {
+            console.log(`⚠️  PROGRAMS SOLVED missing for ${username}, estimated ${result.solved} from the breakdown`);
+            return { ...result, status: STATUS.PARTIAL, error: 'programs solved estimated from code track/test/tutor and DC/DT counts' };
         }
-        
-        return {
-            solved,
-            userInfo: userInfo || { name: username, profileFound: false }
-        };
-        
+        // A missing count is unknown, not zero
+        console.log(`⚠️  No programs solved count on the resume page of ${username}`);
+        return { ...result, status: STATUS.ERROR, error: 'programs solved not found on the resume page' };
+
     } catch (error) {
         console.log(`❌ SkillRack error for ${username}: ${error.message}`);
-        return { solved: 0, userInfo: null };
+        return { ...emptyResult(), status: STATUS.ERROR, error: error.message };
     }
 }
 
-module.exports = { scrapeSkillRack };
\ No newline at end of file
+module.exports = { scrapeSkillRack, parseResume, emptyResult, CONFIDENCE };
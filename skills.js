@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATUS, isUnavailable } = require('./core');
+const cohorts = require('./cohorts');
+const { toCsv } = require('./stats');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_RESULTS = path.join(__dirname, 'results.json');
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const SKILLS_FILE = path.join(__dirname, 'skills.json');
+const HEATMAP_FILE = path.join(__dirname, 'skills.csv');
+
+// Shared topics and the LeetCode tag names / Codeforces tags that count towards them.
+// Counts are tag solves: a problem tagged "Graph" and "Breadth-First Search" counts twice.
+const TOPICS = {
+    'Arrays & Hashing': { leetcode: ['Array', 'Hash Table', 'Prefix Sum', 'Matrix'], codeforces: [] },
+    'Strings': { leetcode: ['String', 'String Matching'], codeforces: ['strings'] },
+    'Sorting & Searching': { leetcode: ['Sorting', 'Binary Search', 'Two Pointers', 'Sliding Window'], codeforces: ['sortings', 'binary search', 'two pointers'] },
+    'Stacks, Queues & Lists': { leetcode: ['Stack', 'Queue', 'Monotonic Stack', 'Linked List', 'Heap (Priority Queue)'], codeforces: [] },
+    'Math': { leetcode: ['Math', 'Number Theory', 'Combinatorics', 'Geometry'], codeforces: ['math', 'number theory', 'combinatorics', 'geometry'] },
+    'Greedy': { leetcode: ['Greedy'], codeforces: ['greedy'] },
+    'Implementation': { leetcode: ['Simulation'], codeforces: ['implementation', 'brute force', 'constructive algorithms'] },
+    'Bit Manipulation': { leetcode: ['Bit Manipulation'], codeforces: ['bitmasks'] },
+    'Trees': { leetcode: ['Tree', 'Binary Tree', 'Binary Search Tree', 'Trie', 'Segment Tree', 'Binary Indexed Tree'], codeforces: ['trees', 'data structures'] },
+    'Graphs': { leetcode: ['Graph', 'Breadth-First Search', 'Depth-First Search', 'Union Find', 'Shortest Path', 'Topological Sort'], codeforces: ['graphs', 'dfs and similar', 'dsu', 'shortest paths'] },
+    'Dynamic Programming': { leetcode: ['Dynamic Programming', 'Memoization'], codeforces: ['dp'] }
+};
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Codeforces problem ratings mapped onto LeetCode-style difficulties
+function codeforcesDifficulty(bucket) {
+    const rating = Number(bucket);
+    if (!Number.isFinite(rating)) return null; // "unrated"
+    if (rating <= 1200) return 'Easy';
+    return rating < 2000 ? 'Medium' : 'Hard';
+}
+
+// Relative to the cohort median: strong (>= 1.5x), average (>= 0.5x), weak, missing (0).
+// Without a baseline (median 0) only students who have something stand out.
+const STRONG_RATIO = 1.5;
+const WEAK_RATIO = 0.5;
+const MAX_FOCUS = 3;
+
+function levelFor(value, median) {
+    if (median === 0) return value > 0 ? 'strong' : null;
+    if (value >= median * STRONG_RATIO) return 'strong';
+    if (value >= median * WEAK_RATIO) return 'average';
+    return value > 0 ? 'weak' : 'missing';
+}
+
+function usable(platformResult) {
+    return Boolean(platformResult) && !isUnavailable(platformResult) &&
+        ![STATUS.NO_HANDLE, STATUS.NOT_FOUND].includes(platformResult.status);
+}
+
+// Solved counts per difficulty and per topic from LeetCode and Codeforces.
+// `hasTopics` is false when neither platform reported tags (e.g. older results).
+function skillCounts(result) {
+    const leetcode = result.data?.leetcode;
+    const codeforces = result.data?.codeforces;
+    const difficulty = { Easy: 0, Medium: 0, Hard: 0 };
+    const topics = Object.fromEntries(Object.keys(TOPICS).map(topic => [topic, 0]));
+    const sources = [];
+    let hasTopics = false;
+
+    if (usable(leetcode)) {
+        sources.push('leetcode');
+        difficulty.Easy += leetcode.easy || 0;
+        difficulty.Medium += leetcode.medium || 0;
+        difficulty.Hard += leetcode.hard || 0;
+        if (Object.keys(leetcode.tags || {}).length > 0) hasTopics = true;
+    }
+    if (usable(codeforces)) {
+        sources.push('codeforces');
+        Object.entries(codeforces.solvedByRating || {}).forEach(([bucket, count]) => {
+            const level = codeforcesDifficulty(bucket);
+            if (level) difficulty[level] += count;
+        });
+        if (Object.keys(codeforces.solvedByTag || {}).length > 0) hasTopics = true;
+    }
+
+    Object.entries(TOPICS).forEach(([topic, tags]) => {
+        if (usable(leetcode)) tags.leetcode.forEach(tag => { topics[topic] += leetcode.tags?.[tag] || 0; });
+        if (usable(codeforces)) tags.codeforces.forEach(tag => { topics[topic] += codeforces.solvedByTag?.[tag] || 0; });
+    });
+
+    return { sources, difficulty, topics, hasTopics };
+}
+
+// Medians over the students that have data: difficulties over everyone with a
+// LeetCode or Codeforces result, topics over those with tag data
+function cohortMedians(profiles) {
+    const withData = profiles.filter(p => p.sources.length > 0);
+    const withTopics = profiles.filter(p => p.hasTopics);
+    return {
+        students: withData.length,
+        topicStudents: withTopics.length,
+        difficulty: Object.fromEntries(DIFFICULTIES.map(d => [d, cohorts.median(withData.map(p => p.difficulty[d]))])),
+        topics: Object.fromEntries(Object.keys(TOPICS).map(t => [t, cohorts.median(withTopics.map(p => p.topics[t]))]))
+    };
+}
+
+// Strengths, weaknesses and up to MAX_FOCUS focus areas against the cohort medians.
+// Focus areas are the largest shortfalls relative to the median; on ties, the area with the
+// higher median (what the cohort practises most) comes first.
+function compareToCohort(profile, medians) {
+    const areas = [];
+    if (profile.sources.length > 0) {
+        DIFFICULTIES.forEach(d => areas.push({ area: `${d} problems`, value: profile.difficulty[d], median: medians.difficulty[d] }));
+    }
+    if (profile.hasTopics) {
+        Object.keys(TOPICS).forEach(t => areas.push({ area: t, value: profile.topics[t], median: medians.topics[t] }));
+    }
+
+    const levels = {};
+    areas.forEach(a => {
+        a.level = levelFor(a.value, a.median);
+        levels[a.area] = a.level;
+    });
+
+    const weak = areas.filter(a => a.level === 'weak' || a.level === 'missing');
+    const focus = [...weak]
+        .sort((a, b) => (b.median - b.value) / b.median - (a.median - a.value) / a.median || b.median - a.median)
+        .slice(0, MAX_FOCUS)
+        .map(({ area, value, median }) => ({ area, value, median }));
+
+    return {
+        levels,
+        strengths: areas.filter(a => a.level === 'strong').map(a => a.area),
+        weaknesses: weak.map(a => a.area),
+        focus
+    };
+}
+
+// "Medium problems (4 vs median 20)"
+function focusText(focus) {
+    return focus.map(f => `${f.area} (${f.value} vs median ${f.median})`).join('; ');
+}
+
+// Per-student profiles compared within their cohort (all students, or each --by group)
+function analyzeSkills(results, options = {}) {
+    const groupBy = options.by ? cohorts.parseGroupBy(options.by === true ? undefined : options.by) : null;
+    const groups = groupBy ? cohorts.groupResults(results, groupBy) : new Map([['All students', results]]);
+
+    const students = [];
+    const cohortRows = [];
+    groups.forEach((members, group) => {
+        const profiles = members.map(result => ({
+            id: result.id,
+            name: result.name,
+            ...cohorts.cohortOf(result),
+            ...skillCounts(result)
+        }));
+        const medians = cohortMedians(profiles);
+        cohortRows.push({ group, ...medians });
+        profiles.forEach(profile => students.push({ ...profile, group, ...compareToCohort(profile, medians) }));
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        groupBy: groupBy || [],
+        topics: Object.keys(TOPICS),
+        cohorts: cohortRows,
+        students
+    };
+}
+
+// Heatmap rows: each cell is the student's count as a percentage of the cohort
+// median (100 = median), empty when there is no data or no baseline
+function heatmapRows(report) {
+    const byGroup = new Map(report.cohorts.map(c => [c.group, c]));
+    return report.students.map(student => {
+        const medians = byGroup.get(student.group);
+        const percent = (value, median, available) => (available && median > 0 ? Math.round((value / median) * 100) : '');
+        const row = { ID: student.id, Name: student.name };
+        if (report.groupBy.length > 0) row.Group = student.group;
+        DIFFICULTIES.forEach(d => { row[d] = percent(student.difficulty[d], medians.difficulty[d], student.sources.length > 0); });
+        report.topics.forEach(t => { row[t] = percent(student.topics[t], medians.topics[t], student.hasTopics); });
+        row.Strengths = student.strengths.join('; ');
+        row['Focus Areas'] = focusText(student.focus);
+        return row;
+    });
+}
+
+// Cohort heatmap: the medians per group side by side
+function cohortHeatmapRows(report) {
+    return report.cohorts.map(c => ({
+        Group: c.group,
+        Students: c.students,
+        ...c.difficulty,
+        ...Object.fromEntries(report.topics.map(t => [t, c.topicStudents > 0 ? c.topics[t] : '']))
+    }));
+}
+
+async function runSkills(options = {}) {
+    const students = await fs.readJson(path.resolve(options.input || DEFAULT_ROSTER)).catch(() => []);
+    const results = cohorts.withCohorts(await fs.readJson(path.resolve(options.results || DEFAULT_RESULTS)), students);
+    const report = analyzeSkills(results, options);
+    report.cohortHeatmap = cohortHeatmapRows(report);
+
+    const outFile = path.resolve(options.out || SKILLS_FILE);
+    const csvFile = path.resolve(options.csv || HEATMAP_FILE);
+    await fs.writeJson(outFile, report, { spaces: 2 });
+    await fs.writeFile(csvFile, toCsv(heatmapRows(report)));
+
+    const analyzed = report.students.filter(s => s.sources.length > 0);
+    console.log(`🧭 Skill profiles for ${analyzed.length}/${report.students.length} students (${analyzed.filter(s => s.hasTopics).length} with topic data)`);
+    report.cohorts.forEach(c => {
+        console.log(`  ${c.group}: median E/M/H ${c.difficulty.Easy}/${c.difficulty.Medium}/${c.difficulty.Hard}`);
+    });
+
+    // The most common focus areas across the cohort
+    const counts = {};
+    report.students.forEach(s => s.focus.forEach(f => { counts[f.area] = (counts[f.area] || 0) + 1; }));
+    Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5)
+        .forEach(([area, count]) => console.log(`  🎯 ${area}: focus area for ${count} students`));
+
+    console.log(`\n📊 Skills saved: ${path.relative(process.cwd(), outFile)} & ${path.relative(process.cwd(), csvFile)}`);
+    return report;
+}
+
+module.exports = {
+    TOPICS,
+    SKILLS_FILE,
+    HEATMAP_FILE,
+    skillCounts,
+    cohortMedians,
+    compareToCohort,
+    analyzeSkills,
+    heatmapRows,
+    cohortHeatmapRows,
+    runSkills
+};
+
+if (require.main === module) {
+    runSkills(parseOptions(process.argv.slice(2))).catch(error => {
+        console.error('❌ Skill analysis failed:', error.message);
+        process.exit(1);
+    });
+}
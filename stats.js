@@ -1,38 +1,195 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { isUnavailable } = require('./core');
+const { registry, getPath } = require('./adapters');
+const history = require('./history');
+const { loadScoringConfig, profileNames, resolveProfile, scoreResults } = require('./scoring');
+const cohorts = require('./cohorts');
+const audit = require('./audit');
+const verify = require('./verify');
+const { parseOptions } = require('./cli');
 
-async function generateStats() {
+// Leaderboard rows for one scoring profile, best first.
+// Normalized profiles rank against `cohort` (all results unless a group is ranked on its own).
+function buildLeaderboard(results, profileName, cohort = results) {
+    const fields = registry.fields();
+    const scores = new Map(scoreResults(cohort, profileName).map(s => [String(s.id), s.score]));
+    
+    return results
+        .map(student => {
+            const row = { id: student.id, name: student.name, ...cohorts.cohortOf(student) };
+            // Failed platforms and unknown values are null ("unavailable"), not a misleading 0
+            fields.forEach(field => {
+                row[field.key] = isUnavailable(student.data[field.platform]) || getPath(student.data[field.platform], field.path) === null
+                    ? null
+                    : registry.fieldValue(student.data, field);
+            });
+            row.totalCP = student.data.totalCP;
+            row.score = scores.get(String(student.id)) ?? 0;
+            const unavailable = registry.list()
+                .filter(adapter => isUnavailable(student.data[adapter.name]))
+                .map(adapter => adapter.name);
+            if (unavailable.length > 0) row.unavailable = unavailable;
+            // Scored, but not a number the platform reported (e.g. a SkillRack total summed from the breakdown)
+            const estimated = registry.list()
+                .filter(adapter => {
+                    const data = student.data[adapter.name];
+                    return adapter.estimated && data && !isUnavailable(data) && adapter.estimated(data);
+                })
+                .map(adapter => adapter.name);
+            if (estimated.length > 0) row.estimated = estimated;
+            return row;
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+// Quote a field that contains the delimiter, a quote, a line break or edge spaces (RFC 4180)
+function csvField(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values, delimiter = ',') {
+    return values.map(value => csvField(value, delimiter)).join(delimiter);
+}
+
+// Leaderboard columns shared by the CSV/TSV and XLSX exports: [{ key, label, value(row, index) }]
+function leaderboardColumns(leaderboard) {
+    // Cohort columns only when the roster has them
+    const cohortFields = cohorts.COHORT_FIELDS.filter(field => leaderboard.some(row => row[field] !== undefined));
+    return [
+        { key: 'rank', label: 'Rank', value: (row, index) => index + 1 },
+        { key: 'name', label: 'Name', value: row => row.name },
+        ...cohortFields.map(field => ({ key: field, label: field[0].toUpperCase() + field.slice(1), value: row => row[field] ?? '' })),
+        { key: 'score', label: 'Score', value: row => row.score },
+        ...registry.fields().map(field => ({ key: field.key, label: field.label, platform: field.platform, value: row => row[field.key] })),
+        { key: 'totalCP', label: 'Total CP', value: row => row.totalCP },
+        // Only after an audit (npm run audit) flagged someone
+        ...(leaderboard.some(row => row.needsReview) ? [{ key: 'needsReview', label: 'Needs Review', value: row => (row.needsReview || []).join('; ') }] : []),
+        // Only once handles are being verified (node verify.js)
+        ...(leaderboard.some(row => row.unverified) ? [{ key: 'unverified', label: 'Unverified', value: row => (row.unverified || []).join('; ') }] : []),
+        // Only when some platform numbers are estimates
+        ...(leaderboard.some(row => row.estimated) ? [{ key: 'estimated', label: 'Estimated', value: row => (row.estimated || []).map(name => registry.get(name).label).join('; ') }] : [])
+    ];
+}
+
+// audit.json, with a warning when it predates results.json
+async function loadAuditFor(resultsFile) {
+    const report = await audit.loadAudit();
+    if (!report) return null;
+    const resultsTime = (await fs.stat(resultsFile)).mtimeMs;
+    if (Date.parse(report.generatedAt) < resultsTime) {
+        console.log('⚠️  audit.json is older than results.json, run npm run audit to refresh the review marks');
+    }
+    return report;
+}
+
+// verification.json: unverified handles are marked on the leaderboard, and with
+// --exclude-unverified scored as if the student had no handle on that platform
+async function loadVerificationFor(options) {
+    const store = await verify.loadVerification();
+    if (!store && options['exclude-unverified']) {
+        console.log('⚠️  No verification.json yet, --exclude-unverified has nothing to exclude (run node verify.js issue)');
+    }
+    const scored = (results) => (options['exclude-unverified'] ? verify.excludeUnverified(results, store) : results);
+    return { store, scored };
+}
+
+function leaderboardCsv(leaderboard, delimiter = ',') {
+    const columns = leaderboardColumns(leaderboard);
+    const csvHeader = csvLine(columns.map(column => column.label), delimiter) + '\n';
+    const csvRows = leaderboard.map((student, index) =>
+        csvLine(columns.map(column => column.value(student, index) ?? 'unavailable'), delimiter)
+    ).join('\n');
+    return csvHeader + csvRows;
+}
+
+function toCsv(rows, delimiter = ',') {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    return [csvLine(columns, delimiter), ...rows.map(row => csvLine(columns.map(column => row[column]), delimiter))].join('\n');
+}
+
+// Per-group leaderboards and aggregates plus a group-vs-group comparison, under groups/
+// (--results, --input and --output move the results, the roster and that directory)
+async function generateGroupStats(options = {}) {
     try {
-        const results = await fs.readJson(path.join(__dirname, 'results.json'));
+        const groupBy = cohorts.parseGroupBy(options.by);
+        const resultsFile = path.resolve(options.results || path.join(__dirname, 'results.json'));
+        const students = await fs.readJson(path.resolve(options.input || path.join(__dirname, 'students_mock.json'))).catch(() => []);
+        const results = cohorts.withCohorts(await fs.readJson(resultsFile), students);
+        const profile = resolveProfile(options.profile, loadScoringConfig(options.scoring));
+        const review = await loadAuditFor(resultsFile);
+        const verification = await loadVerificationFor(options);
+        const scoredResults = verification.scored(results);
+        const outDir = path.resolve(options.output || path.join(__dirname, 'groups'));
         
-        // Generate leaderboard
-        const leaderboard = results
-            .map(student => ({
-                name: student.name,
-                leetcode: student.data.leetcode.total,
-                github_repos: student.data.github.repos,
-                github_prs: student.data.github.mergedPRs,
-                codeforces: student.data.codeforces.solved,
-                atcoder: student.data.atcoder.solved,
-                skillrack: student.data.skillrack.solved || 0,
-                totalCP: student.data.totalCP,
-                score: calculateScore(student.data)
-            }))
-            .sort((a, b) => b.score - a.score);
-
-        // Save leaderboard
-        await fs.writeJson(path.join(__dirname, 'leaderboard.json'), leaderboard, { spaces: 2 });
-        
-        // Generate CSV
-        const csvHeader = 'Rank,Name,Score,LeetCode,GitHub Repos,GitHub PRs,Codeforces,AtCoder,SkillRack,Total CP\n';
-        const csvRows = leaderboard.map((student, index) => 
-            `${index + 1},${student.name},${student.score},${student.leetcode},${student.github_repos},${student.github_prs},${student.codeforces},${student.atcoder},${student.skillrack},${student.totalCP}`
-        ).join('\n');
+        await fs.emptyDir(outDir);
+        const aggregates = [];
+        
+        for (const [key, members] of cohorts.groupResults(scoredResults, groupBy)) {
+            // --within ranks each group against itself for normalized profiles
+            const leaderboard = verify.markUnverified(
+                audit.markForReview(buildLeaderboard(members, profile, options.within ? members : scoredResults), review),
+                members, verification.store
+            );
+            const aggregate = cohorts.groupAggregates(key, members, leaderboard);
+            aggregates.push(aggregate);
+            
+            const groupDir = path.join(outDir, key.replace(/[^\w.-]+/g, '_'));
+            await fs.ensureDir(groupDir);
+            await fs.writeJson(path.join(groupDir, 'leaderboard.json'), leaderboard, { spaces: 2 });
+            await fs.writeFile(path.join(groupDir, 'leaderboard.csv'), leaderboardCsv(leaderboard));
+            await fs.writeJson(path.join(groupDir, 'summary.json'), aggregate, { spaces: 2 });
+            
+            console.log(`👥 ${key}: ${members.length} students, avg score ${aggregate.avgScore}, top ${aggregate.topScorer?.name || '-'}`);
+        }
+        
+        const comparison = cohorts.comparisonRows(aggregates);
+        await fs.writeJson(path.join(outDir, 'comparison.json'), { groupBy, profile: profile.name, groups: comparison }, { spaces: 2 });
+        await fs.writeFile(path.join(outDir, 'comparison.csv'), toCsv(comparison));
         
-        await fs.writeFile(path.join(__dirname, 'leaderboard.csv'), csvHeader + csvRows);
+        console.log(`\n✅ ${aggregates.length} groups by ${groupBy.join(', ')} (${profile.name} profile) saved to ${path.relative(process.cwd(), outDir)}/`);
         
+    } catch (error) {
+        console.error('❌ Error generating group statistics:', error.message);
+        process.exit(1);
+    }
+}
+
+// leaderboard.json/csv for the default profile, leaderboard-<profile>.json/csv for the others
+async function generateStats(options = {}) {
+    try {
+        const results = await fs.readJson(path.join(__dirname, 'results.json'));
+        const review = await loadAuditFor(path.join(__dirname, 'results.json'));
+        const verification = await loadVerificationFor(options);
+        const scoredResults = verification.scored(results);
+        const config = loadScoringConfig(options.scoring);
+        const defaultProfile = config.defaultProfile || 'default';
+        const profiles = options['all-profiles'] ? profileNames(config) : [options.profile || defaultProfile];
+        
+        for (const profileName of profiles) {
+            const profile = resolveProfile(profileName, config);
+            const leaderboard = verify.markUnverified(audit.markForReview(buildLeaderboard(scoredResults, profile), review), results, verification.store);
+            const baseName = profile.name === defaultProfile ? 'leaderboard' : `leaderboard-${profile.name}`;
+            
+            // Save leaderboard
+            await fs.writeJson(path.join(__dirname, `${baseName}.json`), leaderboard, { spaces: 2 });
+            
+            // Generate CSV
+            await fs.writeFile(path.join(__dirname, `${baseName}.csv`), leaderboardCsv(leaderboard));
+            
+            console.log(`📊 Leaderboard (${profile.name}, ${profile.normalization}) saved: ${baseName}.json & ${baseName}.csv`);
+        }
+        
+        const flagged = review ? Object.keys(review.needsReview || {}).length : 0;
+        if (flagged > 0) console.log(`🔍 ${flagged} students marked "needs review" from audit.json`);
+        if (verification.store) {
+            const unverified = results.filter(result => verify.unverifiedPlatforms(verification.store, result).length > 0).length;
+            console.log(`🔑 ${unverified} students have unverified handles${options['exclude-unverified'] ? ' (left out of the scores)' : ''}`);
+        }
         console.log('✅ Statistics generated successfully!');
-        console.log(`📊 Leaderboard saved: leaderboard.json & leaderboard.csv`);
         
     } catch (error) {
         console.error('❌ Error generating statistics:', error.message);
@@ -40,24 +197,144 @@ async function generateStats() {
     }
 }
 
-function calculateScore(data) {
-    const weights = {
-        leetcode: 1.0,
-        github_repos: 2.0,
-        github_prs: 3.0,
-        codeforces: 1.2,
-        atcoder: 1.2,
-        skillrack: 1.0
-    };
+// Contest platforms whose adapters report rating, rank title and rated contests
+const RATED_PLATFORMS = ['codeforces', 'atcoder', 'codechef'];
+
+// Per-student contest ratings, highest current rating first. Unrated students stay in
+// the table with null ratings; failed platforms are null as well.
+function buildRatingTable(results) {
+    const platforms = RATED_PLATFORMS.filter(name => registry.get(name));
     
-    return Math.round(
-        data.leetcode.total * weights.leetcode +
-        data.github.repos * weights.github_repos +
-        data.github.mergedPRs * weights.github_prs +
-        data.codeforces.solved * weights.codeforces +
-        data.atcoder.solved * weights.atcoder +
-        (data.skillrack.solved || 0) * weights.skillrack
-    );
+    return results
+        .map(student => {
+            const row = { id: student.id, name: student.name, ...cohorts.cohortOf(student) };
+            platforms.forEach(platform => {
+                const data = student.data[platform];
+                const rated = data && !isUnavailable(data) && data.contests > 0;
+                row[`${platform}Rating`] = rated ? data.rating : null;
+                row[`${platform}MaxRating`] = rated ? data.maxRating : null;
+                row[`${platform}Rank`] = rated ? data.rank : null;
+                row[`${platform}Contests`] = data && !isUnavailable(data) ? data.contests || 0 : null;
+            });
+            row.bestRating = Math.max(0, ...platforms.map(platform => row[`${platform}Rating`] || 0));
+            return row;
+        })
+        .sort((a, b) => b.bestRating - a.bestRating);
+}
+
+// ratings.json/csv: the club ranks on contest rating, not raw problem counts
+async function generateRatings() {
+    try {
+        const results = await fs.readJson(path.join(__dirname, 'results.json'));
+        const table = buildRatingTable(results);
+        
+        await fs.writeJson(path.join(__dirname, 'ratings.json'), table, { spaces: 2 });
+        await fs.writeFile(path.join(__dirname, 'ratings.csv'), toCsv(table));
+        
+        const rated = table.filter(row => row.bestRating > 0);
+        console.log(`🏆 ${rated.length}/${table.length} students have a contest rating`);
+        rated.slice(0, 5).forEach((row, index) => {
+            const ratings = RATED_PLATFORMS
+                .filter(platform => row[`${platform}Rating`] !== null && row[`${platform}Rating`] !== undefined)
+                .map(platform => `${registry.get(platform).label} ${row[`${platform}Rating`]} (${row[`${platform}Rank`]})`);
+            console.log(`${index + 1}. ${row.name}: ${ratings.join(', ')}`);
+        });
+        console.log(`\n📊 Ratings saved: ratings.json & ratings.csv`);
+        
+    } catch (error) {
+        console.error('❌ Error generating ratings:', error.message);
+        process.exit(1);
+    }
+}
+
+// Progress between two snapshots: deltas, streaks, stalled students, most improved
+async function generateProgress(options) {
+    try {
+        const report = await history.progressReport(options);
+        
+        await fs.writeJson(path.join(__dirname, 'progress.json'), report, { spaces: 2 });
+        
+        const csvHeader = 'Rank,Name,Score Gain,Problems Gained,Weekly Gain,Score\n';
+        const csvRows = report.mostImproved.map(s =>
+            csvLine([s.rank, s.name, s.scoreGain, s.problemsGained, s.weeklyGain, s.score])
+        ).join('\n');
+        await fs.writeFile(path.join(__dirname, 'most-improved.csv'), csvHeader + csvRows);
+        
+        console.log(`📅 Progress from ${report.from} to ${report.to} (${report.days} days)`);
+        console.log(`📈 Improved: ${report.totals.improved}, stalled: ${report.totals.stalled}, new: ${report.totals.newStudents}`);
+        console.log('\n🚀 Most improved:');
+        report.mostImproved.slice(0, 5).forEach(s => {
+            console.log(`${s.rank}. ${s.name}: +${s.problemsGained} problems, +${s.scoreGain} score (${s.weeklyGain}/week)`);
+        });
+        console.log(`\n📊 Progress saved: progress.json & most-improved.csv`);
+        
+    } catch (error) {
+        console.error('❌ Error generating progress:', error.message);
+        process.exit(1);
+    }
+}
+
+// Store the current results.json as a snapshot (e.g. to seed history)
+async function takeSnapshot() {
+    try {
+        const results = await fs.readJson(path.join(__dirname, 'results.json'));
+        const file = await history.saveSnapshot(results);
+        console.log(`📸 Snapshot saved: ${path.relative(__dirname, file)}`);
+    } catch (error) {
+        console.error('❌ Error saving snapshot:', error.message);
+        process.exit(1);
+    }
+}
+
+async function listSnapshots() {
+    const files = await history.listSnapshots();
+    console.log(`🗂️  ${files.length} snapshots in ${path.relative(__dirname, history.historyDir())}/`);
+    files.forEach((file, index) => console.log(`${index}. ${file}`));
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    // `node stats.js --profile placement` is the leaderboard mode
+    const [mode, ...args] = argv.length === 0 || argv[0].startsWith('--') ? ['leaderboard', ...argv] : argv;
+    const options = parseOptions(args);
+    
+    switch (mode) {
+        case 'leaderboard':
+            generateStats(options);
+            break;
+        case 'progress':
+            generateProgress(options);
+            break;
+        case 'groups':
+            generateGroupStats(options);
+            break;
+        case 'ratings':
+            generateRatings();
+            break;
+        case 'snapshot':
+            takeSnapshot();
+            break;
+        case 'snapshots':
+            listSnapshots();
+            break;
+        default:
+            console.error(`❌ Unknown stats mode: ${mode} (use leaderboard, groups, ratings, progress, snapshot or snapshots)`);
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
 }
 
-generateStats();
\ No newline at end of file
+module.exports = {
+    RATED_PLATFORMS,
+    buildLeaderboard,
+    leaderboardColumns,
+    leaderboardCsv,
+    csvField,
+    toCsv,
+    buildRatingTable,
+    generateStats,
+    generateGroupStats
+};
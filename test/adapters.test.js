@@ -0,0 +1,323 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache, context } = require('./helpers');
+const { STATUS, cache } = require('../core');
+const { registry } = require('../adapters');
+const { scoreResults } = require('../scoring');
+const { buildLeaderboard, leaderboardCsv } = require('../stats');
+
+// Parsing goes through adapter.fetch, status mapping through registry.fetch
+const adapter = (name) => registry.get(name);
+
+beforeEach(resetCache);
+
+describe('leetcode', () => {
+    test('parses solved counts per difficulty', async () => {
+        const data = await adapter('leetcode').fetch('alice', context());
+        assert.deepStrictEqual([data.total, data.easy, data.medium, data.hard], [150, 80, 60, 10]);
+        assert.deepStrictEqual(data.beats, { easy: 70.1, medium: 65.2, hard: 40.3 });
+        assert.deepStrictEqual(data.questionCounts, { total: 3300, easy: 830, medium: 1730, hard: 740 });
+    });
+
+    test('parses contest ranking, topics, badges and the submission calendar', async () => {
+        const data = await adapter('leetcode').fetch('alice', context());
+        assert.strictEqual(data.contestRating, 1684);
+        assert.strictEqual(data.contests, 7);
+        assert.strictEqual(data.globalRanking, 98213);
+        assert.strictEqual(data.topPercentage, 16.2);
+        assert.deepStrictEqual(data.tags, { 'Array': 96, 'String': 40, 'Hash Table': 44, 'Math': 18, 'Dynamic Programming': 21 });
+        assert.deepStrictEqual(data.badges, [{ name: '50 Days Badge 2026', date: '2026-05-02' }]);
+        assert.strictEqual(data.calendar['2026-09-02'], 3);
+        assert.strictEqual(data.activeDays, 10);
+        assert.strictEqual(data.maxStreak, 5);
+    });
+
+    test('keeps solved counts when the extras query fails', async () => {
+        const data = await registry.fetch('leetcode', 'flaky');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.total, 150);
+        assert.deepStrictEqual(data.tags, {});
+        assert.match(data.error, /profile extras/);
+    });
+
+    test('reports unknown users as not found', async () => {
+        const data = await registry.fetch('leetcode', 'ghost');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+        assert.strictEqual(data.total, 0);
+    });
+
+    test('reports timeouts as errors', async () => {
+        const data = await registry.fetch('leetcode', 'slowpoke');
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.match(data.error, /timeout/);
+    });
+
+    test('looks up the canonical username', async () => {
+        assert.deepStrictEqual(await registry.lookupHandle('leetcode', 'alice'), { exists: true, canonical: 'Alice' });
+        assert.deepStrictEqual(await registry.lookupHandle('leetcode', 'ghost'), { exists: false });
+    });
+});
+
+describe('github', () => {
+    test('parses source repos, forks and merged PRs', async () => {
+        const data = await registry.fetch('github', 'octo');
+        // public_repos is 12, forks included: repos means source repos, as on the GraphQL path
+        assert.deepStrictEqual(data, { repos: 9, forks: 3, mergedPRs: 5, status: STATUS.OK });
+    });
+
+    test('keeps the repo count when the PR search fails', async () => {
+        const data = await registry.fetch('github', 'partial');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.repos, 3);
+        assert.match(data.error, /merged PR search/);
+    });
+
+    test('reports 404 as not found', async () => {
+        const data = await registry.fetch('github', 'nobody');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+    });
+
+    test('reports an exhausted rate limit (403) as rate limited', async () => {
+        const data = await registry.fetch('github', 'limited');
+        assert.strictEqual(data.status, STATUS.RATE_LIMITED);
+        assert.match(data.error, /403/);
+    });
+});
+
+describe('github (GraphQL)', () => {
+    beforeEach(() => { process.env.GITHUB_TOKEN = 'test-token'; });
+    afterEach(() => { delete process.env.GITHUB_TOKEN; });
+
+    test('fetches several users in one batched query', async () => {
+        const [octo, nobody] = await Promise.all([
+            registry.fetch('github', 'octo'),
+            registry.fetch('github', 'nobody')
+        ]);
+        assert.strictEqual(octo.status, STATUS.OK);
+        assert.strictEqual(octo.source, 'graphql');
+        assert.strictEqual(nobody.status, STATUS.NOT_FOUND);
+    });
+
+    test('separates source repos from forks and counts external PRs', async () => {
+        const [octo] = await Promise.all([
+            adapter('github').fetch('octo', context()),
+            adapter('github').fetch('nobody', context())
+        ]);
+        // Only the source repos are scored
+        assert.strictEqual(octo.repos, 4);
+        assert.strictEqual(octo.sourceRepos, 4);
+        assert.strictEqual(octo.forks, 10);
+        assert.strictEqual(octo.stars, 40);
+        assert.deepStrictEqual(octo.languages, { JavaScript: 2, Python: 1 });
+        assert.strictEqual(octo.mergedPRs, 6);
+        assert.strictEqual(octo.externalMergedPRs, 3);
+        assert.strictEqual(octo.openedPRs, 9);
+        assert.strictEqual(octo.openedIssues, 3);
+    });
+
+    test('keeps the contribution total and active days of the calendar', async () => {
+        const [octo] = await Promise.all([
+            adapter('github').fetch('octo', context()),
+            adapter('github').fetch('nobody', context())
+        ]);
+        assert.strictEqual(octo.contributions, 57);
+        assert.strictEqual(octo.activeDays, 3);
+        assert.deepStrictEqual(octo.calendar, { '2024-03-04': 5, '2024-03-05': 12, '2024-03-10': 40 });
+    });
+
+    test('reports a GraphQL rate-limit error as rate limited', async () => {
+        const data = await registry.fetch('github', 'throttled');
+        assert.strictEqual(data.status, STATUS.RATE_LIMITED);
+    });
+});
+
+describe('codeforces', () => {
+    test('counts distinct accepted problems by rating and tag', async () => {
+        const data = await adapter('codeforces').fetch('tourist', context());
+        assert.strictEqual(data.solved, 4);
+        assert.deepStrictEqual(data.solvedByRating, { '800': 1, '1500': 2, 'unrated': 1 });
+        assert.deepStrictEqual(data.solvedByTag, { math: 1, implementation: 1, dp: 2, greedy: 1 });
+    });
+
+    test('reads rating, rank and contest history', async () => {
+        const data = await adapter('codeforces').fetch('tourist', context());
+        assert.strictEqual(data.rating, 1523);
+        assert.strictEqual(data.maxRating, 1610);
+        assert.strictEqual(data.rank, 'specialist');
+        assert.strictEqual(data.maxRank, 'expert');
+        assert.strictEqual(data.contests, 3);
+        assert.deepStrictEqual(data.ratingHistory[1], {
+            contest: 'Codeforces Round 919 (Div. 2)', rank: 1800, oldRating: 1400, newRating: 1610, date: '2024-01-11'
+        });
+    });
+
+    test('keeps solve counts when the rating lookup fails', async () => {
+        const data = await registry.fetch('codeforces', 'norating');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.match(data.error, /rating/);
+    });
+
+    test('reports unknown handles (400 "not found") as not found', async () => {
+        const data = await registry.fetch('codeforces', 'missing');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+    });
+
+    test('reports timeouts as errors after retrying', async () => {
+        const data = await registry.fetch('codeforces', 'slowpoke');
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.match(data.error, /timeout/);
+    });
+
+    test('looks up the canonical handle', async () => {
+        assert.deepStrictEqual(await registry.lookupHandle('codeforces', 'Tourist'), { exists: true, canonical: 'tourist' });
+    });
+});
+
+describe('atcoder', () => {
+    test('reads the accepted count from kenkoooo', async () => {
+        const data = await adapter('atcoder').fetch('alice', context());
+        assert.strictEqual(data.solved, 42);
+    });
+
+    test('reads rating and rated contests from the AtCoder history', async () => {
+        const data = await adapter('atcoder').fetch('alice', context());
+        assert.strictEqual(data.rating, 812);
+        assert.strictEqual(data.maxRating, 812);
+        assert.strictEqual(data.rank, 'green');
+        assert.strictEqual(data.contests, 2);
+        assert.deepStrictEqual(data.ratingHistory.map(contest => contest.contest), ['AtCoder Beginner Contest 300', 'AtCoder Beginner Contest 310']);
+    });
+
+    test('reports unknown users as not found', async () => {
+        const data = await registry.fetch('atcoder', 'ghost');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+    });
+
+    test('a user without accepted submissions solved 0, and is not a bad handle', async () => {
+        // kenkoooo has no rank entry for them either; the AtCoder profile page exists
+        const data = await registry.fetch('atcoder', 'newcomer');
+        assert.deepStrictEqual([data.status, data.solved, data.contests], [STATUS.OK, 0, 0]);
+    });
+});
+
+describe('hackerrank', () => {
+    test('parses badges, stars and passed certificates', async () => {
+        const data = await adapter('hackerrank').fetch('alice', context());
+        assert.strictEqual(data.badges, 3);
+        assert.strictEqual(data.stars, 11);
+        assert.strictEqual(data.solved, 162);
+        assert.deepStrictEqual(data.tracks, { 'Problem Solving': 5, 'Python': 4, 'Sql': 2 });
+        assert.deepStrictEqual(data.certificates, ['Problem Solving (Basic)', 'SQL (Intermediate)']);
+        assert.strictEqual(data.certificateCount, 2);
+    });
+
+    test('keeps badges when the certificate endpoint fails', async () => {
+        const data = await registry.fetch('hackerrank', 'nocert');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.stars, 3);
+        assert.match(data.error, /certificates/);
+    });
+
+    test('reports unknown users as not found', async () => {
+        const data = await registry.fetch('hackerrank', 'ghost');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+    });
+});
+
+describe('codechef', () => {
+    test('parses rating, stars, ranks, contests and solved count', async () => {
+        const data = await adapter('codechef').fetch('alice', context());
+        assert.strictEqual(data.solved, 64);
+        assert.strictEqual(data.rating, 1612);
+        assert.strictEqual(data.maxRating, 1650);
+        assert.strictEqual(data.rank, '3★');
+        assert.strictEqual(data.globalRank, 20541);
+        assert.strictEqual(data.countryRank, 17310);
+        assert.strictEqual(data.contests, 3);
+        assert.deepStrictEqual(data.ratingHistory[1], { contest: 'Starters 101', rank: 1205, oldRating: 1520, newRating: 1650, date: '2023-08-09' });
+    });
+
+    test('reads the older "Fully Solved" layout and derives stars from the rating', async () => {
+        const data = await adapter('codechef').fetch('veteran', context());
+        assert.strictEqual(data.solved, 412);
+        assert.strictEqual(data.partiallySolved, 7);
+        assert.strictEqual(data.stars, 6);
+        assert.strictEqual(data.contests, 2);
+    });
+
+    test('keeps the rating when the solved count is missing, with the count unknown', async () => {
+        const data = await registry.fetch('codechef', 'newbie');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.rating, 1405);
+        assert.strictEqual(data.solved, null);
+
+        // Neither a 0 on the leaderboard nor a 0 in the cohort statistics
+        const results = [
+            { id: 1, name: 'Newbie', data: { codechef: data, totalCP: 0 } },
+            { id: 2, name: 'Alice', data: { codechef: { status: STATUS.OK, solved: 64, rating: 1612 }, totalCP: 64 } },
+            { id: 3, name: 'Bob', data: { codechef: { status: STATUS.OK, solved: 36, rating: 1500 }, totalCP: 36 } }
+        ];
+        assert.strictEqual(buildLeaderboard(results, 'default').find(row => row.id === 1).codechef, null);
+        const profile = { name: 'z', normalization: 'zscore', metrics: [{ key: 'codechef.solved', platform: 'codechef', path: 'solved', weight: 1 }], platformCaps: {} };
+        assert.deepStrictEqual(scoreResults(results, profile).map(s => s.score), [0, 1, -1]);
+    });
+
+    test('no handle and unknown users are 0 problems, not unavailable', async () => {
+        const results = [
+            { id: 1, name: 'Nobody', data: { codechef: await registry.fetch('codechef', ''), totalCP: 0 } },
+            { id: 2, name: 'Ghost', data: { codechef: await registry.fetch('codechef', 'ghost'), totalCP: 0 } }
+        ];
+        assert.deepStrictEqual(results.map(r => [r.data.codechef.status, r.data.codechef.solved]), [[STATUS.NO_HANDLE, 0], [STATUS.NOT_FOUND, 0]]);
+        const leaderboard = buildLeaderboard(results, 'default');
+        assert.deepStrictEqual(leaderboard.map(row => row.codechef), [0, 0]);
+        assert.doesNotMatch(leaderboardCsv(leaderboard), /unavailable/);
+    });
+
+    test('reports unknown users as not found and bot checks as errors', async () => {
+        assert.strictEqual((await registry.fetch('codechef', 'ghost')).status, STATUS.NOT_FOUND);
+        const blocked = await registry.fetch('codechef', 'blocked');
+        assert.strictEqual(blocked.status, STATUS.ERROR);
+        assert.match(blocked.error, /bot check/);
+    });
+
+    test('an unrecognised page is an error and is not cached', async () => {
+        const data = await registry.fetch('codechef', 'redesign');
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.match(data.error, /unrecognised profile page/);
+        assert.strictEqual(cache.getEntry('codechef_redesign'), null);
+        await assert.rejects(registry.lookupHandle('codechef', 'redesign'), /unrecognised/);
+    });
+});
+
+describe('geeksforgeeks', () => {
+    test('parses coding score, institute rank and solved problems by difficulty', async () => {
+        const data = await adapter('geeksforgeeks').fetch('alice', context());
+        assert.strictEqual(data.codingScore, 412);
+        assert.strictEqual(data.solved, 118);
+        assert.deepStrictEqual([data.school, data.basic, data.easy, data.medium, data.hard], [4, 20, 51, 38, 5]);
+        assert.strictEqual(data.instituteRank, 12);
+        assert.strictEqual(data.institute, 'Example Institute of Technology');
+    });
+
+    test('keeps the profile numbers when the submissions endpoint fails', async () => {
+        const data = await registry.fetch('geeksforgeeks', 'nosplit');
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.solved, 30);
+        assert.strictEqual(data.instituteRank, null);
+        assert.match(data.error, /submissions/);
+    });
+
+    test('reports unknown users as not found', async () => {
+        const data = await registry.fetch('geeksforgeeks', 'ghost');
+        assert.strictEqual(data.status, STATUS.NOT_FOUND);
+        assert.deepStrictEqual(await registry.lookupHandle('geeksforgeeks', 'ghost'), { exists: false });
+    });
+});
+
+describe('replay', () => {
+    test('fails requests without a fixture instead of going online', async () => {
+        const data = await registry.fetch('atcoder', 'unrecorded');
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.match(data.error, /No recorded fixture/);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { STATUS } = require('../core');
+const { sharedHandles, duplicateStats, outOfRange, peerOutliers, implausibleDeltas, auditResults, markForReview } = require('../audit');
+const { leaderboardCsv } = require('../stats');
+
+const ok = (fields) => ({ status: STATUS.OK, ...fields });
+const student = (id, handles, data) => ({ id, name: `S${id}`, handles, data });
+
+describe('audit', () => {
+    test('flags a handle used by several students, ignoring case and URLs', () => {
+        const flags = sharedHandles([
+            student(1, { leetcode: 'Alice' }, {}),
+            student(2, { leetcode: 'https://leetcode.com/u/alice/' }, {}),
+            student(3, { leetcode: 'bob' }, {})
+        ]);
+        assert.strictEqual(flags.length, 1);
+        assert.deepStrictEqual(flags[0].ids, [1, 2]);
+        assert.strictEqual(flags[0].handle, 'alice');
+    });
+
+    test('flags identical stats for different handles, not small coincidences', () => {
+        const stats = { total: 150, easy: 50, medium: 80, hard: 20 };
+        const flags = duplicateStats([
+            student(1, { leetcode: 'alice', codeforces: 'a' }, { leetcode: ok(stats), codeforces: ok({ solved: 3 }) }),
+            student(2, { leetcode: 'bob', codeforces: 'b' }, { leetcode: ok(stats), codeforces: ok({ solved: 3 }) }),
+            student(3, { leetcode: 'carol' }, { leetcode: ok({ ...stats, hard: 21 }) })
+        ]);
+        assert.strictEqual(flags.length, 1);
+        assert.strictEqual(flags[0].platform, 'leetcode');
+        assert.deepStrictEqual(flags[0].handles, ['alice', 'bob']);
+    });
+
+    test('flags values outside the sanity range and far ahead of peers', () => {
+        const results = Array.from({ length: 12 }, (_, i) => student(i + 1, { leetcode: `u${i}` }, { leetcode: ok({ total: 100 + i * 10 }) }));
+        results.push(student(13, { leetcode: 'big' }, { leetcode: ok({ total: 900 }) }));
+        results.push(student(14, { leetcode: 'fake' }, { leetcode: ok({ total: 9000 }) }));
+
+        assert.deepStrictEqual(outOfRange(results).map(f => f.ids[0]), [14]);
+        assert.deepStrictEqual(peerOutliers(results).map(f => f.ids[0]), [13, 14]);
+    });
+
+    test('flags overnight jumps and drops between snapshots', () => {
+        const snapshot = (timestamp, skillrack, leetcode) => ({
+            timestamp,
+            students: [{ id: 1, name: 'S1', data: { skillrack: ok({ solved: skillrack }), leetcode: ok({ total: leetcode }) } }]
+        });
+        const flags = implausibleDeltas([
+            snapshot('2026-10-01T00:00:00.000Z', 200, 300),
+            snapshot('2026-10-02T00:00:00.000Z', 600, 310),   // +400 SkillRack overnight
+            snapshot('2026-10-12T00:00:00.000Z', 900, 150)    // +300 in 10 days is fine, LeetCode halved
+        ]);
+        assert.deepStrictEqual(flags.map(f => `${f.platform} ${f.from}->${f.to}`), ['skillrack 200->600', 'leetcode 310->150']);
+    });
+
+    test('marks flagged students on the leaderboard', () => {
+        const report = auditResults([
+            student(1, { github: 'same' }, {}),
+            student(2, { github: 'Same' }, {})
+        ]);
+        assert.strictEqual(report.counts.shared_handle, 1);
+        assert.deepStrictEqual(Object.keys(report.needsReview), ['1', '2']);
+
+        const leaderboard = markForReview([{ id: 1, name: 'S1', score: 1, totalCP: 0 }, { id: 3, name: 'S3', score: 0, totalCP: 0 }], report);
+        assert.ok(leaderboard[0].needsReview[0].includes('GitHub handle same'));
+        const [header, first, second] = leaderboardCsv(leaderboard).split('\n');
+        assert.ok(header.endsWith(',Needs Review'));
+        assert.ok(first.includes('GitHub handle same'));
+        assert.ok(second.endsWith(','));
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS } = require('../core');
+const { resolveProfile } = require('../scoring');
+const { groupResults, groupAggregates, comparisonRows } = require('../cohorts');
+const { buildLeaderboard, generateGroupStats } = require('../stats');
+
+const SCORING = { defaultProfile: 'test', profiles: { test: { normalization: 'raw', metrics: { 'leetcode.total': 1, 'github.repos': 2 } } } };
+const profile = resolveProfile('test', SCORING);
+
+const leetcode = (total) => ({ status: STATUS.OK, total, easy: total, medium: 0, hard: 0 });
+const github = (repos, mergedPRs = 0) => ({ status: STATUS.OK, repos, mergedPRs });
+const results = [
+    { id: 1, name: 'A', department: 'CSE', year: 3, data: { leetcode: leetcode(100), github: github(4, 1), totalCP: 100 } },
+    { id: 2, name: 'B', department: 'CSE', year: 2, data: { leetcode: { ...leetcode(0), status: STATUS.ERROR }, github: github(2), totalCP: 0 } },
+    { id: 3, name: 'C', department: 'ECE', year: 3, data: { leetcode: leetcode(50), github: { ...github(0), status: STATUS.NO_HANDLE }, totalCP: 50 } },
+    { id: 4, name: 'D', data: { leetcode: leetcode(10), totalCP: 10 } }
+];
+
+const aggregatesBy = (groupBy) => Array.from(groupResults(results, groupBy), ([key, members]) =>
+    groupAggregates(key, members, buildLeaderboard(members, profile, results)));
+
+describe('groupAggregates', () => {
+    test('averages scores, problems and platform fields per group', () => {
+        const [cse] = aggregatesBy(['department']);
+        assert.deepStrictEqual(
+            { ...cse, platforms: undefined },
+            { group: 'CSE', students: 2, avgScore: 56, medianScore: 56, avgTotalCP: 50, topSolver: { name: 'A', problems: 100 }, topScorer: { name: 'A', score: 108 }, platforms: undefined }
+        );
+    });
+
+    test('leaves failed platforms out of the averages and the participation', () => {
+        const [cse, ece] = aggregatesBy(['department']);
+        // B's LeetCode fetch failed: neither a participant nor a 0 in the average
+        assert.deepStrictEqual([cse.platforms.leetcode.participants, cse.platforms.leetcode.participationRate], [1, 0.5]);
+        assert.strictEqual(cse.platforms.leetcode.averages.leetcode, 100);
+        assert.deepStrictEqual([cse.platforms.github.participants, cse.platforms.github.averages.github_repos, cse.platforms.github.averages.github_prs], [2, 3, 0.5]);
+        assert.strictEqual(ece.platforms.github.participants, 0);
+        assert.deepStrictEqual([cse.platforms.codeforces.participants, cse.platforms.codeforces.averages.codeforces], [0, 0]);
+    });
+
+    test('an empty group has zeros and no top students', () => {
+        const empty = groupAggregates('none', [], []);
+        assert.deepStrictEqual([empty.avgScore, empty.medianScore, empty.avgTotalCP, empty.topSolver, empty.topScorer], [0, 0, 0, null, null]);
+    });
+});
+
+describe('comparisonRows', () => {
+    test('one row per group, best average score first', () => {
+        const rows = comparisonRows(aggregatesBy(['department']));
+        assert.deepStrictEqual(rows.map(row => [row.group, row.students, row.avgScore, row.topScorer]), [['CSE', 2, 56, 'A'], ['ECE', 1, 50, 'C'], ['unassigned', 1, 10, 'D']]);
+        assert.strictEqual(rows[0].leetcode_participation, 0.5);
+        assert.strictEqual(rows[0].github_repos_avg, 3);
+        assert.deepStrictEqual(Object.keys(rows[0]).slice(0, 6), ['group', 'students', 'avgScore', 'medianScore', 'avgTotalCP', 'leetcode_participation']);
+    });
+});
+
+describe('generateGroupStats', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'groups-'));
+        await fs.writeJson(path.join(dir, 'scoring.json'), SCORING);
+        await fs.writeJson(path.join(dir, 'results.json'), results.map(({ department, year, ...rest }) => rest));
+        // Cohort fields come from the roster for results that predate them
+        await fs.writeJson(path.join(dir, 'roster.json'), results.map(({ id, name, department, year }) => ({ id, name, department, year })));
+    });
+    after(async () => {
+        await fs.remove(dir);
+    });
+
+    const run = (options) => generateGroupStats({
+        results: path.join(dir, 'results.json'),
+        input: path.join(dir, 'roster.json'),
+        output: path.join(dir, 'groups'),
+        scoring: path.join(dir, 'scoring.json'),
+        ...options
+    });
+
+    test('writes a leaderboard and summary per group and the comparison', async () => {
+        await run({ by: 'department,year' });
+        const groups = path.join(dir, 'groups');
+        assert.deepStrictEqual((await fs.readdir(groups)).sort(), ['CSE_2', 'CSE_3', 'ECE_3', 'comparison.csv', 'comparison.json', 'unassigned_unassigned']);
+
+        const summary = await fs.readJson(path.join(groups, 'CSE_3', 'summary.json'));
+        assert.deepStrictEqual([summary.group, summary.avgScore], ['CSE / 3', 108]);
+        const leaderboard = await fs.readJson(path.join(groups, 'ECE_3', 'leaderboard.json'));
+        assert.deepStrictEqual(leaderboard.map(row => [row.name, row.department, row.score]), [['C', 'ECE', 50]]);
+
+        const comparison = await fs.readJson(path.join(groups, 'comparison.json'));
+        assert.deepStrictEqual([comparison.groupBy, comparison.profile], [['department', 'year'], 'test']);
+        assert.deepStrictEqual(comparison.groups.map(row => row.group), ['CSE / 3', 'ECE / 3', 'unassigned / unassigned', 'CSE / 2']);
+        const [header, first] = (await fs.readFile(path.join(groups, 'comparison.csv'), 'utf8')).split('\n');
+        assert.match(header, /^group,students,avgScore,medianScore,avgTotalCP,/);
+        assert.match(first, /^CSE \/ 3,1,108,/);
+    });
+
+    test('--within ranks normalized profiles inside each group', async () => {
+        const percentile = { defaultProfile: 'p', profiles: { p: { normalization: 'percentile', metrics: { 'leetcode.total': 1 } } } };
+        await fs.writeJson(path.join(dir, 'percentile.json'), percentile);
+        const cseAverage = async (options) => {
+            await run({ scoring: path.join(dir, 'percentile.json'), ...options });
+            return (await fs.readJson(path.join(dir, 'groups', 'CSE', 'summary.json'))).avgScore;
+        };
+        // A (100) is above C (50) and D (10) overall, but alone among the CSE LeetCode results;
+        // B's failed fetch scores 0 either way
+        assert.strictEqual(await cseAverage({}), 41.67);
+        assert.strictEqual(await cseAverage({ within: true }), 25);
+    });
+});
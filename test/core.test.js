@@ -0,0 +1,216 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CONFIG, STATUS, Cache, RateLimiter, retryRequest, classifyError } = require('../core');
+const { MemoryStore, JsonFileStore, FileStore, parseDuration } = require('../cache');
+const { calendarFromTimestamps, calendarStats } = require('../adapters/activity');
+
+function httpError(status, headers = {}, data = '') {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data };
+    return error;
+}
+
+describe('classifyError', () => {
+    test('maps HTTP failures to platform statuses', () => {
+        assert.strictEqual(classifyError(httpError(404)), STATUS.NOT_FOUND);
+        assert.strictEqual(classifyError(httpError(429)), STATUS.RATE_LIMITED);
+        assert.strictEqual(classifyError(httpError(500)), STATUS.ERROR);
+    });
+
+    test('only treats 403 as rate limited when the platform says so', () => {
+        assert.strictEqual(classifyError(httpError(403, { 'x-ratelimit-remaining': '0' })), STATUS.RATE_LIMITED);
+        assert.strictEqual(classifyError(httpError(403, {}, { message: 'API rate limit exceeded' })), STATUS.RATE_LIMITED);
+        assert.strictEqual(classifyError(httpError(403, {}, { message: 'Forbidden' })), STATUS.ERROR);
+    });
+
+    test('treats network failures as errors', () => {
+        const timeout = new Error('timeout of 15000ms exceeded');
+        timeout.code = 'ECONNABORTED';
+        assert.strictEqual(classifyError(timeout), STATUS.ERROR);
+    });
+});
+
+describe('retryRequest', () => {
+    test('retries until the request succeeds', async () => {
+        let calls = 0;
+        const result = await retryRequest(async () => {
+            calls++;
+            if (calls < 3) throw httpError(500);
+            return 'ok';
+        });
+        assert.strictEqual(result, 'ok');
+        assert.strictEqual(calls, 3);
+    });
+
+    test('throws the last error once attempts run out', async () => {
+        let calls = 0;
+        await assert.rejects(retryRequest(async () => {
+            calls++;
+            throw httpError(502);
+        }, { attempts: 2 }), /502/);
+        assert.strictEqual(calls, 2);
+    });
+
+    test('does not retry client errors', async () => {
+        for (const status of [400, 401, 404, 410]) {
+            let calls = 0;
+            await assert.rejects(retryRequest(async () => {
+                calls++;
+                throw httpError(status);
+            }));
+            assert.strictEqual(calls, 1, `status ${status}`);
+        }
+    });
+
+    test('backs off exponentially between attempts', async () => {
+        const original = CONFIG.RETRY_DELAY;
+        CONFIG.RETRY_DELAY = 20;
+        try {
+            const startTime = Date.now();
+            await assert.rejects(retryRequest(async () => {
+                throw httpError(500);
+            }));
+            // 20ms + 40ms between the three attempts
+            assert.ok(Date.now() - startTime >= 55);
+        } finally {
+            CONFIG.RETRY_DELAY = original;
+        }
+    });
+});
+
+describe('RateLimiter', () => {
+    test('spaces concurrent callers instead of letting them all through', async () => {
+        const limiter = new RateLimiter(40);
+        const startTime = Date.now();
+        const times = [];
+        await Promise.all(Array.from({ length: 4 }, () => limiter.wait().then(() => times.push(Date.now() - startTime))));
+        times.sort((a, b) => a - b);
+        for (let i = 1; i < times.length; i++) {
+            assert.ok(times[i] - times[i - 1] >= 35, `gap ${times[i] - times[i - 1]}ms`);
+        }
+    });
+
+    test('allows a burst before spacing applies', async () => {
+        const limiter = new RateLimiter(1000, { burst: 3 });
+        const startTime = Date.now();
+        await Promise.all([limiter.wait(), limiter.wait(), limiter.wait()]);
+        assert.ok(Date.now() - startTime < 100);
+    });
+
+    test('honours Retry-After', async () => {
+        const limiter = new RateLimiter(0);
+        limiter.observe(429, { 'retry-after': '0.2' }, true);
+        const startTime = Date.now();
+        await limiter.wait();
+        assert.ok(Date.now() - startTime >= 190);
+    });
+
+    test('pauses until X-RateLimit-Reset when nothing is left', () => {
+        const limiter = new RateLimiter(0);
+        const reset = Math.floor(Date.now() / 1000) + 30;
+        limiter.observe(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+        assert.ok(limiter.pausedUntil >= reset * 1000);
+    });
+
+    test('fails fast as rate limited when the pause is too long', async () => {
+        const limiter = new RateLimiter(0);
+        limiter.observe(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) }, true);
+        const error = await limiter.wait().catch(e => e);
+        assert.strictEqual(classifyError(error), STATUS.RATE_LIMITED);
+    });
+
+    test('backs off on repeated 429s and recovers after successes', () => {
+        const limiter = new RateLimiter(100);
+        limiter.observe(429, {}, true);
+        const firstBackoff = limiter.backoff;
+        limiter.observe(429, {}, true);
+        assert.strictEqual(limiter.backoff, firstBackoff * 2);
+        assert.ok(limiter.delay > 100);
+
+        limiter.observe(200, {});
+        assert.strictEqual(limiter.backoff, 0);
+        for (let i = 0; i < 50; i++) limiter.observe(200, {});
+        assert.strictEqual(limiter.delay, 100);
+    });
+});
+
+describe('Cache', () => {
+    test('expires entries after their TTL', () => {
+        const cache = new Cache(new MemoryStore());
+        cache.set('leetcode_alice', { total: 1 });
+        assert.deepStrictEqual(cache.get('leetcode_alice', 1000), { total: 1 });
+
+        cache.getEntry('leetcode_alice').timestamp -= 2000;
+        assert.strictEqual(cache.get('leetcode_alice', 1000), null);
+    });
+});
+
+describe('cache stores', () => {
+    const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+
+    test('json store writes cache.json on flush only', () => {
+        const file = path.join(tmpDir(), 'cache.json');
+        const cache = new Cache(new JsonFileStore(file));
+        cache.set('github_octo', { repos: 1 });
+        assert.strictEqual(fs.existsSync(file), false);
+
+        cache.saveCache();
+        assert.deepStrictEqual(new Cache(new JsonFileStore(file)).get('github_octo'), { repos: 1 });
+    });
+
+    test('file store writes every entry immediately and can delete it', () => {
+        const dir = tmpDir();
+        const cache = new Cache(new FileStore(dir));
+        cache.set('skillrack_a/b', { solved: 3 });
+        assert.deepStrictEqual(new Cache(new FileStore(dir)).get('skillrack_a/b'), { solved: 3 });
+        assert.deepStrictEqual(cache.keys(), ['skillrack_a/b']);
+
+        assert.strictEqual(cache.delete('skillrack_a/b'), true);
+        assert.strictEqual(cache.getEntry('skillrack_a/b'), null);
+    });
+
+    test('invalidate --all clears the whole store', () => {
+        const dir = tmpDir();
+        const cache = new Cache(new FileStore(dir));
+        cache.set('leetcode_alice', { total: 1 });
+        // An adapter that has since been removed
+        cache.set('oldjudge_alice', { solved: 2 });
+
+        const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'cache.js'), 'invalidate', '--all'], {
+            env: { ...process.env, CACHE_BACKEND: 'files', CACHE_DIR: dir },
+            encoding: 'utf8'
+        });
+        assert.strictEqual(cli.status, 0, cli.stderr);
+        assert.match(cli.stdout, /Removed 2 cache entries/);
+        assert.deepStrictEqual(cache.keys(), []);
+    });
+
+    test('parses durations', () => {
+        assert.strictEqual(parseDuration('90s'), 90000);
+        assert.strictEqual(parseDuration('12h'), 12 * 60 * 60 * 1000);
+        assert.strictEqual(parseDuration('1.5d'), 36 * 60 * 60 * 1000);
+        assert.strictEqual(parseDuration('500'), 500);
+        assert.throws(() => parseDuration('soon'), /Invalid duration/);
+    });
+});
+
+describe('activity calendars', () => {
+    test('converts unix timestamps to UTC days', () => {
+        const calendar = calendarFromTimestamps({ 1788220800: 2, 1788224400: 1, 1788307200: 0 });
+        assert.deepStrictEqual(calendar, { '2026-09-01': 3 });
+    });
+
+    test('derives streaks and recent active days', () => {
+        const calendar = { '2026-06-01': 1, '2026-09-01': 2, '2026-09-02': 1, '2026-09-03': 4, '2026-10-17': 1, '2026-10-18': 2 };
+        const now = Date.parse('2026-10-19T08:00:00Z');
+        assert.deepStrictEqual(calendarStats(calendar, now), { currentStreak: 2, maxStreak: 3, activeDays30: 2, activeDays90: 5 });
+        // A missed day ends the current streak
+        assert.strictEqual(calendarStats(calendar, Date.parse('2026-10-21T08:00:00Z')).currentStreak, 0);
+        assert.deepStrictEqual(calendarStats({}, now), { currentStreak: 0, maxStreak: 0, activeDays30: 0, activeDays90: 0 });
+    });
+});
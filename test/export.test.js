@@ -0,0 +1,82 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS } = require('../core');
+const { csvField, leaderboardCsv } = require('../stats');
+const { loadExportData, buildWorkbook, renderHtmlReport, buildReportCard, renderReportCard } = require('../export');
+
+describe('CSV escaping', () => {
+    test('quotes delimiters, quotes and line breaks only', () => {
+        assert.strictEqual(csvField('KUMAR, A'), '"KUMAR, A"');
+        assert.strictEqual(csvField('say "hi"'), '"say ""hi"""');
+        assert.strictEqual(csvField('two\nlines'), '"two\nlines"');
+        assert.strictEqual(csvField('A\tB', '\t'), '"A\tB"');
+        assert.strictEqual(csvField('PLAIN NAME'), 'PLAIN NAME');
+        assert.strictEqual(csvField(null), '');
+    });
+
+    test('a comma in a name keeps the leaderboard columns aligned', () => {
+        const csv = leaderboardCsv([{ id: 1, name: 'KUMAR, A', score: 10, totalCP: 5, leetcode: 5 }]);
+        const [header, row] = csv.split('\n');
+        assert.ok(row.startsWith('1,"KUMAR, A",10,'));
+        assert.strictEqual(header.split(',').length, row.replace('"KUMAR, A"', 'x').split(',').length);
+    });
+});
+
+describe('exports', () => {
+    let data;
+    const ok = (fields) => ({ status: STATUS.OK, ...fields });
+
+    before(async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'export-'));
+        const results = [
+            { id: 1, name: 'ALICE <A>', department: 'CSE', handles: { leetcode: 'alice' }, data: { leetcode: ok({ total: 300, hard: 20 }), github: { status: STATUS.NO_HANDLE }, totalCP: 300 } },
+            { id: 2, name: 'BOB, B', department: 'ECE', handles: { leetcode: 'bob', github: 'bob' }, data: { leetcode: ok({ total: 20 }), github: { status: STATUS.ERROR, error: 'boom' }, totalCP: 20 } },
+            { id: 3, name: 'CHARLIE', department: 'CSE', handles: { leetcode: 'charlie' }, data: { leetcode: ok({ total: 100 }), totalCP: 100 } }
+        ];
+        await fs.writeJson(path.join(dir, 'results.json'), results);
+        data = await loadExportData({ results: path.join(dir, 'results.json'), input: path.join(dir, 'none.json'), audit: path.join(dir, 'none.json') });
+    });
+
+    test('workbook has leaderboard, platform, summary and group sheets', async () => {
+        const workbook = buildWorkbook(data);
+        const names = workbook.worksheets.map(sheet => sheet.name);
+        assert.deepStrictEqual(names.slice(0, 3), ['Leaderboard', 'LeetCode', 'GitHub']);
+        assert.ok(names.includes('Summary') && names.includes('Groups'));
+
+        const leaderboard = workbook.getWorksheet('Leaderboard');
+        assert.strictEqual(leaderboard.rowCount, 4);
+        assert.strictEqual(leaderboard.getRow(2).getCell('name').value, 'ALICE <A>');
+        // The failed GitHub fetch is blank, not 0
+        const bob = leaderboard.getRow(4);
+        assert.strictEqual(bob.getCell('name').value, 'BOB, B');
+        assert.strictEqual(bob.getCell('github_repos').value, null);
+        assert.strictEqual(bob.getCell('unavailable').value, 'github');
+
+        assert.strictEqual(workbook.getWorksheet('Groups').rowCount, 3);
+        assert.ok((await workbook.xlsx.writeBuffer()).length > 0);
+    });
+
+    test('HTML report escapes names', () => {
+        const html = renderHtmlReport(data);
+        assert.ok(html.includes('ALICE &lt;A&gt;'));
+        assert.ok(!html.includes('<A>'));
+        assert.ok(!/<script|<link/.test(html));
+    });
+
+    test('report card ranks the student against the cohort', () => {
+        const card = buildReportCard(data.results[0], data, { from: '2026-09-19T00:00:00.000Z', problemsGained: 12 });
+        assert.strictEqual(card.rank, 1);
+        assert.strictEqual(card.of, 3);
+        assert.strictEqual(card.percentile, 100);
+        assert.ok(card.focus.includes('No GitHub handle on record'));
+        assert.ok(card.strengths.some(line => line.startsWith('LeetCode')));
+
+        const html = renderReportCard(card);
+        assert.ok(html.includes('@page'));
+        assert.ok(html.includes('+12 problems'));
+    });
+});
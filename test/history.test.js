@@ -0,0 +1,82 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS } = require('../core');
+const history = require('../history');
+
+const result = (id, total, extra = {}) => ({
+    id,
+    name: `S${id}`,
+    data: { leetcode: { status: STATUS.OK, total, easy: total, medium: 0, hard: 0, ...extra }, totalCP: total }
+});
+const day = (n) => new Date(Date.UTC(2026, 9, 1 + n)).toISOString();
+
+describe('history', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+        process.env.HISTORY_DIR = dir;
+        // S1 gains every day, S2 only on the first day, S3 never; S4 joins on day 3
+        const totals = [[10, 50, 30], [20, 60, 30], [30, 60, 30], [40, 60, 30]];
+        for (const [n, [a, b, c]] of totals.entries()) {
+            const results = [result(1, a), result(2, b), result(3, c)];
+            if (n === 3) results.push(result(4, 5));
+            await history.saveSnapshot(results, day(n));
+        }
+    });
+    after(async () => {
+        delete process.env.HISTORY_DIR;
+        await fs.remove(dir);
+    });
+
+    test('compares the latest run with the previous one', async () => {
+        const report = await history.progressReport();
+        assert.strictEqual(report.from, day(2));
+        assert.strictEqual(report.to, day(3));
+        assert.deepStrictEqual(report.totals, { students: 4, improved: 2, stalled: 2, newStudents: 1, problemsGained: 15 });
+        assert.deepStrictEqual(report.mostImproved.map(s => [s.name, s.problemsGained, s.weeklyGain]), [['S1', 10, 70], ['S2', 0, 0], ['S3', 0, 0]]);
+        assert.deepStrictEqual(report.stalled.map(s => [s.name, s.lastGain]), [['S2', day(1)], ['S3', null]]);
+    });
+
+    test('streaks run over the snapshots up to `to`', async () => {
+        const streaks = Object.fromEntries((await history.progressReport()).students.map(s => [s.name, s.streak]));
+        assert.deepStrictEqual(streaks.S1, { current: 3, longest: 3, lastGain: day(3) });
+        assert.deepStrictEqual(streaks.S2, { current: 0, longest: 1, lastGain: day(1) });
+        assert.deepStrictEqual(streaks.S4, { current: 0, longest: 0, lastGain: null });
+
+        const earlier = await history.progressReport({ from: day(0).slice(0, 10), to: day(2).slice(0, 10) });
+        assert.strictEqual(earlier.students.find(s => s.name === 'S1').streak.current, 2);
+    });
+
+    test('--days and --from pick the start of the comparison', async () => {
+        const month = await history.progressReport({ days: 2 });
+        assert.strictEqual(month.from, day(1));
+        assert.strictEqual(month.days, 2);
+        assert.strictEqual(month.mostImproved[0].problemsGained, 20);
+
+        const full = await history.progressReport({ from: '0' });
+        assert.strictEqual(full.from, day(0));
+        assert.strictEqual(full.totals.problemsGained, 45);
+        await assert.rejects(history.progressReport({ from: 'latest' }), /same snapshot/);
+        await assert.rejects(history.progressReport({ to: '1999' }), /Snapshot not found/);
+    });
+
+    test('snapshots keep the numbers but drop calendars and contest lists', async () => {
+        const slim = history.snapshotData({
+            leetcode: result(1, 12, { calendar: { 1700000000: 3 }, contests: [{ rating: 1500 }] }).data.leetcode,
+            skillrack: { status: STATUS.PARTIAL, solved: 40, medals: { gold: 2, silver: 1, bronze: 0 }, certificates: [{ title: 'C' }] }
+        });
+        assert.deepStrictEqual(slim.leetcode, { status: STATUS.OK, total: 12, easy: 12, medium: 0, hard: 0 });
+        // Milestones read skillrack.medals.*
+        assert.deepStrictEqual(slim.skillrack, { status: STATUS.PARTIAL, solved: 40, medals: { gold: 2, silver: 1, bronze: 0 } });
+
+        const snapshot = await history.loadSnapshot('latest');
+        assert.strictEqual(snapshot.byId.get('4').totalCP, 5);
+        assert.ok(!('byId' in JSON.parse(JSON.stringify(snapshot))));
+        assert.strictEqual((await history.loadRecentSnapshots(2)).map(s => s.timestamp).join(), [day(2), day(3)].join());
+    });
+});
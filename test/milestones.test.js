@@ -0,0 +1,162 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const fs = require('fs-extra');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { STATUS } = require('../core');
+const milestones = require('../milestones');
+const { loadMilestoneConfig, detectMilestones, awardBadges, deliver, withContacts } = milestones;
+const { scraperOptions, notifyMilestones } = require('../scraper');
+const { schedulerOptions } = require('../scheduler');
+
+const config = loadMilestoneConfig();
+const leetcode = (total, hard = 0) => ({ status: STATUS.OK, total, easy: total - hard, medium: 0, hard });
+const student = (id, data) => ({ id, name: `S${id}`, data });
+
+// Minimal SMTP stand-in: accepts every mail and keeps the raw messages
+function smtpStandIn() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP stand-in\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+                if (inData) {
+                    messages.push(buffer.slice(0, index));
+                    buffer = buffer.slice(index + 5);
+                    inData = false;
+                    socket.write('250 OK queued\r\n');
+                    continue;
+                }
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+                else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    return { server, messages };
+}
+
+describe('milestones', () => {
+    test('announces thresholds crossed since the previous run', () => {
+        const events = detectMilestones(
+            [student(1, { leetcode: leetcode(95) }), student(2, { leetcode: { ...leetcode(0), status: STATUS.ERROR } }), student(3, { leetcode: leetcode(120) })],
+            [student(1, { leetcode: leetcode(104, 1) }), student(2, { leetcode: leetcode(150) }), student(3, { leetcode: leetcode(130) }), student(4, { leetcode: leetcode(300) })],
+            config
+        );
+        // A failed previous fetch (S2) or no previous run (S4) is no progress
+        assert.deepStrictEqual(events.map(e => `${e.name} ${e.key}`), ['S1 leetcode-first-hard', 'S1 leetcode-100']);
+        assert.strictEqual(events[1].message, 'S1 solved 104 LeetCode problems');
+    });
+
+    test('rank changes only count upwards and top-10 entries are detected', () => {
+        const codeforces = (rank) => ({ status: STATUS.OK, solved: 0, rating: 0, rank });
+        const events = detectMilestones(
+            [student(1, { codeforces: codeforces('pupil') }), student(2, { codeforces: codeforces('expert') })],
+            [student(1, { codeforces: codeforces('specialist') }), student(2, { codeforces: codeforces('specialist') })],
+            config
+        );
+        assert.deepStrictEqual(events.map(e => e.key), ['codeforces-rank:specialist']);
+        assert.strictEqual(events[0].title, 'Codeforces specialist');
+        assert.strictEqual(events[0].message, 'S1 is now specialist on Codeforces (was pupil)');
+
+        const cohort = Array.from({ length: 12 }, (_, i) => student(i + 1, { leetcode: leetcode(10 + i) }));
+        const next = cohort.map(s => (s.id === 1 ? student(1, { leetcode: leetcode(50) }) : s));
+        const top = detectMilestones(cohort, next, { milestones: config.milestones.filter(m => m.type === 'rank') });
+        assert.deepStrictEqual(top.map(e => [e.name, e.value, e.previous]), [['S1', 1, 12]]);
+    });
+
+    test('nobody gets the same badge twice', () => {
+        const store = { students: {} };
+        const event = { key: 'leetcode-100', studentId: 1, name: 'S1' };
+        assert.strictEqual(awardBadges(store, [event]).length, 1);
+        assert.strictEqual(awardBadges(store, [event, { ...event, studentId: 2 }]).length, 1);
+        assert.deepStrictEqual(Object.keys(store.students), ['1', '2']);
+    });
+
+    describe('sinks', () => {
+        const smtp = smtpStandIn();
+        const posts = [];
+        let failWebhook = true;
+        const webhook = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                posts.push({ headers: req.headers, body: JSON.parse(body) });
+                res.writeHead(failWebhook ? 500 : 204).end();
+            });
+        });
+        let dir;
+
+        before(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'milestones-'));
+            await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+            await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+        });
+        after(async () => {
+            smtp.server.close();
+            webhook.close();
+            await fs.remove(dir);
+        });
+
+        test('mails students, posts the webhook, writes the digest and retries failed sinks', async () => {
+            const sinkConfig = {
+                ...config,
+                sinks: {
+                    digest: { enabled: true, file: 'digest.md' },
+                    webhook: { enabled: true, url: `http://127.0.0.1:${webhook.address().port}/hook`, headers: { 'X-Token': 'secret' } },
+                    smtp: { enabled: true, host: '127.0.0.1', port: smtp.server.address().port, from: 'leaderboard@example.edu' }
+                }
+            };
+            const events = withContacts(
+                detectMilestones([student(1, { leetcode: leetcode(99) }), student(2, { leetcode: leetcode(99) })],
+                    [student(1, { leetcode: leetcode(100) }), student(2, { leetcode: leetcode(101) })], config),
+                [{ id: 1, name: 'S1', email: 's1@example.edu', mentor: 'Dr. Rao' }, { id: 2, name: 'S2' }]
+            );
+            const store = { students: {} };
+            const awarded = awardBadges(store, events);
+
+            const delivered = await deliver(store, awarded, sinkConfig, { baseDir: dir });
+            assert.deepStrictEqual(delivered, { digest: 2, webhook: 0, smtp: 2 });
+            assert.strictEqual(smtp.messages.length, 1);
+            assert.match(smtp.messages[0], /To: s1@example\.edu/);
+            assert.match(smtp.messages[0], /S1 solved 100 LeetCode problems\. Congratulations!/);
+            assert.strictEqual(posts[0].headers['x-token'], 'secret');
+            assert.strictEqual(posts[0].body.count, 2);
+            assert.deepStrictEqual(awarded.map(badge => badge.undelivered), [['webhook'], ['webhook']]);
+
+            const digest = await fs.readFile(path.join(dir, 'digest.md'), 'utf8');
+            assert.match(digest, /### Dr\. Rao\n\n- 💯 \*\*100 LeetCode problems\*\*: S1 solved 100 LeetCode problems/);
+            assert.match(digest, /### No mentor\n\n- 💯 \*\*100 LeetCode problems\*\*: S2 solved 101/);
+
+            // Next run: nothing new, only the webhook gets the badges it missed
+            failWebhook = false;
+            assert.deepStrictEqual(await deliver(store, awardBadges(store, events), sinkConfig, { baseDir: dir }), { webhook: 2 });
+            assert.strictEqual(posts[1].body.events[0].message, 'S1 solved 100 LeetCode problems');
+            assert.deepStrictEqual(awarded.map(badge => badge.undelivered), [[], []]);
+        });
+    });
+
+    test('--no-milestones on the scraper or scheduler sends nothing', async (t) => {
+        const run = t.mock.method(milestones, 'runMilestones', async () => ({ awarded: [] }));
+        assert.strictEqual(await notifyMilestones(scraperOptions({ 'no-milestones': true }), 'roster.json'), null);
+        assert.strictEqual(await notifyMilestones(schedulerOptions({ 'no-milestones': true }), 'roster.json'), null);
+        assert.strictEqual(run.mock.callCount(), 0);
+
+        await notifyMilestones(scraperOptions({}), 'roster.json');
+        assert.strictEqual(run.mock.callCount(), 1);
+        assert.deepStrictEqual(run.mock.calls[0].arguments, [{ input: 'roster.json' }]);
+    });
+});
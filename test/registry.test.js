@@ -0,0 +1,101 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache } = require('./helpers');
+const { CONFIG, STATUS, cache } = require('../core');
+const { registry } = require('../adapters');
+
+beforeEach(resetCache);
+
+describe('registry.fetch caching', () => {
+    test('caches successful results and serves them from the cache', async () => {
+        const first = await registry.fetch('atcoder', 'alice');
+        assert.deepStrictEqual(cache.get('atcoder_alice'), first);
+
+        cache.set('atcoder_alice', { ...first, solved: 99 });
+        const second = await registry.fetch('atcoder', 'alice');
+        assert.strictEqual(second.solved, 99);
+    });
+
+    test('caches not found answers', async () => {
+        await registry.fetch('hackerrank', 'ghost');
+        assert.strictEqual(cache.get('hackerrank_ghost').status, STATUS.NOT_FOUND);
+    });
+
+    test('does not cache errors, rate limits or partial results', async () => {
+        await registry.fetch('codeforces', 'slowpoke');
+        await registry.fetch('github', 'limited');
+        await registry.fetch('hackerrank', 'nocert');
+        assert.strictEqual(cache.get('codeforces_slowpoke'), null);
+        assert.strictEqual(cache.get('github_limited'), null);
+        assert.strictEqual(cache.get('hackerrank_nocert'), null);
+    });
+
+    test('never serves platforms with cacheTTL 0 from the cache', async () => {
+        const handle = { id: '123', key: 'abc', username: 'alice' };
+        cache.set(registry.cacheKey(registry.get('skillrack'), handle), { solved: 9, status: STATUS.OK });
+        assert.strictEqual((await registry.fetch('skillrack', handle)).solved, 321);
+    });
+
+    test('keeps the last good result of cacheTTL 0 platforms for the stale fallback', async () => {
+        const handle = { id: '500', key: 'down', username: 'down' };
+        cache.set(registry.cacheKey(registry.get('skillrack'), handle), { solved: 40, status: STATUS.OK });
+
+        const data = await registry.fetch('skillrack', handle);
+        assert.strictEqual(data.status, STATUS.STALE);
+        assert.strictEqual(data.solved, 40);
+        assert.match(data.error, /503/);
+    });
+
+    test('serves the last good result when a fetch fails', async () => {
+        cache.set('codeforces_slowpoke', { solved: 7, rating: 1400, status: STATUS.OK });
+        cache.getEntry('codeforces_slowpoke').timestamp -= CONFIG.CACHE_DURATION;
+
+        const data = await registry.fetch('codeforces', 'slowpoke');
+        assert.strictEqual(data.status, STATUS.STALE);
+        assert.strictEqual(data.solved, 7);
+        assert.match(data.error, /^error: timeout/);
+        assert.ok(data.cachedAt);
+    });
+
+    test('does not serve entries older than CACHE_MAX_STALE', async () => {
+        cache.set('codeforces_slowpoke', { solved: 7, status: STATUS.OK });
+        cache.getEntry('codeforces_slowpoke').timestamp -= CONFIG.CACHE_MAX_STALE;
+
+        const data = await registry.fetch('codeforces', 'slowpoke');
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.strictEqual(data.solved, 0);
+    });
+
+    test('reads per-platform TTL overrides from the environment', () => {
+        process.env.CACHE_TTL_GITHUB = '6h';
+        try {
+            assert.strictEqual(registry.cacheTTL(registry.get('github')), 6 * 60 * 60 * 1000);
+        } finally {
+            delete process.env.CACHE_TTL_GITHUB;
+        }
+        assert.strictEqual(registry.cacheTTL(registry.get('skillrack')), 0);
+    });
+
+    test('skips students without a handle', async () => {
+        const data = await registry.fetch('leetcode', '');
+        assert.strictEqual(data.status, STATUS.NO_HANDLE);
+    });
+});
+
+describe('registry summaries', () => {
+    const results = [
+        { id: 1, name: 'A', data: { atcoder: { solved: 10, status: STATUS.OK } } },
+        { id: 2, name: 'B', data: { atcoder: { solved: 0, status: STATUS.ERROR, error: 'boom' } } },
+        { id: 3, name: 'C', data: { atcoder: { solved: 20, status: STATUS.OK } } }
+    ];
+
+    test('leaves failed platforms out of averages', () => {
+        const summary = registry.summarize(results).atcoder;
+        assert.strictEqual(summary.totalProblems, 30);
+        assert.strictEqual(summary.avgProblems, 15);
+    });
+
+    test('counts statuses per platform', () => {
+        assert.deepStrictEqual(registry.statusCounts(results).atcoder, { ok: 2, error: 1 });
+    });
+});
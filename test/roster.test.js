@@ -0,0 +1,135 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { spawnSync } = require('child_process');
+const ExcelJS = require('exceljs');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseCsv, cellText, importRoster, checkRoster, fixRoster } = require('../roster');
+
+const ROSTER_JS = path.join(__dirname, '..', 'roster.js');
+const typesOf = (issues, id) => issues.filter(issue => issue.id === id).map(issue => issue.type);
+
+describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes, CRLF and blank lines', () => {
+        const rows = parseCsv('Name,Note\r\n"Rao, A","said ""hi"""\r\n\r\nBee,"two\nlines"\n,\n');
+        assert.deepStrictEqual(rows, [['Name', 'Note'], ['Rao, A', 'said "hi"'], ['Bee', 'two\nlines']]);
+    });
+
+    test('keeps a last row without a line break', () => {
+        assert.deepStrictEqual(parseCsv('a,b\n1,'), [['a', 'b'], ['1', '']]);
+    });
+});
+
+describe('importRoster', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roster-'));
+    });
+    after(async () => {
+        await fs.remove(dir);
+    });
+
+    test('turns pasted profile URLs into handles', async () => {
+        const file = path.join(dir, 'form.csv');
+        await fs.writeFile(file, [
+            'Register Number,Student Name,Dept,LeetCode Profile,GitHub URL,Codeforces,SkillRack Resume URL',
+            '101,asha k,CSE,https://leetcode.com/u/asha_k/,https://github.com/asha-k?tab=repositories,@tourist,https://www.skillrack.com/faces/resume.xhtml?id=449592&key=26c9ab',
+            'R-7,ravi,IT, ravi01 ,,,'
+        ].join('\n'));
+
+        const [asha, ravi] = await importRoster(file);
+        assert.deepStrictEqual(asha, {
+            id: 101,
+            name: 'ASHA K',
+            department: 'CSE',
+            handles: { leetcode: 'asha_k', github: 'asha-k', codeforces: 'tourist', skillrack: { id: '449592', key: '26c9ab' } },
+            github_link: 'https://github.com/asha-k'
+        });
+        assert.deepStrictEqual([ravi.id, ravi.handles], ['R-7', { leetcode: 'ravi01' }]);
+    });
+
+    test('reads formula, rich text, hyperlink and date cells from XLSX', async () => {
+        const file = path.join(dir, 'form.xlsx');
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Responses');
+        sheet.addRow(['ID', 'Name', 'Year', 'Email', 'GitHub URL', 'Section']);
+        sheet.addRow([
+            { formula: 'ROW()+99', result: 101 },
+            { richText: [{ text: 'Meena ' }, { font: { bold: true }, text: 'S' }] },
+            { formula: '2+1', result: 3 },
+            { text: 'meena@example.edu', hyperlink: 'mailto:meena@example.edu' },
+            { text: 'profile', hyperlink: 'https://github.com/meena-s' },
+            new Date(Date.UTC(2024, 0, 5))
+        ]);
+        await workbook.xlsx.writeFile(file);
+
+        const [meena] = await importRoster(file);
+        assert.strictEqual(meena.id, 101);
+        assert.strictEqual(meena.name, 'MEENA S');
+        assert.strictEqual(meena.year, 3);
+        assert.strictEqual(meena.email, 'meena@example.edu');
+        assert.strictEqual(meena.handles.github, 'meena-s');
+        assert.strictEqual(meena.section, '2024-01-05');
+    });
+
+    test('a formula result of 0 is a value, not an empty cell', () => {
+        // exceljs leaves out a 0 result when writing, so the cell values are checked directly
+        assert.strictEqual(cellText({ formula: 'A2-A3', result: 0 }), '0');
+        assert.strictEqual(cellText({ sharedFormula: 'A2', result: 'x' }), 'x');
+        assert.strictEqual(cellText({ formula: 'A2' }), '');
+        assert.strictEqual(cellText({ text: { richText: [{ text: 'a' }, { text: 'b' }] }, hyperlink: '' }), 'ab');
+        assert.strictEqual(cellText({ error: '#N/A' }), '');
+    });
+
+    test('the CLI only replaces the roster with --output or --force', async () => {
+        const file = path.join(dir, 'cli.csv');
+        await fs.writeFile(file, 'Name,LeetCode\nasha,asha_k\n');
+        const run = (...args) => spawnSync(process.execPath, [ROSTER_JS, 'import', file, '--report', path.join(dir, 'report.json'), ...args], { encoding: 'utf8' });
+
+        const refused = run();
+        assert.strictEqual(refused.status, 1);
+        assert.match(refused.stderr, /--output <file>, or --force/);
+
+        const output = path.join(dir, 'roster.json');
+        assert.strictEqual(run('--output', output).status, 0);
+        assert.deepStrictEqual((await fs.readJson(output))[0].handles, { leetcode: 'asha_k' });
+    });
+});
+
+describe('checkRoster', () => {
+    test('flags pasted URLs, duplicates and shared handles', () => {
+        const issues = checkRoster([
+            { id: 1, name: 'A', handles: { leetcode: 'https://leetcode.com/u/Shared/', github: '' } },
+            { id: 2, name: 'B', handles: { leetcode: 'shared' } },
+            { id: 2, name: 'C', handles: { codeforces: 'c' } },
+            { id: 4, name: 'B', handles: { leetcode: 'shared' } },
+            { id: 5, name: 'E', handles: { skillrack: 'e-plain' } }
+        ]);
+        assert.deepStrictEqual(typesOf(issues, 1), ['url_instead_of_handle', 'empty_handle', 'shared_handle']);
+        assert.deepStrictEqual(typesOf(issues, 2), ['duplicate_id', 'shared_handle']);
+        assert.deepStrictEqual(typesOf(issues, 4), ['duplicate_student', 'shared_handle']);
+        assert.deepStrictEqual(typesOf(issues, 5), ['unusable_handle']);
+
+        const shared = issues.find(issue => issue.id === 1 && issue.type === 'shared_handle');
+        assert.deepStrictEqual([shared.value, shared.sharedWith], ['shared', [2, 4]]);
+        assert.strictEqual(issues.find(issue => issue.type === 'url_instead_of_handle').suggestion, 'Shared');
+    });
+});
+
+describe('fixRoster', () => {
+    test('normalizes handles, applies the canonical case and drops duplicates', () => {
+        const fixed = fixRoster([
+            { id: 1, name: 'A', handles: { leetcode: 'https://leetcode.com/u/alice/', github: ' ', custom: 'kept' } },
+            { id: 2, name: 'B', handles: { codeforces: '@Tourist' } },
+            { id: 3, name: 'B', handles: { codeforces: '@Tourist' } }
+        ], { 'leetcode:alice': 'Alice' });
+
+        assert.deepStrictEqual(fixed, [
+            { id: 1, name: 'A', handles: { leetcode: 'Alice', custom: 'kept' } },
+            { id: 2, name: 'B', handles: { codeforces: 'Tourist' } }
+        ]);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache } = require('./helpers');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS, cache } = require('../core');
+const { registry } = require('../adapters');
+const { LOCKED_CODE, acquireLock, releaseLock, readLock } = require('../lock');
+const { platformStats } = require('../runlog');
+const { studentPriority, planTick } = require('../scheduler');
+const { markChanges } = require('../scraper');
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(resetCache);
+
+describe('lock files', () => {
+    let file;
+    beforeEach(async () => {
+        file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'lock-')), 'scraper.lock');
+    });
+
+    test('a second acquire fails while the lock is held', () => {
+        acquireLock(file, { mode: 'full' });
+        assert.throws(() => acquireLock(file), error => error.code === LOCKED_CODE && error.holder.mode === 'full');
+        releaseLock(file);
+        assert.strictEqual(fs.existsSync(file), false);
+    });
+
+    test('takes over a lock left by a process that is gone', () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        fs.writeJsonSync(file, { pid, host: os.hostname(), startedAt: new Date().toISOString() });
+        acquireLock(file);
+        assert.strictEqual(readLock(file).pid, process.pid);
+        releaseLock(file);
+    });
+});
+
+describe('scheduler planning', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const ago = (ms) => new Date(now - ms).toISOString();
+    const ok = { status: STATUS.OK };
+    const student = (id, github) => ({ id, name: `S${id}`, handles: { github } });
+
+    afterEach(() => {
+        delete process.env.DAILY_BUDGET_GITHUB;
+    });
+
+    test('missing, failed and recently active records come first', () => {
+        const fresh = { timestamp: ago(2 * HOUR), data: { github: ok } };
+        const due = { timestamp: ago(30 * HOUR), data: { github: ok } };
+        const active = { ...due, lastChangedAt: ago(2 * 24 * HOUR) };
+        const failed = { timestamp: ago(2 * HOUR), data: { github: { status: STATUS.ERROR } } };
+
+        assert.strictEqual(studentPriority(undefined, now), Infinity);
+        assert.ok(studentPriority(fresh, now) < 1);
+        assert.ok(studentPriority(failed, now) >= 1);
+        assert.ok(studentPriority(active, now) > studentPriority(due, now));
+    });
+
+    test('spreads the roster over ticks and respects daily budgets', () => {
+        const students = [1, 2, 3, 4].map(id => student(id, `user${id}`));
+        const results = new Map([['4', { timestamp: ago(HOUR), data: { github: ok } }]]);
+
+        // 3 due students, 6h ticks with a 24h refresh: a quarter of the roster per tick
+        let plan = planTick(students, results, { now, interval: 6 * HOUR, refreshEvery: 24 * HOUR });
+        assert.strictEqual(plan.due, 3);
+        assert.deepStrictEqual(plan.selected.map(s => s.id), [1]);
+
+        // 4 GitHub profiles a day = 1 per 6h tick; cached handles do not count
+        process.env.DAILY_BUDGET_GITHUB = '4';
+        cache.set(registry.cacheKey(registry.get('github'), 'user1'), ok);
+        plan = planTick(students, results, { now, interval: 6 * HOUR, maxPerTick: 10 });
+        assert.deepStrictEqual(plan.selected.map(s => s.id), [1, 2]);
+        assert.deepStrictEqual(plan.overBudget, { github: 1 });
+    });
+
+    test('tracks when a student last gained problems', () => {
+        const previous = { data: { totalCP: 10 }, lastChangedAt: '2026-10-01T00:00:00.000Z' };
+        const same = markChanges({ timestamp: '2026-10-19T00:00:00.000Z', data: { totalCP: 10 } }, previous);
+        const more = markChanges({ timestamp: '2026-10-19T00:00:00.000Z', data: { totalCP: 12 } }, previous);
+        assert.strictEqual(same.lastChangedAt, '2026-10-01T00:00:00.000Z');
+        assert.strictEqual(more.lastChangedAt, '2026-10-19T00:00:00.000Z');
+    });
+});
+
+describe('run log', () => {
+    test('counts per-platform outcomes of processed records', () => {
+        const records = [
+            { data: { github: { status: STATUS.OK }, leetcode: { status: STATUS.RATE_LIMITED } } },
+            { data: { github: { status: STATUS.STALE }, leetcode: { status: STATUS.NO_HANDLE } } }
+        ];
+        const stats = platformStats(records, ['github', 'leetcode']);
+        assert.deepStrictEqual(stats.github, { fetched: 2, errors: 0, rateLimited: 0, stale: 1, notFound: 0 });
+        assert.deepStrictEqual(stats.leetcode, { fetched: 1, errors: 0, rateLimited: 1, stale: 0, notFound: 0 });
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const path = require('path');
+const { STATUS } = require('../core');
+const { registry } = require('../adapters');
+const { loadScoringConfig, profileNames, resolveProfile, scoreResults } = require('../scoring');
+
+const leetcode = (values) => ({ status: STATUS.OK, total: 0, easy: 0, medium: 0, hard: 0, ...values });
+const student = (id, data) => ({ id, name: `S${id}`, data });
+const profile = (definition) => resolveProfile('test', { profiles: { test: definition } });
+const scores = (results, definition) => scoreResults(results, profile(definition)).map(s => s.score);
+
+describe('resolveProfile', () => {
+    test('falls back to the adapter field weights without metrics', () => {
+        const resolved = profile({});
+        assert.strictEqual(resolved.normalization, 'raw');
+        assert.strictEqual(resolved.metrics.length, registry.fields().length);
+        assert.deepStrictEqual(resolved.metrics.find(m => m.key === 'leetcode.total'), { key: 'leetcode.total', platform: 'leetcode', path: 'total', weight: 1 });
+    });
+
+    test('reads weight shorthands and caps, and ignores unknown platforms', () => {
+        const resolved = profile({ metrics: { 'leetcode.hard': 3, 'skillrack.medals.gold': { weight: 2, cap: 5 }, 'topcoder.rating': 1 } });
+        assert.deepStrictEqual(resolved.metrics, [
+            { key: 'leetcode.hard', platform: 'leetcode', path: 'hard', weight: 3, cap: undefined },
+            { key: 'skillrack.medals.gold', platform: 'skillrack', path: 'medals.gold', weight: 2, cap: 5 }
+        ]);
+    });
+
+    test('rejects unknown profiles and normalizations', () => {
+        assert.throws(() => resolveProfile('nope', { profiles: { a: {} } }), /Unknown scoring profile: nope \(available: a\)/);
+        assert.throws(() => profile({ normalization: 'minmax' }), /unknown normalization minmax/);
+    });
+
+    test('without a scoring.json there is only the default profile', () => {
+        const config = loadScoringConfig(path.join(__dirname, 'missing-scoring.json'));
+        assert.deepStrictEqual(profileNames(config), ['default']);
+        assert.strictEqual(resolveProfile(undefined, config).name, 'default');
+    });
+});
+
+describe('scoreResults', () => {
+    const github = (repos) => ({ status: STATUS.OK, repos, mergedPRs: 0 });
+
+    test('raw scores apply metric caps, then platform caps', () => {
+        const results = [
+            student(1, { leetcode: leetcode({ hard: 20, easy: 5 }), github: github(8) }),
+            student(2, { leetcode: leetcode({ hard: 2 }), github: github(3) }),
+            student(3, { leetcode: { ...leetcode({ hard: 50 }), status: STATUS.ERROR }, github: github(1) })
+        ];
+        const definition = {
+            metrics: { 'leetcode.hard': { weight: 3, cap: 10 }, 'leetcode.easy': 1, 'github.repos': 2 },
+            platformCaps: { github: 10 }
+        };
+        const scored = scoreResults(results, profile(definition));
+        assert.deepStrictEqual(scored.map(s => s.score), [45, 12, 2]);
+        assert.deepStrictEqual(scored[0].breakdown, { leetcode: 35, github: 10 });
+        // A failed platform earns nothing, whatever it reported
+        assert.deepStrictEqual(scored[2].breakdown, { github: 2 });
+    });
+
+    test('raw totals are rounded once, to whole points', () => {
+        const results = [student(1, { leetcode: leetcode({ easy: 3, medium: 1 }) })];
+        const [scored] = scoreResults(results, profile({ metrics: { 'leetcode.easy': 0.5, 'leetcode.medium': 0.6 } }));
+        assert.strictEqual(scored.score, 2);
+        assert.deepStrictEqual(scored.breakdown, { leetcode: 2.1 });
+    });
+
+    test('zscore ranks against the cohort, leaving failed platforms out of the statistics', () => {
+        const results = [10, 20, 30].map((total, i) => student(i + 1, { leetcode: leetcode({ total }) }));
+        results.push(student(4, { leetcode: { ...leetcode({ total: 500 }), status: STATUS.RATE_LIMITED } }));
+        assert.deepStrictEqual(scores(results, { normalization: 'zscore', metrics: { 'leetcode.total': 1 } }), [-1.22, 0, 1.22, 0]);
+    });
+
+    test('zscore gives everyone 0 when the cohort has no spread', () => {
+        const results = [student(1, { leetcode: leetcode({ total: 7 }) }), student(2, { leetcode: leetcode({ total: 7 }) })];
+        assert.deepStrictEqual(scores(results, { normalization: 'zscore', metrics: { 'leetcode.total': 1 } }), [0, 0]);
+    });
+
+    test('percentile ranks count ties as half', () => {
+        const results = [10, 20, 20, 40].map((total, i) => student(i + 1, { leetcode: leetcode({ total }) }));
+        assert.deepStrictEqual(scores(results, { normalization: 'percentile', metrics: { 'leetcode.total': 2 } }), [25, 100, 100, 175]);
+    });
+
+    test('students without a handle or with an unknown one score 0 and stay out of the cohort', () => {
+        const results = [10, 20, 40].map((total, i) => student(i + 1, { leetcode: leetcode({ total }) }));
+        results.push(student(4, { leetcode: { ...leetcode(), status: STATUS.NO_HANDLE } }));
+        results.push(student(5, { leetcode: { ...leetcode(), status: STATUS.NOT_FOUND } }));
+        results.push(student(6, {}));
+        // Same percentiles as a cohort of the first three alone
+        assert.deepStrictEqual(scores(results, { normalization: 'percentile', metrics: { 'leetcode.total': 1 } }), [16.67, 50, 83.33, 0, 0, 0]);
+        assert.deepStrictEqual(scores(results, { normalization: 'zscore', metrics: { 'leetcode.total': 1 } }).slice(3), [0, 0, 0]);
+    });
+
+    test('caps apply before normalization', () => {
+        const results = [10, 20, 90].map((total, i) => student(i + 1, { leetcode: leetcode({ total }) }));
+        // 90 is capped to 20 and ties with the second student
+        assert.deepStrictEqual(scores(results, { normalization: 'percentile', metrics: { 'leetcode.total': { weight: 1, cap: 20 } } }), [16.67, 66.67, 66.67]);
+    });
+});
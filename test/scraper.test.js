@@ -0,0 +1,155 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache } = require('./helpers');
+const { STATUS } = require('../core');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { runScraper, processStudent, selectStudents, planRun, generateSummary } = require('../scraper');
+const { buildRatingTable } = require('../stats');
+
+beforeEach(resetCache);
+
+describe('processStudent (offline)', () => {
+    const student = {
+        id: 1,
+        name: 'ALICE KUMAR',
+        department: 'CSE',
+        handles: {
+            leetcode: 'alice',
+            github: 'octo',
+            codeforces: 'tourist',
+            atcoder: 'alice',
+            hackerrank: 'alice',
+            skillrack: { id: '123', key: 'abc', username: 'alice' }
+        }
+    };
+
+    test('collects every platform and totals CP problems', async () => {
+        const result = await processStudent(student);
+        assert.strictEqual(result.department, 'CSE');
+        assert.strictEqual(result.failedPlatforms, undefined);
+        ['leetcode', 'github', 'codeforces', 'atcoder', 'hackerrank', 'skillrack'].forEach(name => {
+            assert.strictEqual(result.data[name].status, STATUS.OK, name);
+        });
+        // 150 LeetCode + 4 Codeforces + 42 AtCoder + 162 HackerRank + 321 SkillRack
+        assert.strictEqual(result.data.totalCP, 679);
+    });
+
+    test('marks failing platforms without losing the others', async () => {
+        const result = await processStudent({
+            ...student,
+            handles: { ...student.handles, github: 'limited', codeforces: 'slowpoke', atcoder: '' }
+        });
+        assert.deepStrictEqual(result.failedPlatforms, ['github', 'codeforces']);
+        assert.strictEqual(result.data.atcoder.status, STATUS.NO_HANDLE);
+        assert.strictEqual(result.data.leetcode.total, 150);
+
+        const summary = generateSummary([result]);
+        assert.strictEqual(summary.performance.studentsWithFailedPlatforms, 1);
+        assert.strictEqual(summary.platformStatus.github.rate_limited, 1);
+    });
+
+    test('builds the contest rating table and summary', async () => {
+        const rated = await processStudent(student);
+        const unrated = await processStudent({ ...student, id: 2, name: 'BOB', handles: { codeforces: 'slowpoke' } });
+
+        const table = buildRatingTable([unrated, rated]);
+        assert.deepStrictEqual(table.map(row => row.name), ['ALICE KUMAR', 'BOB']);
+        assert.strictEqual(table[0].codeforcesRating, 1523);
+        assert.strictEqual(table[0].atcoderRank, 'green');
+        assert.strictEqual(table[0].bestRating, 1523);
+        assert.strictEqual(table[1].codeforcesContests, null);
+        assert.strictEqual(table[1].atcoderContests, 0);
+
+        const summary = generateSummary([rated, unrated]);
+        assert.strictEqual(summary.platforms.codeforces.ratedStudents, 1);
+        assert.strictEqual(summary.platforms.atcoder.topRated.rating, 812);
+    });
+});
+
+describe('subset runs', () => {
+    const roster = [
+        { id: 1, name: 'ALICE KUMAR', department: 'CSE', year: 3, handles: { leetcode: 'alice', codeforces: 'tourist' } },
+        { id: 2, name: 'BOB', department: 'ECE', year: 3, handles: { leetcode: 'Bob_Codes' } },
+        { id: 3, name: 'CAROL', department: 'CSE', year: 2, handles: { skillrack: { id: '449592', key: 'k' } } }
+    ];
+    const names = students => students.map(s => s.name);
+
+    test('selects students by id, name or handle and narrows by group', async () => {
+        assert.deepStrictEqual(names(await selectStudents(roster, { student: '2' })), ['BOB']);
+        assert.deepStrictEqual(names(await selectStudents(roster, { student: 'alice kumar,bob_codes' })), ['ALICE KUMAR', 'BOB']);
+        assert.deepStrictEqual(names(await selectStudents(roster, { student: '449592' })), ['CAROL']);
+        assert.deepStrictEqual(names(await selectStudents(roster, { group: 'department=CSE' })), ['ALICE KUMAR', 'CAROL']);
+        assert.deepStrictEqual(names(await selectStudents(roster, { group: 'department=cse,year=3' })), ['ALICE KUMAR']);
+        assert.throws(() => require('../cohorts').parseGroupFilter('house=red'), /Invalid group filter/);
+    });
+
+    test('reads an ids file', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ids-')), 'ids.txt');
+        fs.writeFileSync(file, '3\n1\n\n99\n');
+        assert.deepStrictEqual(names(await selectStudents(roster, { idsFile: file })), ['ALICE KUMAR', 'CAROL']);
+    });
+
+    test('keeps the other records when only some students are processed', async () => {
+        const resultsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'results-')), 'results.json');
+        fs.writeJsonSync(resultsFile, roster.map(s => ({ id: s.id, name: s.name, data: {} })));
+
+        const plan = await planRun(roster, [roster[1]], { resultsFile });
+        assert.strictEqual(plan.partial, true);
+        assert.deepStrictEqual(names(plan.pending), ['BOB']);
+        assert.deepStrictEqual(names(plan.kept), ['ALICE KUMAR', 'CAROL']);
+
+        const full = await planRun(roster, roster, { resultsFile });
+        assert.deepStrictEqual(full.kept, []);
+    });
+
+    test('--retry-failed redoes failed platforms, --retry-partial also partial and stale ones', async () => {
+        const resultsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'results-')), 'results.json');
+        fs.writeJsonSync(resultsFile, [
+            { id: 1, name: 'ALICE KUMAR', data: { leetcode: { status: STATUS.RATE_LIMITED }, codeforces: { status: STATUS.OK } } },
+            { id: 2, name: 'BOB', data: { leetcode: { status: STATUS.STALE } } },
+            { id: 3, name: 'CAROL', data: { skillrack: { status: STATUS.PARTIAL, confidence: 'low' } } }
+        ]);
+
+        const failed = await planRun(roster, roster, { resultsFile, retryFailed: true });
+        assert.deepStrictEqual(names(failed.pending), ['ALICE KUMAR']);
+        assert.deepStrictEqual(names(failed.kept), ['BOB', 'CAROL']);
+        const partial = await planRun(roster, roster, { resultsFile, retryFailed: true, retryPartial: true });
+        assert.deepStrictEqual(names(partial.pending), ['ALICE KUMAR', 'BOB', 'CAROL']);
+    });
+
+    test('a full manual run keeps lastChangedAt and moves it when problems went up', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-'));
+        const files = { input: path.join(dir, 'roster.json'), output: path.join(dir, 'results.json') };
+        process.env.RUN_LOG = path.join(dir, 'runs.jsonl');
+        process.env.HISTORY_DIR = path.join(dir, 'history');
+        try {
+            fs.writeJsonSync(files.input, [1, 2].map(id => ({ id, name: `S${id}`, handles: { leetcode: 'alice' } })));
+            // The fixture profile has 150 problems: S1 is unchanged, S2 gained
+            fs.writeJsonSync(files.output, [
+                { id: 1, name: 'S1', data: { totalCP: 150 }, lastChangedAt: '2026-01-01T00:00:00.000Z' },
+                { id: 2, name: 'S2', data: { totalCP: 10 }, lastChangedAt: '2026-01-01T00:00:00.000Z' }
+            ]);
+            await runScraper({ ...files, noMilestones: true });
+
+            const [s1, s2] = fs.readJsonSync(files.output);
+            assert.strictEqual(s1.lastChangedAt, '2026-01-01T00:00:00.000Z');
+            assert.strictEqual(s2.lastChangedAt, s2.timestamp);
+        } finally {
+            delete process.env.RUN_LOG;
+            delete process.env.HISTORY_DIR;
+            fs.removeSync(dir);
+        }
+    });
+
+    test('refreshes only the requested platforms and keeps the rest of the record', async () => {
+        const previous = { id: 1, data: { leetcode: { total: 1, status: STATUS.OK }, github: { repos: 4, mergedPRs: 0, status: STATUS.OK } } };
+        const result = await processStudent(roster[0], { platforms: ['codeforces'], previous });
+        assert.strictEqual(result.data.codeforces.solved, 4);
+        assert.deepStrictEqual(result.data.github, previous.data.github);
+        assert.strictEqual(result.data.leetcode.total, 1);
+        assert.strictEqual(result.data.totalCP, 5);
+    });
+});
+
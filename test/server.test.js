@@ -0,0 +1,96 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache } = require('./helpers');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STATUS, cache } = require('../core');
+const { registry } = require('../adapters');
+const { startServer } = require('../server');
+
+const leetcode = (total) => ({ status: STATUS.OK, total, easy: total, medium: 0, hard: 0 });
+const record = (id, name, total, extra = {}) => ({
+    id, name, department: 'CSE', handles: { leetcode: 'alice' }, data: { leetcode: leetcode(total), totalCP: total }, ...extra
+});
+
+describe('HTTP API', () => {
+    let dir;
+    let server;
+    let base;
+    const files = {};
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-'));
+        files.input = path.join(dir, 'roster.json');
+        files.output = path.join(dir, 'results.json');
+        files.lock = path.join(dir, 'scraper.lock');
+        server = await startServer({ port: 0, input: files.input, output: files.output, lock: files.lock });
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        server.close();
+        await fs.remove(dir);
+        delete process.env.API_TOKEN;
+    });
+    beforeEach(async () => {
+        resetCache();
+        await fs.writeJson(files.input, [1, 2, 3].map(id => ({ id, name: `S${id}`, department: 'CSE', handles: { leetcode: 'alice' } })));
+        await fs.writeJson(files.output, [
+            record(1, 'S1', 10),
+            record(2, 'S2', 500, { lastChangedAt: '2026-01-01T00:00:00.000Z' }),
+            record(3, 'S3', 30)
+        ]);
+    });
+
+    test('lists students sorted and paginated', async () => {
+        const body = await (await fetch(`${base}/api/students?sort=leetcode&pageSize=2&page=2`)).json();
+        assert.deepStrictEqual({ page: body.page, pageSize: body.pageSize, total: body.total, totalPages: body.totalPages }, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+        assert.deepStrictEqual(body.items.map(s => s.name), ['S1']);
+
+        const asc = await (await fetch(`${base}/api/students?sort=name&order=asc&pageSize=500`)).json();
+        assert.deepStrictEqual(asc.items.map(s => s.name), ['S1', 'S2', 'S3']);
+        assert.strictEqual((await fetch(`${base}/api/students?sort=nope`)).status, 400);
+    });
+
+    test('finds one student and answers conditional requests with 304', async () => {
+        const response = await fetch(`${base}/api/students/3`);
+        assert.strictEqual((await response.json()).name, 'S3');
+        const etag = response.headers.get('etag');
+        assert.ok(etag);
+        assert.strictEqual((await fetch(`${base}/api/students/3`, { headers: { 'If-None-Match': etag } })).status, 304);
+        assert.strictEqual((await fetch(`${base}/api/students/2`, { headers: { 'If-None-Match': etag } })).status, 200);
+        assert.strictEqual((await fetch(`${base}/api/students/99`)).status, 404);
+    });
+
+    test('refresh needs an API_TOKEN and the right bearer token', async () => {
+        delete process.env.API_TOKEN;
+        assert.strictEqual((await fetch(`${base}/api/students/1/refresh`, { method: 'POST' })).status, 403);
+        process.env.API_TOKEN = 'secret';
+        assert.strictEqual((await fetch(`${base}/api/students/1/refresh`, { method: 'POST', headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    });
+
+    test('refresh bypasses the cache, keeps lastChangedAt and never loses a concurrent update', async () => {
+        process.env.API_TOKEN = 'secret';
+        cache.set(registry.cacheKey(registry.get('leetcode'), 'alice'), leetcode(999));
+        const refresh = (id) => fetch(`${base}/api/students/${id}/refresh`, { method: 'POST', headers: { Authorization: 'Bearer secret' } });
+
+        const responses = await Promise.all([refresh(1), refresh(2)]);
+        assert.deepStrictEqual(responses.map(r => r.status), [200, 200]);
+        const results = await fs.readJson(files.output);
+        // The fixture profile has 150 problems, not the 999 in the cache
+        assert.deepStrictEqual(results.map(r => r.data.totalCP), [150, 150, 30]);
+        assert.strictEqual(results[1].lastChangedAt, '2026-01-01T00:00:00.000Z');
+        assert.strictEqual(results[0].lastChangedAt, results[0].timestamp);
+        assert.ok(await fs.pathExists(path.join(dir, 'summary.json')));
+        assert.ok(!(await fs.pathExists(files.lock)));
+    });
+
+    test('refresh is refused while another run holds scraper.lock', async () => {
+        process.env.API_TOKEN = 'secret';
+        await fs.writeJson(files.lock, { pid: process.ppid, host: os.hostname(), startedAt: new Date().toISOString(), mode: 'full' });
+        const response = await fetch(`${base}/api/students/1/refresh`, { method: 'POST', headers: { Authorization: 'Bearer secret' } });
+        assert.strictEqual(response.status, 409);
+        assert.strictEqual((await fs.readJson(files.output))[0].data.totalCP, 10);
+        await fs.remove(files.lock);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { context } = require('./helpers');
+const { STATUS } = require('../core');
+const { scrapeSkillRack, parseResume, CONFIDENCE } = require('../skillrack-simple');
+const { buildLeaderboard, leaderboardCsv } = require('../stats');
+
+const scrape = (handle) => scrapeSkillRack(handle, context().limiter);
+
+const statistic = (value, label) => `<div class="statistic"><div class="value">${value}</div><div class="label">${label}</div></div>`;
+
+describe('parseResume', () => {
+    test('reads the labelled statistics with high confidence', async () => {
+        const data = await scrape({ id: '123', key: 'abc', username: 'alice' });
+        assert.strictEqual(data.status, STATUS.OK);
+        assert.strictEqual(data.confidence, CONFIDENCE.HIGH);
+        assert.strictEqual(data.solvedSource, 'statistic');
+        assert.strictEqual(data.solved, 321);
+    });
+
+    test('reads the full breakdown', async () => {
+        const data = await scrape({ id: '123', key: 'abc', username: 'alice' });
+        assert.deepStrictEqual(
+            { codeTracks: data.codeTracks, codeTests: data.codeTests, codeTutor: data.codeTutor, dc: data.dc, dt: data.dt, rank: data.rank, level: data.level },
+            { codeTracks: 120, codeTests: 45, codeTutor: 58, dc: 60, dt: 38, rank: 512, level: 2 }
+        );
+        assert.deepStrictEqual(data.medals, { gold: 4, silver: 7, bronze: 9 });
+        assert.deepStrictEqual(data.languages, { C: 80, CPP: 35, JAVA: 110, PYTHON3: 86, SQL: 10 });
+        assert.deepStrictEqual(data.certificates, [
+            { title: 'Java Programming - Level 1', date: '12-03-2024' },
+            { title: 'Python Programming - Level 2', date: '05-08-2024' }
+        ]);
+        assert.deepStrictEqual(data.userInfo, { name: 'ALICE KUMAR', profileFound: true });
+    });
+
+    test('falls back to "Programs Solved: N" text with medium confidence', () => {
+        const { result } = parseResume('<html><body><p>Programs Solved : 1,204</p></body></html>');
+        assert.strictEqual(result.solved, 1204);
+        assert.strictEqual(result.confidence, CONFIDENCE.MEDIUM);
+    });
+
+    test('does not pick up unrelated numbers', () => {
+        const html = `<html><body><div class="card"><div class="header">X</div></div>
+            ${statistic(1999, 'RANK')}${statistic(3, 'GOLD')}<p>Batch 2022 - 2026, 1500 students</p></body></html>`;
+        const { result } = parseResume(html);
+        assert.strictEqual(result.confidence, CONFIDENCE.NONE);
+        assert.strictEqual(result.solved, 0);
+        assert.strictEqual(result.rank, 1999);
+    });
+
+    test('rejects pages without any statistics', () => {
+        assert.match(parseResume('<html><body><h1>Jane</h1><p>Joined 2023, 640 points</p></body></html>').problem, /not a resume page/);
+        assert.match(parseResume('<html><body><form><input type="password"></form></body></html>').problem, /login/);
+    });
+});
+
+describe('scrapeSkillRack', () => {
+    test('flags an estimated total instead of reporting it as fact', async () => {
+        const data = await scrape({ id: '777', key: 'est', username: 'bob' });
+        assert.strictEqual(data.status, STATUS.PARTIAL);
+        assert.strictEqual(data.confidence, CONFIDENCE.LOW);
+        assert.strictEqual(data.solvedSource, 'breakdown');
+        assert.strictEqual(data.solved, 321);
+        assert.match(data.error, /estimated/);
+    });
+
+    test('the leaderboard marks an estimated total', async () => {
+        const estimated = await scrape({ id: '777', key: 'est', username: 'bob' });
+        const measured = { status: STATUS.OK, confidence: CONFIDENCE.HIGH, solved: 400 };
+        const leaderboard = buildLeaderboard([
+            { id: 1, name: 'Bob', data: { skillrack: estimated, totalCP: 321 } },
+            { id: 2, name: 'Ann', data: { skillrack: measured, totalCP: 400 } }
+        ], 'default');
+        assert.deepStrictEqual(leaderboard.map(row => [row.name, row.skillrack, row.estimated]), [['Ann', 400, undefined], ['Bob', 321, ['skillrack']]]);
+        const [header, ann, bob] = leaderboardCsv(leaderboard).split('\n');
+        assert.match(header, /,Estimated$/);
+        assert.match(ann, /,$/);
+        assert.match(bob, /,SkillRack$/);
+    });
+
+    test('accepts pages that mention "error" in their scripts', async () => {
+        const data = await scrape({ id: '777', key: 'est', username: 'bob' });
+        assert.strictEqual(data.userInfo.name, 'BOB RAJ');
+    });
+
+    test('rejects login pages', async () => {
+        const data = await scrape({ id: '999', key: 'bad', username: 'ghost' });
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.strictEqual(data.solved, 0);
+        assert.match(data.error, /login-protected/);
+    });
+
+    test('reports server errors', async () => {
+        const data = await scrape({ id: '500', key: 'down', username: 'down' });
+        assert.strictEqual(data.status, STATUS.ERROR);
+        assert.match(data.error, /503/);
+    });
+
+    test('uses the resume id when there is no username', async () => {
+        const data = await scrape({ id: '123', key: 'abc' });
+        assert.strictEqual(data.solved, 321);
+    });
+
+    test('needs a handle', async () => {
+        assert.strictEqual((await scrape(null)).status, STATUS.NO_HANDLE);
+        assert.strictEqual((await scrape({})).status, STATUS.NO_HANDLE);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { STATUS } = require('../core');
+const { skillCounts, analyzeSkills, heatmapRows, cohortHeatmapRows } = require('../skills');
+
+const leetcode = (easy, medium, hard, tags = {}) => ({ status: STATUS.OK, total: easy + medium + hard, easy, medium, hard, tags });
+const student = (id, department, data) => ({ id, name: `S${id}`, department, data });
+
+describe('skills', () => {
+    test('combines LeetCode tags with Codeforces tags and problem ratings', () => {
+        const counts = skillCounts(student(1, 'CSE', {
+            leetcode: leetcode(10, 5, 1, { 'Dynamic Programming': 4, 'Graph': 2, 'Breadth-First Search': 1 }),
+            codeforces: { status: STATUS.OK, solved: 6, solvedByRating: { '800': 3, '1500': 2, '2100': 1, 'unrated': 1 }, solvedByTag: { dp: 2, greedy: 3 } }
+        }));
+        assert.deepStrictEqual(counts.sources, ['leetcode', 'codeforces']);
+        assert.deepStrictEqual(counts.difficulty, { Easy: 13, Medium: 7, Hard: 2 });
+        assert.strictEqual(counts.topics['Dynamic Programming'], 6);
+        assert.strictEqual(counts.topics['Graphs'], 3);
+        assert.strictEqual(counts.topics['Greedy'], 3);
+        assert.strictEqual(counts.hasTopics, true);
+    });
+
+    test('leaves out failed platforms and students without data', () => {
+        const counts = skillCounts(student(1, 'CSE', { leetcode: { status: STATUS.ERROR, easy: 0, medium: 0, hard: 0 } }));
+        assert.deepStrictEqual(counts.sources, []);
+        assert.strictEqual(counts.hasTopics, false);
+    });
+
+    test('compares students with the cohort median and suggests focus areas', () => {
+        const tags = (dp, graphs) => ({ 'Array': 20, 'Dynamic Programming': dp, 'Graph': graphs });
+        const report = analyzeSkills([
+            student(1, 'CSE', { leetcode: leetcode(40, 20, 4, tags(10, 6)) }),
+            student(2, 'CSE', { leetcode: leetcode(40, 20, 4, tags(10, 6)) }),
+            student(3, 'CSE', { leetcode: leetcode(45, 2, 0, tags(0, 7)) }),
+            student(4, 'CSE', { leetcode: leetcode(30, 40, 9, tags(25, 6)) }),
+            student(5, 'CSE', {})
+        ]);
+        const [, , weak, strong, none] = report.students;
+        assert.deepStrictEqual(report.cohorts[0].difficulty, { Easy: 40, Medium: 20, Hard: 4 });
+        assert.deepStrictEqual(weak.focus.map(f => f.area), ['Dynamic Programming', 'Hard problems', 'Medium problems']);
+        assert.strictEqual(weak.levels['Medium problems'], 'weak');
+        assert.deepStrictEqual(strong.strengths, ['Medium problems', 'Hard problems', 'Dynamic Programming']);
+        assert.deepStrictEqual(none.focus, []);
+
+        const rows = heatmapRows(report);
+        assert.strictEqual(rows[2].Medium, 10);
+        assert.strictEqual(rows[3]['Dynamic Programming'], 250);
+        assert.strictEqual(rows[4].Easy, '');
+        assert.match(rows[2]['Focus Areas'], /^Dynamic Programming \(0 vs median 10\); Hard problems \(0 vs median 4\)/);
+    });
+
+    test('uses each group as its own cohort', () => {
+        const report = analyzeSkills([
+            student(1, 'CSE', { leetcode: leetcode(100, 50, 10) }),
+            student(2, 'ECE', { leetcode: leetcode(10, 5, 1) })
+        ], { by: 'department' });
+        assert.deepStrictEqual(report.cohorts.map(c => c.group), ['CSE', 'ECE']);
+        assert.deepStrictEqual(report.students.map(s => s.focus.length), [0, 0]);
+        assert.deepStrictEqual(cohortHeatmapRows(report).map(row => row.Easy), [100, 10]);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetCache } = require('./helpers');
+const { STATUS } = require('../core');
+const { leaderboardCsv } = require('../stats');
+const { generateToken, issueTokens, verificationState, checkStudent, markUnverified, excludeUnverified } = require('../verify');
+const { registry } = require('../adapters');
+
+// The fixture profiles of alice (LeetCode, AtCoder) and octo (GitHub) contain this token;
+// tourist's Codeforces profile does not
+const TOKEN = 'wsk7m2qp';
+
+const student = (handles) => ({ id: 1, name: 'Alice', handles });
+const storeFor = (s) => ({ students: { [s.id]: { name: s.name, token: TOKEN, issuedAt: '2024-01-01T00:00:00.000Z', platforms: {} } } });
+
+describe('verify', () => {
+    beforeEach(resetCache);
+
+    test('tokens are short and only issued once unless reissued', () => {
+        assert.match(generateToken(), /^ws[a-z2-9]{6}$/);
+        const store = { students: {} };
+        const students = [student({}), { id: 2, name: 'Bob', handles: {} }];
+        assert.strictEqual(issueTokens(store, students).length, 2);
+        const first = store.students['1'].token;
+        assert.strictEqual(issueTokens(store, students).length, 0);
+        assert.strictEqual(issueTokens(store, students, { reissue: true }).length, 2);
+        assert.notStrictEqual(store.students['1'].token, first);
+    });
+
+    test('finds the token in each profile, case-insensitively', async () => {
+        const alice = student({ leetcode: 'alice', github: 'octo', codeforces: 'tourist', atcoder: 'alice' });
+        const store = storeFor(alice);
+        const outcomes = await checkStudent(store, alice);
+        const byPlatform = Object.fromEntries(outcomes.map(o => [o.platform, o.verified]));
+        assert.deepStrictEqual(byPlatform, { leetcode: true, github: true, codeforces: false, atcoder: true });
+        assert.ok(store.students['1'].platforms.github.verifiedAt);
+        assert.strictEqual(verificationState(store, alice, registry.get('codeforces')), 'unverified');
+        assert.strictEqual(verificationState(store, alice, registry.get('hackerrank')), null);
+    });
+
+    test('a missing profile is recorded as not verified', async () => {
+        const ghost = student({ leetcode: 'ghost' });
+        const store = storeFor(ghost);
+        const [outcome] = await checkStudent(store, ghost);
+        assert.strictEqual(outcome.verified, false);
+        assert.strictEqual(store.students['1'].platforms.leetcode.error, 'profile not found');
+    });
+
+    test('a verification only counts for the handle it was made with', async () => {
+        const alice = student({ leetcode: 'alice' });
+        const store = storeFor(alice);
+        await checkStudent(store, alice);
+        assert.strictEqual(verificationState(store, alice, registry.get('leetcode')), 'verified');
+        assert.strictEqual(verificationState(store, student({ leetcode: 'ALICE' }), registry.get('leetcode')), 'verified');
+        assert.strictEqual(verificationState(store, student({ leetcode: 'someone-else' }), registry.get('leetcode')), 'unverified');
+    });
+
+    test('leaderboard marks unverified handles and scoring can exclude them', async () => {
+        const alice = student({ leetcode: 'alice', codeforces: 'tourist' });
+        const store = storeFor(alice);
+        await checkStudent(store, alice);
+        const result = {
+            ...alice,
+            data: {
+                leetcode: { status: STATUS.OK, total: 10, easy: 10, medium: 0, hard: 0 },
+                codeforces: { status: STATUS.OK, solved: 4, rating: 1523 },
+                totalCP: 14
+            }
+        };
+
+        const leaderboard = markUnverified([{ id: 1, name: 'Alice', score: 14, totalCP: 14 }], [result], store);
+        assert.deepStrictEqual(leaderboard[0].unverified, ['Codeforces']);
+        const [header, row] = leaderboardCsv(leaderboard).split('\n');
+        assert.match(header, /,Unverified$/);
+        assert.match(row, /,Codeforces$/);
+
+        const [scored] = excludeUnverified([result], store);
+        assert.strictEqual(scored.data.codeforces.status, STATUS.NO_HANDLE);
+        assert.strictEqual(scored.data.codeforces.unverified, true);
+        assert.strictEqual(scored.data.totalCP, 10);
+        assert.strictEqual(result.data.codeforces.solved, 4);
+    });
+});
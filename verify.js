@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { STATUS } = require('./core');
+const { registry } = require('./adapters');
+const { selectStudents } = require('./scraper');
+const { parseOptions } = require('./cli');
+
+const DEFAULT_ROSTER = path.join(__dirname, 'students_mock.json');
+const VERIFICATION_FILE = path.join(__dirname, 'verification.json');
+const TOKENS_FILE = path.join(__dirname, 'verification-tokens.csv');
+
+// Tokens are "ws" + 6 characters without look-alikes (0/o, 1/l/i), so they survive
+// being typed into a bio by hand; matched case-insensitively
+const TOKEN_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const TOKEN_LENGTH = 6;
+
+function generateToken() {
+    const bytes = crypto.randomBytes(TOKEN_LENGTH);
+    return `ws${Array.from(bytes, byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]).join('')}`;
+}
+
+// Platforms whose adapter can read the profile fields a student edits
+function verifiablePlatforms() {
+    return registry.list().filter(adapter => adapter.profileText);
+}
+
+// The handle a verification belongs to, compared case-insensitively (null without a handle)
+function handleId(adapter, raw) {
+    const handle = registry.normalizeHandle(adapter, raw);
+    if (!registry.hasHandle(adapter, handle)) return null;
+    return String(typeof handle === 'object' ? handle.id : handle).toLowerCase();
+}
+
+// verification.json if it exists; null otherwise
+async function loadVerification(file) {
+    return fs.readJson(file || VERIFICATION_FILE).catch(() => null);
+}
+
+async function saveVerification(store, file) {
+    store.updatedAt = new Date().toISOString();
+    await fs.writeJson(file || VERIFICATION_FILE, store, { spaces: 2 });
+}
+
+// A token for every student that has none yet (or everyone with `reissue`).
+// Reissuing drops earlier verifications: the old token may have been shared.
+function issueTokens(store, students, options = {}) {
+    const issued = [];
+    students.forEach(student => {
+        const id = String(student.id);
+        if (store.students[id]?.token && !options.reissue) return;
+        store.students[id] = { name: student.name, token: generateToken(), issuedAt: new Date().toISOString(), platforms: {} };
+        issued.push(student);
+    });
+    return issued;
+}
+
+// 'verified', 'unverified', or null when the student has no handle on a verifiable platform.
+// A verification only counts for the handle it was made with.
+function verificationState(store, student, adapter) {
+    if (!adapter.profileText) return null;
+    const handle = handleId(adapter, student.handles?.[adapter.handleKey]);
+    if (!handle) return null;
+    const entry = store?.students?.[String(student.id)]?.platforms?.[adapter.name];
+    return entry?.verified && entry.handle === handle ? 'verified' : 'unverified';
+}
+
+// Look for the student's token on each of their verifiable profiles. Verified handles
+// are not checked again unless `recheck`; a failed fetch keeps the previous state.
+async function checkStudent(store, student, options = {}) {
+    const entry = store.students[String(student.id)];
+    if (!entry?.token) return [];
+
+    const platforms = verifiablePlatforms().filter(adapter => !options.platforms || options.platforms.includes(adapter.name));
+    const outcomes = await Promise.all(platforms.map(async adapter => {
+        const handle = handleId(adapter, student.handles?.[adapter.handleKey]);
+        if (!handle) return null;
+        if (!options.recheck && verificationState(store, student, adapter) === 'verified') {
+            return { platform: adapter.name, handle, verified: true, skipped: true };
+        }
+
+        const now = new Date().toISOString();
+        const previous = entry.platforms[adapter.name]?.handle === handle ? entry.platforms[adapter.name] : null;
+        try {
+            const text = await registry.profileText(adapter.name, registry.normalizeHandle(adapter, student.handles[adapter.handleKey]));
+            const verified = text !== null && text.toLowerCase().includes(entry.token.toLowerCase());
+            entry.platforms[adapter.name] = {
+                handle,
+                verified,
+                verifiedAt: verified ? (previous?.verified && previous.verifiedAt) || now : null,
+                checkedAt: now,
+                ...(text === null ? { error: 'profile not found' } : {})
+            };
+            return { platform: adapter.name, handle, verified, error: text === null ? 'profile not found' : undefined };
+        } catch (error) {
+            entry.platforms[adapter.name] = { ...(previous || { handle, verified: false, verifiedAt: null }), checkedAt: now, error: error.message };
+            return { platform: adapter.name, handle, verified: Boolean(previous?.verified), error: error.message };
+        }
+    }));
+    return outcomes.filter(Boolean);
+}
+
+// Labels of the platforms where the student's handle is not verified
+function unverifiedPlatforms(store, student) {
+    return registry.list()
+        .filter(adapter => verificationState(store, student, adapter) === 'unverified')
+        .map(adapter => adapter.label);
+}
+
+// Attach the unverified platforms to leaderboard rows (row.unverified)
+function markUnverified(leaderboard, results, store) {
+    if (!store) return leaderboard;
+    const byId = new Map(results.map(result => [String(result.id), result]));
+    leaderboard.forEach(row => {
+        const student = byId.get(String(row.id));
+        const platforms = student ? unverifiedPlatforms(store, student) : [];
+        if (platforms.length > 0) row.unverified = platforms;
+    });
+    return leaderboard;
+}
+
+// Results with unverified handles scored as if the student had no handle there
+function excludeUnverified(results, store) {
+    if (!store) return results;
+    return results.map(result => {
+        const excluded = registry.list().filter(adapter => verificationState(store, result, adapter) === 'unverified');
+        if (excluded.length === 0) return result;
+        const data = { ...result.data };
+        excluded.forEach(adapter => {
+            data[adapter.name] = { ...adapter.emptyResult(), status: STATUS.NO_HANDLE, unverified: true };
+        });
+        data.totalCP = registry.totalProblems(data);
+        return { ...result, data };
+    });
+}
+
+// Per-platform counts: handles, verified, unverified
+function verificationSummary(store, students) {
+    const summary = {};
+    verifiablePlatforms().forEach(adapter => {
+        const states = students.map(student => verificationState(store, student, adapter)).filter(Boolean);
+        summary[adapter.name] = {
+            handles: states.length,
+            verified: states.filter(state => state === 'verified').length,
+            unverified: states.filter(state => state === 'unverified').length
+        };
+    });
+    return summary;
+}
+
+// Rows for verification-tokens.csv: what each student has to add where
+function tokenRows(store, students) {
+    return students
+        .filter(student => store.students[String(student.id)]?.token)
+        .map(student => {
+            const row = { ID: student.id, Name: student.name, Token: store.students[String(student.id)].token };
+            verifiablePlatforms().forEach(adapter => {
+                const state = verificationState(store, student, adapter);
+                row[adapter.label] = state === null ? '' : state === 'verified' ? 'verified' : adapter.verifyHint || 'profile';
+            });
+            return row;
+        });
+}
+
+async function runVerify(command = 'status', options = {}) {
+    const file = options.file ? path.resolve(options.file) : VERIFICATION_FILE;
+    const roster = await fs.readJson(path.resolve(options.input || DEFAULT_ROSTER));
+    const students = await selectStudents(roster, options);
+    const store = (await loadVerification(file)) || { students: {} };
+
+    switch (command) {
+        case 'issue': {
+            const issued = issueTokens(store, students, { reissue: options.reissue });
+            await saveVerification(store, file);
+            const tokensFile = path.resolve(options.out || TOKENS_FILE);
+            // Required here: stats.js requires this module for the leaderboard marks
+            const { toCsv } = require('./stats');
+            await fs.writeFile(tokensFile, toCsv(tokenRows(store, students)));
+            console.log(`🔑 Issued ${issued.length} tokens (${students.length - issued.length} students already had one)`);
+            console.log(`📋 Tokens and instructions saved to ${path.relative(process.cwd(), tokensFile)}`);
+            return { issued: issued.length };
+        }
+        case 'check': {
+            const platforms = options.platform ? String(options.platform).split(',').map(name => name.trim()) : null;
+            const withToken = students.filter(student => store.students[String(student.id)]?.token);
+            let verified = 0;
+            let failed = 0;
+            for (const student of withToken) {
+                const outcomes = await checkStudent(store, student, { platforms, recheck: options.recheck });
+                outcomes.filter(o => !o.skipped).forEach(o => {
+                    if (o.verified) verified++;
+                    if (o.error) failed++;
+                    console.log(`  ${o.verified ? '✅' : o.error ? '⚠️ ' : '❌'} ${student.name} ${registry.get(o.platform).label} ${o.handle}${o.error ? `: ${o.error}` : ''}`);
+                });
+            }
+            await saveVerification(store, file);
+            console.log(`\n🔍 Checked ${withToken.length} students: ${verified} handles verified, ${failed} checks failed`);
+            if (withToken.length < students.length) console.log(`⚠️  ${students.length - withToken.length} students have no token yet, run: node verify.js issue`);
+            return { checked: withToken.length, verified, failed };
+        }
+        case 'reset': {
+            students.forEach(student => { delete store.students[String(student.id)]; });
+            await saveVerification(store, file);
+            console.log(`🧹 Removed tokens and verifications of ${students.length} students`);
+            return { reset: students.length };
+        }
+        case 'status': {
+            const summary = verificationSummary(store, students);
+            Object.entries(summary).forEach(([name, counts]) => {
+                console.log(`  ${registry.get(name).label}: ${counts.verified}/${counts.handles} handles verified`);
+            });
+            return summary;
+        }
+        default:
+            throw new Error(`Unknown verify command: ${command} (use issue, check, status or reset)`);
+    }
+}
+
+module.exports = {
+    VERIFICATION_FILE,
+    generateToken,
+    verifiablePlatforms,
+    loadVerification,
+    issueTokens,
+    verificationState,
+    checkStudent,
+    unverifiedPlatforms,
+    markUnverified,
+    excludeUnverified,
+    verificationSummary,
+    runVerify
+};
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const [command, ...args] = argv.length === 0 || argv[0].startsWith('--') ? ['status', ...argv] : argv;
+    runVerify(command, parseOptions(args)).catch(error => {
+        console.error('❌ Verification failed:', error.message);
+        process.exit(1);
+    });
+}